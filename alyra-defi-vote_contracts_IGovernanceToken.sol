@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.6.11;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @notice a governance token whose voting power is checkpointed at every block,
+ *           like the `getPastVotes` of OpenZeppelin's ERC20Votes. A plain ERC20 has no such checkpoints
+ *           and cannot weigh the votes.
+ * @dev As in ERC20Votes, the voting power of an account is the balance of the holders delegating to it:
+ *        a holder weighs nothing until they delegate, to themselves at least.
+ */
+interface IGovernanceToken is IERC20 {
+
+    /**
+     * @return the voting power of an account at the end of a past block.
+     * @param account the public address of the account
+     * @param blockNumber a block mined before the current one
+     */
+    function getPastVotes(address account, uint256 blockNumber) external view returns (uint256);
+}
@@ -1,99 +1,288 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.6.11;
+pragma experimental ABIEncoderV2;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/drafts/EIP712.sol";
+import "./VotingBase.sol";
+import "./VotingModes.sol";
 
 /**
  * @notice a voting system (Cf. README.md for details)
+ * @dev The settings, snapshot, ranked-choice and approval votes, delegations, vote changes, secret ballot,
+ *        tally, new rounds, pause and cancellation run in `votingModes`, on the storage of this contract
+ *        (Cf. `VotingModes`).
  */
-contract Voting is Ownable {
+contract Voting is VotingBase, EIP712 {
 
     using SafeMath for uint;
 
+    /// @notice the maximum length of a proposal description, in bytes
+    uint public constant MAX_DESCRIPTION_LENGTH = 280;
+
+    /// @notice the maximum number of proposals per round of a ranked-choice ballot, withdrawn ones included:
+    ///         each instant-runoff round of the tally goes through every ballot (Cf. `VotingModes`)
+    uint public constant MAX_RANKED_CHOICE_PROPOSALS = 8;
+
+    /// @notice the maximum number of addresses in the voter list of a ranked-choice ballot,
+    ///         unregistered ones included (Cf. `getVotersCount`): along with `MAX_RANKED_CHOICE_PROPOSALS`,
+    ///         it keeps the tally under 5M gas, within the block gas limit of a development chain
+    uint public constant MAX_RANKED_CHOICE_VOTERS = 100;
+
+    /// @notice the EIP-712 type of a vote signed by a voter (Cf. `voteBySig`)
+    bytes32 public constant VOTE_TYPEHASH =
+        keccak256("Vote(uint256 proposalId,uint256 nonce,uint256 deadline)");
+
+    /// @notice the EIP-712 type of a proposal signed by its author (Cf. `registerProposalBySig`)
+    bytes32 public constant PROPOSAL_TYPEHASH =
+        keccak256("Proposal(string description,bytes32 contentHash,uint256 nonce,uint256 deadline)");
+
+    /// @dev the EIP-712 type of the domain of the signed votes and proposals
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    /// @notice the contract running the ballot modes of this ballot, through delegatecalls
+    VotingModes public immutable votingModes;
+
     /**
-     * @dev By default a `Voter` is not registered, has not voted 
-    *         for a proposal yet.
+     * @param _votingModes a deployed `VotingModes` contract, shared by any number of ballots
+     * @dev Deploy the implementation the clones of a `VotingFactory` share: clones share its code,
+     *        `votingModes` included, but not its storage.
+     *        The implementation itself is marked initialized, so that no one can set it up:
+     *        ballots are only created by `VotingFactory.createBallot`.
      */
-    struct Voter {
-        bool isRegistered;
-        bool hasVoted;
-        uint votedProposalId;
+    constructor(VotingModes _votingModes) public EIP712("Voting", "1") initializer {
+        require(Address.isContract(address(_votingModes)), "Invalid voting modes");
+
+        votingModes = _votingModes;
     }
-    
+
     /**
-     * @dev A proposal holds a descriptive text
-     *        and the number votes it received.
+     * @param _admin the account granted the admin, registrar and chair roles
+     * @param _quorumPercentage the minimum share of the voting weight (in percent) that must be cast, 0 for no quorum
+     * @param _governanceToken the token whose voting power, snapshotted when the voting session starts
+     *         (Cf. `snapshotVotingWeights`), weighs the votes; 0 for one vote per voter.
+     *         It must checkpoint the voting power as an ERC20Votes does (Cf. `IGovernanceToken`):
+     *         voters holding tokens they have not delegated, even to themselves, weigh nothing.
+     * @param _ballotMode how voters fill in their ballot
+     * @param _phaseDeadlines the deadline of each phase up to RevealingVotes (Cf. `phaseDeadlines`),
+     *         in increasing order, 0 for no deadline
+     * @param _ballotId the id of the ballot, included in every event
+     * @dev Set up the ballot, once, as `VotingFactory.createBallot` clones it: the admin grants and revokes every role
+     *        (`RoleGranted` and `RoleRevoked` events).
+     *        Signed votes and proposals use the EIP-712 domain "Voting", version "1", of this ballot's address.
      */
-    struct Proposal {
-        string description;
-        uint   voteCount;
-    }
-    
-    /// @dev the different states of the ballot
-    enum WorkflowStatus {
-        RegisteringVoters,              // 0
-        ProposalsRegistrationStarted,   // 1
-        ProposalsRegistrationEnded,     // 2
-        VotingSessionStarted,           // 3
-        VotingSessionEnded,             // 4
-        VotesTallied                    // 5
-    }
-
-    /// @notice the registered voters as {key=address, value=Voter} pairs
-    mapping(address => Voter) public voters;
-    
-    /// @notice the proposals as {ProposalId => Proposal} pairs
-    mapping(uint => Proposal) public proposals;        
+    function initialize(
+        address          _admin,
+        uint             _quorumPercentage,
+        IGovernanceToken _governanceToken,
+        BallotMode       _ballotMode,
+        uint[6] memory   _phaseDeadlines,
+        uint             _ballotId
+    ) public initializer {
+        require(_quorumPercentage <= 100, "Invalid quorum percentage");
 
-    /// @dev id of the winning Proposal
-    uint public winningProposalId;
+        quorumPercentage   = _quorumPercentage;
+        governanceToken    = _governanceToken;
+        ballotMode         = _ballotMode;
+        ballotId           = _ballotId;
+        winnersCount       = 1;
+        voteChangesAllowed = true;
+        round              = 1;
+        _voterListIds[1]   = 1;
+        _proposalIndex     = 1;
+        _firstProposalId   = 1;
+        _setPhaseDeadlines(_phaseDeadlines);
 
-    /// @dev the ids of registered proposals
-    uint[] private _proposalIds;
-
-    /// @dev intentionnaly iterate over `proposals` starting at 1 
-    ///        (skip over 0, which is the default value used when a proposalId is not set)
-    uint private _proposalIndex = 1;
-    
-    /// @dev the current ballot state
-    WorkflowStatus private _currentState;
-    
-
-    event VoterRegistered(address _voterAddress);
-    event ProposalsRegistrationStarted();
-    event ProposalsRegistrationEnded();
-    event ProposalRegistered(uint _proposalId);
-    event VotingSessionStarted();
-    event VotingSessionEnded();
-    event Voted(address _voterAddress, uint _proposalId);
-    event VotesTallied();
-    event WorkflowStatusChange(WorkflowStatus _previousState, WorkflowStatus _newState);
+        _setupRole(DEFAULT_ADMIN_ROLE, _admin);
+        _setupRole(REGISTRAR_ROLE, _admin);
+        _setupRole(CHAIR_ROLE, _admin);
+    }
 
     /**
      * @dev Allow the passed in public address to later on suggest a proposal then vote for one of the proposals.
      * @param _address the public address to allow (ie. add to the white list)
      */
     function registerVoter(address _address) public 
-            onlyOwner
+            onlyRegistrar
+            whenNotPaused
     {
         require(
             _currentState == WorkflowStatus.RegisteringVoters ,
             "Cannot register voters at this stage"
         );
+        _requireBeforeDeadline();
 
-        // Register the passed in public address associated to a fresh new Voter  
-        // who has not voted nor has a registered a proposal or voted for a proposal yet. 
-        voters[_address] = Voter(true, false, 0);
+        _registerVoter(_address);
+    }
 
-        emit VoterRegistered(_address);
+    /**
+     * @dev Allow several public addresses at once (Cf. `registerVoter`).
+     * @param _addresses the public addresses to allow
+     */
+    function registerVoters(address[] memory _addresses) public
+            onlyRegistrar
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.RegisteringVoters ,
+            "Cannot register voters at this stage"
+        );
+        _requireBeforeDeadline();
+
+        for (uint i=0; i < _addresses.length; i = i.add(1)) {
+            _registerVoter(_addresses[i]);
+        }
+    }
+
+    /**
+     * @dev Remove a public address registered by mistake from the white list.
+     * @param _address the registered public address to remove
+     */
+    function unregisterVoter(address _address) public
+            onlyRegistrar
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.RegisteringVoters ,
+            "Cannot unregister voters at this stage"
+        );
+        _requireBeforeDeadline();
+        require(
+            _isRegistered(_address),
+            "Not a registered voter"
+        );
+
+        // The address keeps its slot in the voter list, which shows it as unregistered
+        _registeredVoters[_voterListIds[round]][_address] = false;
+        _registrationChanges[round][_address]             = RegistrationChange.Unregistered;
+        delete _voters[round][_address];
+
+        totalVotingWeight     = totalVotingWeight.sub(_baseWeight());
+        registeredVotersCount = registeredVotersCount.sub(1);
+
+        emit VoterUnregistered(ballotId, round, _address);
+    }
+
+    /**
+     * @dev Publish the Merkle root of the addresses allowed to register themselves
+     *        with a proof, the first time they register a proposal or vote.
+     *        Leaves are `keccak256(abi.encodePacked(address))`, pairs are hashed sorted.
+     *        Not available with a `governanceToken`: a voter registering once the balances
+     *        are snapshotted would have no weight.
+     * @param _votersMerkleRoot the Merkle root, 0 to disable self-registration
+     */
+    function setVotersMerkleRoot(bytes32 _votersMerkleRoot) public
+            onlyRegistrar
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.RegisteringVoters ,
+            "Cannot register voters at this stage"
+        );
+        _requireBeforeDeadline();
+        require(
+            _votersMerkleRoot == 0 || address(governanceToken) == address(0),
+            "Cannot self-register in a token ballot"
+        );
+
+        votersMerkleRoot = _votersMerkleRoot;
+
+        emit VotersMerkleRootChanged(ballotId, round, _votersMerkleRoot);
+    }
+
+    /**
+     * @dev Register the caller as a Voter if the proof shows its address is in `votersMerkleRoot`.
+     *        Does nothing if the caller is already registered.
+     * @param _proof the sibling hashes from the caller's leaf up to the root
+     */
+    function _registerWithProof(bytes32[] memory _proof) private {
+        if (_isRegistered(msg.sender)) {
+            return;
+        }
+
+        require(
+            votersMerkleRoot != 0
+                && MerkleProof.verify(_proof, votersMerkleRoot, keccak256(abi.encodePacked(msg.sender))),
+            "Invalid Merkle proof"
+        );
+
+        _registerVoter(msg.sender);
+    }
+
+    /**
+     * @dev Register the passed in public address as a fresh new Voter
+     * @param _address the public address to allow
+     */
+    function _registerVoter(address _address) private {
+        uint voterListId = _voterListIds[round];
+
+        if (! _registeredVoters[voterListId][_address]) {
+            if (_voterPositions[voterListId][_address] == 0) {
+                require(
+                    ballotMode != BallotMode.RankedChoice
+                        || _voterAddresses[voterListId].length < MAX_RANKED_CHOICE_VOTERS,
+                    "Too many voters for a ranked-choice ballot"
+                );
+                _voterAddresses[voterListId].push(_address);
+                _voterPositions[voterListId][_address] = _voterAddresses[voterListId].length;
+            }
+            _registeredVoters[voterListId][_address] = true;
+            _registrationChanges[round][_address]    = RegistrationChange.Registered;
+            registeredVotersCount = registeredVotersCount.add(1);
+            totalVotingWeight     = totalVotingWeight.add(_baseWeight());
+        }
+
+        // The passed in public address gets a fresh new Voter (Cf. `_voter`) the first time
+        // they register a proposal, delegate or vote in this round.
+
+        emit VoterRegistered(ballotId, round, _address);
     }
     
+    /**
+     * @dev Choose how `tallyVotes` settles a tie (Cf. `VotingModes.setTiePolicy`)
+     */
+    function setTiePolicy(TiePolicy) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Choose how many proposals the tally elects (Cf. `VotingModes.setWinnersCount`)
+     */
+    function setWinnersCount(uint) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Limit the number of proposals per voter (Cf. `VotingModes.setMaxProposalsPerVoter`)
+     */
+    function setMaxProposalsPerVoter(uint) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Choose a commit-reveal ballot (Cf. `VotingModes.setSecretBallot`)
+     */
+    function setSecretBallot(bool) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Choose whether votes may be changed (Cf. `VotingModes.setVoteChangesAllowed`)
+     */
+    function setVoteChangesAllowed(bool) external {
+        _delegateToModes();
+    }
+
     /**
      * @dev Open the proposals registration phase
      */
     function startProposalRegistration() public
-            onlyOwner
+            onlyChairOrPastDeadline
+            whenNotPaused
     {
         require(
             _currentState == WorkflowStatus.RegisteringVoters,
@@ -102,15 +291,15 @@ contract Voting is Ownable {
 
         _currentState = WorkflowStatus.ProposalsRegistrationStarted;
 
-        emit WorkflowStatusChange(WorkflowStatus.RegisteringVoters, WorkflowStatus.ProposalsRegistrationStarted);
-        emit ProposalsRegistrationStarted();
+        emit WorkflowStatusChange(ballotId, round, WorkflowStatus.RegisteringVoters, WorkflowStatus.ProposalsRegistrationStarted);
     }
     
     /**
      * @dev Close the proposals registration phase
      */
     function endProposalRegistration() public
-            onlyOwner
+            onlyChairOrPastDeadline
+            whenNotPaused
     {
         require(
             _currentState == WorkflowStatus.ProposalsRegistrationStarted, 
@@ -119,83 +308,311 @@ contract Voting is Ownable {
 
         _currentState = WorkflowStatus.ProposalsRegistrationEnded;
 
-        emit WorkflowStatusChange(WorkflowStatus.ProposalsRegistrationStarted, WorkflowStatus.ProposalsRegistrationEnded);
-        emit ProposalsRegistrationEnded();
+        emit WorkflowStatusChange(ballotId, round, WorkflowStatus.ProposalsRegistrationStarted, WorkflowStatus.ProposalsRegistrationEnded);
     }
     
     /**
      * @dev The registered `Voter` associated with caller's public address
-     *        registers a proposal
+     *        registers a proposal, of which they become the author
+     */
+    function registerProposal(string memory _proposalDescription) public whenNotPaused {
+        _registerProposal(msg.sender, _proposalDescription, 0);
+    }
+
+    /**
+     * @dev Same as `registerProposal`, for a proposal whose content is stored off-chain.
+     * @param _title the short title of the proposal
+     * @param _contentHash the hash of the proposal document (e.g. its sha256 or the digest of its IPFS CID)
+     */
+    function registerProposalWithContent(string memory _title, bytes32 _contentHash) public whenNotPaused {
+        require(
+            _contentHash != 0,
+            "Missing proposal content hash"
+        );
+
+        _registerProposal(msg.sender, _title, _contentHash);
+    }
+
+    /**
+     * @dev Register a proposal signed by its author (a registered `Voter`), on their behalf:
+     *        anyone may submit it and pay for it.
+     * @param _author the signer, who becomes the author of the proposal
+     * @param _proposalDescription the description, or the title when there is a content hash
+     * @param _contentHash the hash of the proposal document, 0 for none (Cf. `registerProposalWithContent`)
+     * @param _deadline the time after which the signature can no longer be used
+     * @param _signature the EIP-712 signature of a `Proposal` (Cf. `PROPOSAL_TYPEHASH`)
+     *        carrying the author's current nonce
+     */
+    function registerProposalBySig(
+        address         _author,
+        string memory   _proposalDescription,
+        bytes32         _contentHash,
+        uint            _deadline,
+        bytes memory    _signature
+    ) public whenNotPaused {
+        _useSignature(
+            _author,
+            keccak256(abi.encode(
+                PROPOSAL_TYPEHASH,
+                keccak256(bytes(_proposalDescription)),
+                _contentHash,
+                nonces[_author],
+                _deadline
+            )),
+            _deadline,
+            _signature
+        );
+
+        _registerProposal(_author, _proposalDescription, _contentHash);
+    }
+
+    /**
+     * @dev Same as `registerProposal`, registering the caller as a Voter first (Cf. `setVotersMerkleRoot`)
+     * @param _proof the Merkle proof of the caller's address
+     */
+    function registerProposalWithProof(string memory _proposalDescription, bytes32[] memory _proof) public whenNotPaused {
+        _registerWithProof(_proof);
+
+        registerProposal(_proposalDescription);
+    }
+
+    /**
+     * @dev The author of a proposal replaces it with a new description.
+     * @param _proposalId the id of one of the caller's active proposals
+     * @param _proposalDescription the new description
      */
-    function registerProposal(string memory _proposalDescription) public {
+    function editProposal(uint _proposalId, string memory _proposalDescription) public whenNotPaused {
+        _editProposal(_proposalId, _proposalDescription, 0);
+    }
+
+    /**
+     * @dev The author of a proposal replaces it with off-chain content.
+     * @param _proposalId the id of one of the caller's active proposals
+     * @param _title the new short title
+     * @param _contentHash the hash of the new proposal document
+     */
+    function editProposalWithContent(uint _proposalId, string memory _title, bytes32 _contentHash) public whenNotPaused {
+        require(
+            _contentHash != 0,
+            "Missing proposal content hash"
+        );
+
+        _editProposal(_proposalId, _title, _contentHash);
+    }
+
+    /**
+     * @dev Register a proposal of an author (Cf. `registerProposal`).
+     */
+    function _registerProposal(address _author, string memory _proposalDescription, bytes32 _contentHash) private {
         require(
             _currentState == WorkflowStatus.ProposalsRegistrationStarted, 
             "Cannot register a proposal at this stage"
         );
+        _requireBeforeDeadline();
         require(
-            voters[msg.sender].isRegistered,
+            _isRegistered(_author),
             "Not registered as a voter"
         );
         require(
-            bytes(_proposalDescription).length != 0,
-            "Missing Proposal's description"
+            maxProposalsPerVoter == 0 || _proposalsCounts[round][_author] < maxProposalsPerVoter,
+            "Too many proposals"
+        );
+        require(
+            ballotMode != BallotMode.RankedChoice || _roundProposalIds[round].length < MAX_RANKED_CHOICE_PROPOSALS,
+            "Too many proposals for a ranked-choice ballot"
         );
+        _useDescription(_proposalDescription);
 
-        proposals[_proposalIndex] = Proposal(_proposalDescription, 0);
-        _proposalIds.push(_proposalIndex);
+        proposals[_proposalIndex]        = Proposal(_proposalDescription, 0, _author, ProposalStatus.Active, _contentHash);
+        _proposalsCounts[round][_author] = _proposalsCounts[round][_author].add(1);
+        _roundProposalIds[round].push(_proposalIndex);
         
-        emit ProposalRegistered(_proposalIndex);
+        emit ProposalRegistered(ballotId, round, _proposalIndex, _author, _proposalDescription, _contentHash);
         _proposalIndex = _proposalIndex.add(1);
     }
-    
-    
+
     /**
-     * @dev Start the voting sesion 
+     * @dev Replace the description and content hash of one of the caller's proposals (Cf. `editProposal`).
      */
-    function startVotingSession() public
-            onlyOwner
-    {
+    function _editProposal(uint _proposalId, string memory _proposalDescription, bytes32 _contentHash) private {
         require(
-            _currentState == WorkflowStatus.ProposalsRegistrationEnded,
-            "Cannot start the voting session at this stage"
+            _currentState == WorkflowStatus.ProposalsRegistrationStarted,
+            "Cannot edit a proposal at this stage"
         );
+        _requireBeforeDeadline();
+        _requireOwnActiveProposal(_proposalId);
 
-        _currentState = WorkflowStatus.VotingSessionStarted;
-        
-        emit WorkflowStatusChange(WorkflowStatus.ProposalsRegistrationEnded, WorkflowStatus.VotingSessionStarted);
-        emit VotingSessionStarted();
+        _releaseDescription(proposals[_proposalId].description);
+        _useDescription(_proposalDescription);
+        proposals[_proposalId].description = _proposalDescription;
+        proposals[_proposalId].contentHash = _contentHash;
+
+        emit ProposalEdited(ballotId, round, _proposalId, msg.sender, _proposalDescription, _contentHash);
+    }
+
+    /**
+     * @dev The author of a proposal withdraws it: it can no longer be voted for
+     *        and its description can be registered again.
+     *        It still counts in the author's `maxProposalsPerVoter`, so that registering
+     *        and withdrawing cannot go on without end.
+     * @param _proposalId the id of one of the caller's active proposals
+     */
+    function withdrawProposal(uint _proposalId) public whenNotPaused {
+        require(
+            _currentState == WorkflowStatus.ProposalsRegistrationStarted,
+            "Cannot withdraw a proposal at this stage"
+        );
+        _requireBeforeDeadline();
+        _requireOwnActiveProposal(_proposalId);
+
+        _releaseDescription(proposals[_proposalId].description);
+        proposals[_proposalId].status = ProposalStatus.Withdrawn;
+
+        emit ProposalWithdrawn(ballotId, round, _proposalId, msg.sender);
+    }
+    
+    
+    /**
+     * @dev Start the voting sesion (Cf. `VotingModes.startVotingSession`)
+     */
+    function startVotingSession() external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Snapshot the voting weights of the next voters (Cf. `VotingModes.snapshotVotingWeights`)
+     */
+    function snapshotVotingWeights(uint) external {
+        _delegateToModes();
     }
     
     /**
      * @dev The registered `Voter` associated with the caller's public
      *         address casts a vote for a proposal.
+     * @param _proposalId the id of a registered proposal
+     */
+    function vote(uint _proposalId) public whenNotPaused {
+        _vote(msg.sender, _proposalId);
+    }
+
+    /**
+     * @dev Cast a vote signed by a registered `Voter`, on their behalf:
+     *        anyone may submit it and pay for it.
+     *        Only in a plurality ballot ("Not a plurality ballot" otherwise):
+     *        ranked-choice and approval voters cast their own ballot (Cf. `voteRanked`, `approve`).
+     * @param _voterAddress the signer
+     * @param _proposalId the id of a registered proposal
+     * @param _deadline the time after which the signature can no longer be used
+     * @param _signature the EIP-712 signature of a `Vote` (Cf. `VOTE_TYPEHASH`)
+     *        carrying the voter's current nonce
+     */
+    function voteBySig(address _voterAddress, uint _proposalId, uint _deadline, bytes memory _signature) public whenNotPaused {
+        require(
+            ballotMode == BallotMode.Plurality,
+            "Not a plurality ballot"
+        );
+        _useSignature(
+            _voterAddress,
+            keccak256(abi.encode(VOTE_TYPEHASH, _proposalId, nonces[_voterAddress], _deadline)),
+            _deadline,
+            _signature
+        );
+
+        _vote(_voterAddress, _proposalId);
+    }
+
+    /**
+     * @dev Cast the vote of a voter (Cf. `vote`).
      */
-    function vote(uint _proposalId) public {
+    function _vote(address _voterAddress, uint _proposalId) private {
         require(
             _currentState == WorkflowStatus.VotingSessionStarted,
             "Cannot vote at this stage"
         );
+        _requireBeforeDeadline();
+
+        Voter storage voter = _voter(_voterAddress);
         require(
-            voters[msg.sender].isRegistered,
+            voter.isRegistered,
             "Not a registered voter"
         );
         require(
-            ! voters[msg.sender].hasVoted,
+            ! voter.hasVoted,
             "Already voted"
         );
+        require(
+            ! secretBallot,
+            "Votes must be committed in a secret ballot"
+        );
+        require(
+            ballotMode == BallotMode.Plurality,
+            "Not a plurality ballot"
+        );
+        _requireVotableProposal(_proposalId);
         
-        voters[msg.sender].hasVoted        = true;
-        voters[msg.sender].votedProposalId = _proposalId;
-        proposals[_proposalId].voteCount   = proposals[_proposalId].voteCount.add(1);
+        voter.hasVoted = true;
+
+        _countVote(_voterAddress, _proposalId);
+    }
+
+    /**
+     * @dev Cast a ranked-choice vote (Cf. `VotingModes.voteRanked`)
+     */
+    function voteRanked(uint[] calldata) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Cast an approval vote (Cf. `VotingModes.approve`)
+     */
+    function approve(uint[] calldata) external {
+        _delegateToModes();
+    }
 
-       emit Voted(msg.sender, _proposalId);       
+    /**
+     * @dev Commit a vote in a secret ballot (Cf. `VotingModes.commitVote`)
+     */
+    function commitVote(bytes32) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Delegate a vote (Cf. `VotingModes.delegate`)
+     */
+    function delegate(address) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Same as `vote`, registering the caller as a Voter first (Cf. `setVotersMerkleRoot`)
+     * @param _proof the Merkle proof of the caller's address
+     */
+    function voteWithProof(uint _proposalId, bytes32[] memory _proof) public whenNotPaused {
+        _registerWithProof(_proof);
+
+        vote(_proposalId);
+    }
+
+    /**
+     * @dev Change a vote (Cf. `VotingModes.changeVote`)
+     */
+    function changeVote(uint) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Revoke a vote (Cf. `VotingModes.revokeVote`)
+     */
+    function revokeVote() external {
+        _delegateToModes();
     }
 
     /**
      * @dev Close the voting sesion 
      */
     function endVotingSession() public
-            onlyOwner
+            onlyChairOrPastDeadline
+            whenNotPaused
     {
         require(
             _currentState == WorkflowStatus.VotingSessionStarted,
@@ -205,57 +622,445 @@ contract Voting is Ownable {
         _currentState = WorkflowStatus.VotingSessionEnded;
 
         emit WorkflowStatusChange(
+            ballotId,
+            round,
             WorkflowStatus.VotingSessionStarted, 
             WorkflowStatus.VotingSessionEnded
         );
-        emit VotingSessionEnded();
     }
-    
+
     /**
-     *  @dev Tally the votes
-     *         The most voted proposal wins.
-     * */
-    function tallyVotes() public 
-            onlyOwner
-    {
+     * @dev Start revealing the votes of a secret ballot (Cf. `VotingModes.startVotesReveal`)
+     */
+    function startVotesReveal() external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Reveal a committed vote (Cf. `VotingModes.revealVote`)
+     */
+    function revealVote(uint, bytes32) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Tally the votes (Cf. `VotingModes.tallyVotes`)
+     */
+    function tallyVotes() external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Break a tie (Cf. `VotingModes.breakTie`)
+     */
+    function breakTie(uint) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Start a new round (Cf. `VotingModes.startNewRound`)
+     */
+    function startNewRound(bool, uint[6] calldata) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Pause the ballot (Cf. `VotingModes.pause`)
+     */
+    function pause() external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Resume a paused ballot (Cf. `VotingModes.unpause`)
+     */
+    function unpause() external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Void the ballot for good (Cf. `VotingModes.cancel`)
+     */
+    function cancel(string calldata) external {
+        _delegateToModes();
+    }
+
+    /**
+     * @dev Revert unless the id is one of an active proposal of the caller.
+     */
+    function _requireOwnActiveProposal(uint _proposalId) private view {
+        Proposal storage proposal = proposals[_proposalId];
+
+        require(
+            proposal.status != ProposalStatus.None && _proposalId >= _firstProposalId,
+            "Unknown proposal"
+        );
         require(
-            _currentState == WorkflowStatus.VotingSessionEnded,
-            "Cannot tally votes at this stage"
+            proposal.author == msg.sender,
+            "Not the proposal's author"
         );
+        require(
+            proposal.status == ProposalStatus.Active,
+            "Withdrawn proposal"
+        );
+    }
 
-        uint maxVotes = 0;        
-        
-        // Find the id of the most voted proposal
-        for (uint i=1; i < _proposalIndex; i = i.add(1)) {
-            if (proposals[i].voteCount > maxVotes) {
-                winningProposalId = i;
-                maxVotes          = proposals[i].voteCount;
-            }
-        }
-        
-        emit WorkflowStatusChange(
-            WorkflowStatus.VotingSessionEnded,
-            WorkflowStatus.VotesTallied
+    /**
+     * @dev Check a new description then reserve it, so that no other active proposal uses it.
+     */
+    function _useDescription(string memory _proposalDescription) private {
+        require(
+            bytes(_proposalDescription).length != 0,
+            "Missing Proposal's description"
+        );
+        require(
+            bytes(_proposalDescription).length <= MAX_DESCRIPTION_LENGTH,
+            "Proposal's description too long"
         );
-        emit VotesTallied();
+
+        bytes32 descriptionHash = keccak256(bytes(_proposalDescription));
+        require(
+            ! _activeDescriptions[round][descriptionHash],
+            "Duplicate proposal description"
+        );
+        _activeDescriptions[round][descriptionHash] = true;
     }
-    
+
+    /**
+     * @dev Make a description available again, once its proposal is edited or withdrawn.
+     */
+    function _releaseDescription(string memory _proposalDescription) private {
+        delete _activeDescriptions[round][keccak256(bytes(_proposalDescription))];
+    }
+
+    /**
+     * @dev Check an EIP-712 signature of an account, then use up their nonce
+     *        so that the signature cannot be replayed.
+     * @param _structHash the hash of the signed struct, carrying the signer's current nonce
+     */
+    function _useSignature(address _signer, bytes32 _structHash, uint _deadline, bytes memory _signature) private {
+        require(now <= _deadline, "Signature expired");
+        require(
+            ECDSA.recover(_hashTypedDataV4(_structHash), _signature) == _signer,
+            "Invalid signature"
+        );
+
+        nonces[_signer] = nonces[_signer].add(1);
+    }
+
+    /**
+     * @dev Compute the domain separator instead of reading the one `EIP712` caches:
+     *        a clone shares the cached value of its implementation, whose address differs.
+     */
+    function _domainSeparatorV4() internal view override returns (bytes32) {
+        uint chainId;
+        assembly {
+            chainId := chainid()
+        }
+
+        return keccak256(abi.encode(_DOMAIN_TYPEHASH, keccak256("Voting"), keccak256("1"), chainId, address(this)));
+    }
+
+    /**
+     * @dev Run the called function of `votingModes` on the storage of this ballot,
+     *        with the same caller, then return or revert with its result.
+     */
+    function _delegateToModes() private {
+        address modes = address(votingModes);
+
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), modes, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+
+    /**
+     * @return the current state of the ballot.
+     */
+    function getWorkflowStatus() public view returns (WorkflowStatus) {
+        return _currentState;
+    }
+
+    /**
+     * @return isRegistered whether the address is registered as a voter in the current round
+     * @return hasVoted whether the voter has voted (or delegated their vote)
+     * @return votedProposalId the id of the proposal they voted for
+     * @return weight the weight of the voter, the weights delegated to them included
+     * @return delegateAddress the voter they delegated their vote to
+     * @param _address the public address of the voter
+     */
+    function voters(address _address) public view
+            returns (bool isRegistered, bool hasVoted, uint votedProposalId, uint weight, address delegateAddress)
+    {
+        Voter memory voter = _roundVoter(round, _address);
+
+        return (voter.isRegistered, voter.hasVoted, voter.votedProposalId, voter.weight, voter.delegate);
+    }
+
+    /**
+     * @return the commitment of a voter who has not revealed their vote yet (0 when none).
+     * @param _voterAddress the public address of the voter
+     */
+    function voteCommitments(address _voterAddress) public view returns (bytes32) {
+        return _voteCommitments[round][_voterAddress];
+    }
+
+    /**
+     * @return the number of proposals a voter registered in the current round, withdrawn ones included.
+     * @param _voterAddress the public address of the voter
+     */
+    function proposalsCountOf(address _voterAddress) public view returns (uint) {
+        return _proposalsCounts[round][_voterAddress];
+    }
+
+    /**
+     * @return the EIP-712 domain separator of the signed votes and proposals.
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @return the ids of the winning proposals: several on a tie, none when nobody voted.
+     */
+    function getWinningProposalIds() public view returns (uint[] memory) {
+        return _winningProposalIds;
+    }
+
+    /**
+     * @return the proposal ids approved by a voter.
+     * @param _voterAddress the public address of the voter
+     */
+    function getApprovedProposalIds(address _voterAddress) public view returns (uint[] memory) {
+        return _approvedProposalIds[round][_voterAddress];
+    }
+
+    /**
+     * @return the proposal ids ranked by a voter, most preferred first.
+     * @param _voterAddress the public address of the voter
+     */
+    function getRankedChoices(address _voterAddress) public view returns (uint[] memory) {
+        return _rankedChoices[round][_voterAddress];
+    }
+
+    /**
+     * @return the number of instant-runoff rounds of the tally of a round.
+     * @param _round the number of the round, from 1 up to the current one
+     */
+    function getInstantRunoffRoundsCount(uint _round) public view returns (uint) {
+        _requireKnownRound(_round);
+
+        return _instantRunoffRounds[_round].length;
+    }
+
+    /**
+     * @return the vote counts of an instant-runoff round of the tally of a round,
+     *         by proposal of that round, in id order (Cf. `getRoundProposalIds`).
+     * @param _round the number of the round, from 1 up to the current one
+     * @param _index the index of the instant-runoff round, starting at 0
+     */
+    function getInstantRunoffRound(uint _round, uint _index) public view returns (uint[] memory) {
+        _requireKnownRound(_round);
+
+        return _instantRunoffRounds[_round][_index];
+    }
+
     /**
      * @return the ids of all the registered proposals.
      */
     function getProposalIds() public view returns (uint[] memory) {
-        return _proposalIds;
+        return _roundProposalIds[round];
     }
 
     /**
-     *  @return the description and vote count of a proposal with a given id.
+     *  @return the description, vote count, author, status and content hash of a proposal with a given id.
      *  @param _proposalId the id of a proposal we want to get the details of
      */
     function getProposal(uint _proposalId) public view 
-            returns(string memory, uint)
+            returns(string memory, uint, address, ProposalStatus, bytes32)
     {
         Proposal memory proposal = proposals[_proposalId];
 
-        return (proposal.description, proposal.voteCount);
+        return (proposal.description, proposal.voteCount, proposal.author, proposal.status, proposal.contentHash);
+    }
+
+    /**
+     * @return the number of registered proposals (Cf. `getProposalsPage`).
+     */
+    function getProposalsCount() public view returns (uint) {
+        return _roundProposalIds[round].length;
+    }
+
+    /**
+     * @dev Read the proposals page by page, in registration order, withdrawn ones included.
+     * @param _offset the index of the first proposal of the page
+     * @param _limit the maximum number of proposals in the page
+     * @return ids the ids of the proposals of the page
+     * @return page the proposals of the page (empty once `_offset` reaches `getProposalsCount`)
+     */
+    function getProposalsPage(uint _offset, uint _limit) public view
+            returns (uint[] memory ids, Proposal[] memory page)
+    {
+        uint size = _pageSize(_roundProposalIds[round].length, _offset, _limit);
+        ids       = new uint[](size);
+        page      = new Proposal[](size);
+
+        for (uint i=0; i < size; i = i.add(1)) {
+            ids[i]  = _roundProposalIds[round][_offset.add(i)];
+            page[i] = proposals[ids[i]];
+        }
+    }
+
+    /**
+     * @return the number of addresses in the voter list, unregistered ones included (Cf. `getVotersPage`).
+     */
+    function getVotersCount() public view returns (uint) {
+        return _voterAddresses[_voterListIds[round]].length;
+    }
+
+    /**
+     * @dev Read the voter list page by page, in registration order, unregistered voters included.
+     *        The voter list carries over to a new round with its voters (Cf. `startNewRound`).
+     * @param _offset the index of the first voter of the page
+     * @param _limit the maximum number of voters in the page
+     * @return addresses the addresses of the voters of the page
+     * @return page the voters of the page (empty once `_offset` reaches `getVotersCount`)
+     */
+    function getVotersPage(uint _offset, uint _limit) public view
+            returns (address[] memory addresses, Voter[] memory page)
+    {
+        address[] storage voterAddresses = _voterAddresses[_voterListIds[round]];
+
+        uint size = _pageSize(voterAddresses.length, _offset, _limit);
+        addresses = new address[](size);
+        page      = new Voter[](size);
+
+        for (uint i=0; i < size; i = i.add(1)) {
+            addresses[i] = voterAddresses[_offset.add(i)];
+            page[i]      = _roundVoter(round, addresses[i]);
+        }
+    }
+
+    /**
+     * @return the results of a round: as they were at its end for a past round (Cf. `getResults`).
+     * @param _round the number of the round, from 1 up to the current one
+     */
+    function getRoundResults(uint _round) public view returns (Results memory) {
+        _requireKnownRound(_round);
+
+        return _round == round ? getResults() : _roundResults[_round];
+    }
+
+    /**
+     * @return the ids of the proposals registered in a round (Cf. `getProposal`).
+     * @param _round the number of the round, from 1 up to the current one
+     */
+    function getRoundProposalIds(uint _round) public view returns (uint[] memory) {
+        _requireKnownRound(_round);
+
+        return _roundProposalIds[_round];
+    }
+
+    /**
+     * @return addresses the addresses of the registered voters of a round
+     * @return roundVoters the voters of the round: as they were at its end for a past round
+     * @param _round the number of the round, from 1 up to the current one
+     */
+    function getRoundVoters(uint _round) public view
+            returns (address[] memory addresses, Voter[] memory roundVoters)
+    {
+        _requireKnownRound(_round);
+
+        address[] storage voterAddresses = _voterAddresses[_voterListIds[_round]];
+
+        // The voter list of a past round may have grown or changed since it ended
+        uint count = 0;
+        for (uint i=0; i < voterAddresses.length; i = i.add(1)) {
+            if (_isRegisteredIn(_round, voterAddresses[i])) {
+                count = count.add(1);
+            }
+        }
+
+        addresses   = new address[](count);
+        roundVoters = new Voter[](count);
+        count       = 0;
+        for (uint i=0; i < voterAddresses.length; i = i.add(1)) {
+            if (_isRegisteredIn(_round, voterAddresses[i])) {
+                addresses[count]   = voterAddresses[i];
+                roundVoters[count] = _roundVoter(_round, voterAddresses[i]);
+                count              = count.add(1);
+            }
+        }
+    }
+
+    /**
+     * @return the proposal ids a voter ranked (ranked-choice ballot) or approved (approval ballot) in a round.
+     * @param _round the number of the round, from 1 up to the current one
+     * @param _voterAddress the public address of the voter
+     */
+    function getRoundChoices(uint _round, address _voterAddress) public view returns (uint[] memory) {
+        _requireKnownRound(_round);
+
+        return ballotMode == BallotMode.Approval
+            ? _approvedProposalIds[_round][_voterAddress]
+            : _rankedChoices[_round][_voterAddress];
+    }
+
+    /**
+     * @return voter the voter at an address in a round: a registered voter who did not take part in it
+     *         has a fresh ballot, an address which was not registered an empty voter.
+     */
+    function _roundVoter(uint _round, address _address) private view returns (Voter memory voter) {
+        voter = _voters[_round][_address];
+
+        if (! voter.isRegistered && _isRegisteredIn(_round, _address)) {
+            voter.isRegistered = true;
+            voter.weight       = _baseWeight();
+        }
+    }
+
+    /**
+     * @return whether an address was registered as a voter at the end of a round (or is, for the current one):
+     *         the last registration change since the voter list of the round started tells.
+     */
+    function _isRegisteredIn(uint _round, address _address) private view returns (bool) {
+        if (_round == round) {
+            return _isRegistered(_address);
+        }
+
+        for (uint r=_round; r >= _voterListIds[_round]; r--) {
+            if (_registrationChanges[r][_address] != RegistrationChange.None) {
+                return _registrationChanges[r][_address] == RegistrationChange.Registered;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Revert unless a round has started.
+     */
+    function _requireKnownRound(uint _round) private view {
+        require(
+            _round != 0 && _round <= round,
+            "Unknown round"
+        );
+    }
+
+    /**
+     * @return the number of entries of a page within a list of `_length` entries.
+     */
+    function _pageSize(uint _length, uint _offset, uint _limit) private pure returns (uint) {
+        if (_offset >= _length) {
+            return 0;
+        }
+
+        uint remaining = _length - _offset;
+        return _limit < remaining ? _limit : remaining;
     }
 }
@@ -0,0 +1,488 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.6.11;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/Initializable.sol";
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "./IGovernanceToken.sol";
+
+/**
+ * @notice the state, events and rules of a ballot, shared by `Voting` and `VotingModes`
+ * @dev `VotingModes` runs on the storage of a `Voting` contract (Cf. `Voting.votingModes`):
+ *        neither of them may declare any state of its own, so that both keep this storage layout.
+ *        The state is set up by `Voting.initialize`, not by initial values: a ballot may be a clone
+ *        of a `Voting` contract (Cf. `VotingFactory`), which only shares its code.
+ */
+abstract contract VotingBase is Initializable, AccessControl {
+
+    using SafeMath for uint;
+
+    /// @notice the role of the accounts handling the white list of voters
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+
+    /// @notice the role of the accounts driving the phases and the tally
+    bytes32 public constant CHAIR_ROLE     = keccak256("CHAIR_ROLE");
+
+    /**
+     * @dev By default a `Voter` is not registered, has not voted 
+    *         for a proposal yet.
+     *        A registered `Voter` weighs 1 (or their `governanceToken` voting power snapshot)
+     *        plus the weights delegated to them,
+     *        `hasVoted` is also set once they have delegated their vote.
+     *        Each round has its own voters (Cf. `_voter`).
+     */
+    struct Voter {
+        bool    isRegistered;
+        bool    hasVoted;
+        uint    votedProposalId;
+        uint    weight;
+        address delegate;
+    }
+    
+    /**
+     * @dev A proposal holds a descriptive text
+     *        and the number votes it received.
+     *        A proposal with a `contentHash` is described off-chain (Cf. lib/proposalContent.js),
+     *        its `description` being a short title.
+     *        Its author may edit or withdraw it while proposals are being registered.
+     */
+    struct Proposal {
+        string          description;
+        uint            voteCount;
+        address         author;
+        ProposalStatus  status;
+        bytes32         contentHash;
+    }
+
+    /**
+     * @dev The outcome of the ballot at a glance (Cf. `getResults`).
+     */
+    struct Results {
+        WorkflowStatus  status;
+        TallyOutcome    outcome;
+        uint[]          winningProposalIds;
+        uint[]          winningVoteCounts;
+        uint            votesCastCount;
+        uint            totalVotingWeight;
+        uint            registeredVotersCount;
+        uint            proposalsCount;
+        uint            quorumPercentage;
+        bool            quorumReached;
+        uint            runoffRound;
+    }
+
+    /// @dev the lifecycle of a proposal
+    enum ProposalStatus {
+        None,                           // 0: no proposal has this id
+        Active,                         // 1
+        Withdrawn                       // 2: withdrawn by its author, cannot be voted for
+    }
+    
+    /// @dev the different states of the ballot
+    enum WorkflowStatus {
+        RegisteringVoters,              // 0
+        ProposalsRegistrationStarted,   // 1
+        ProposalsRegistrationEnded,     // 2
+        VotingSessionStarted,           // 3
+        VotingSessionEnded,             // 4
+        VotesTallied,                   // 5
+        RevealingVotes,                 // 6: between VotingSessionEnded and VotesTallied, for a secret ballot
+        Cancelled                       // 7: voided by the chair (Cf. `cancel`), for good
+    }
+
+    /// @dev how voters fill in their ballot
+    enum BallotMode {
+        Plurality,                      // 0: one proposal per voter (`vote`)
+        RankedChoice,                   // 1: an ordered list of proposals per voter (`voteRanked`), tallied by instant-runoff
+        Approval                        // 2: any set of proposals per voter (`approve`), each getting the voter's weight
+    }
+
+    /// @dev how `tallyVotes` settles proposals sharing the highest vote count
+    enum TiePolicy {
+        ReportAll,                      // 0: every tied proposal is reported as a winner
+        Runoff,                         // 1: the tied proposals go through a new voting session
+        ChairDecides                    // 2: the chair picks the winner among the tied proposals
+    }
+
+    /// @dev how the registration of a voter changed in a round
+    enum RegistrationChange {
+        None,                           // 0
+        Registered,                     // 1
+        Unregistered                    // 2
+    }
+
+    /// @dev the result of the tally
+    enum TallyOutcome {
+        NotTallied,                     // 0
+        SingleWinner,                   // 1
+        Tie,                            // 2
+        NoVotes,                        // 3
+        FailedQuorum,                   // 4
+        MultipleWinners                 // 5: the `winnersCount` most voted proposals win
+    }
+
+    /// @dev the voters of each round as {round => {key=address, value=Voter}}: a voter carried over
+    ///        to a round has no entry of their own until they take part in it (Cf. `_voter`)
+    mapping(uint => mapping(address => Voter)) internal _voters;
+    
+    /// @notice the proposals as {ProposalId => Proposal} pairs
+    mapping(uint => Proposal) public proposals;        
+
+    /// @dev id of the winning Proposal (0 when there is no single winner)
+    uint public winningProposalId;
+
+    /// @notice the tie policy applied by `tallyVotes`
+    TiePolicy public tiePolicy;
+
+    /// @notice the result of the last tally
+    TallyOutcome public tallyOutcome;
+
+    /// @notice the number of runoff sessions held so far
+    uint public runoffRound;
+
+    /// @notice the minimum share of the voting weight (in percent) that must be cast for the tally to elect a winner
+    uint public quorumPercentage;
+
+    /// @notice the number of registered voters
+    uint public registeredVotersCount;
+
+    /// @notice the weight of the votes cast in the current voting session
+    uint public votesCastCount;
+
+    /// @notice the total weight of the registered voters
+    uint public totalVotingWeight;
+
+    /// @notice the token whose voting power weighs the votes (0 for one vote per voter)
+    IGovernanceToken public governanceToken;
+
+    /// @notice the block whose `governanceToken` voting power weighs the votes, the one before the first
+    ///         snapshot batch (0 until then): every batch reads the same block (Cf. `snapshotVotingWeights`)
+    uint public snapshotBlockNumber;
+
+    /// @notice the number of registered voters whose `governanceToken` voting power is snapshotted,
+    ///         in their registration order (Cf. `snapshotVotingWeights`)
+    uint public snapshottedVotersCount;
+
+    /// @notice how voters fill in their ballot
+    BallotMode public ballotMode;
+
+    /// @dev the ranked proposal ids of each voter by round, most preferred first (ranked-choice ballot only)
+    mapping(uint => mapping(address => uint[])) internal _rankedChoices;
+
+    /// @dev the vote counts of each instant-runoff round of the tally by round,
+    ///        by proposal of the round (ranked-choice ballot only)
+    mapping(uint => uint[][]) internal _instantRunoffRounds;
+
+    /// @dev the proposal ids approved by each voter by round (approval ballot only)
+    mapping(uint => mapping(address => uint[])) internal _approvedProposalIds;
+
+    /// @notice the number of proposals the tally elects
+    uint public winnersCount;
+
+    /// @notice the id of the ballot in the `VotingFactory` which created it
+    uint public ballotId;
+
+    /// @notice the deadline (unix time) of the RegisteringVoters, ProposalsRegistrationStarted,
+    ///         ProposalsRegistrationEnded, VotingSessionStarted, VotingSessionEnded and RevealingVotes phases,
+    ///         0 for no deadline. Past the VotingSessionEnded one, anyone may start the reveal or tally the votes,
+    ///         past the RevealingVotes one, anyone may tally the votes.
+    uint[6] public phaseDeadlines;
+
+    /// @dev when the voting session of the current round, or of its latest runoff, started
+    uint internal _votingSessionStart;
+
+    /// @notice the Merkle root of the addresses allowed to register themselves (0 when none)
+    bytes32 public votersMerkleRoot;
+
+    /// @notice whether votes are committed then revealed instead of being cast openly
+    bool public secretBallot;
+
+    /// @notice whether voters may change or revoke their open vote while the voting session is open
+    bool public voteChangesAllowed;
+
+    /// @dev the commitment of each voter by round, until they reveal their vote (0 when none)
+    mapping(uint => mapping(address => bytes32)) internal _voteCommitments;
+
+    /// @notice the maximum number of proposals per voter and round, withdrawn ones included, 0 for no limit
+    uint public maxProposalsPerVoter;
+
+    /// @dev the number of proposals each voter registered by round, withdrawn ones included
+    mapping(uint => mapping(address => uint)) internal _proposalsCounts;
+
+    /// @notice the nonce the next signature of each account must carry (Cf. `voteBySig`)
+    mapping(address => uint) public nonces;
+
+    /// @dev the hashes of the descriptions of active proposals by round, to reject duplicates
+    mapping(uint => mapping(bytes32 => bool)) internal _activeDescriptions;
+
+    /// @dev the ids of the proposals sharing the highest vote count
+    uint[] internal _winningProposalIds;
+
+    /// @dev the last runoff round each proposal is a candidate of
+    mapping(uint => uint) internal _runoffRoundOf;
+
+    /// @dev the id of the voter list of each round: the round the list was started in.
+    ///        A round carrying the voters over shares the voter list of the previous one.
+    mapping(uint => uint) internal _voterListIds;
+
+    /// @dev the addresses ever registered in each voter list, in registration order, unregistered ones included
+    mapping(uint => address[]) internal _voterAddresses;
+
+    /// @dev the position of each address in `_voterAddresses` by voter list, plus 1 (0 when never registered)
+    mapping(uint => mapping(address => uint)) internal _voterPositions;
+
+    /// @dev whether each address is currently registered, by voter list
+    mapping(uint => mapping(address => bool)) internal _registeredVoters;
+
+    /// @dev the registration changes of each round, to tell the registered voters of a past round
+    mapping(uint => mapping(address => RegistrationChange)) internal _registrationChanges;
+
+    /// @dev the ids of the proposals registered in each round
+    mapping(uint => uint[]) internal _roundProposalIds;
+
+    /// @dev intentionnaly iterate over `proposals` starting at 1 
+    ///        (skip over 0, which is the default value used when a proposalId is not set)
+    uint internal _proposalIndex;
+
+    /// @notice whether the chair has paused the ballot: every state-changing function reverts until unpaused
+    bool public paused;
+
+    /// @dev when the ballot was last paused
+    uint internal _pausedAt;
+
+    /// @notice why the chair cancelled the ballot (empty unless `Cancelled`)
+    string public cancellationReason;
+
+    /// @notice the number of the current round, from 1 (Cf. `startNewRound`)
+    uint public round;
+
+    /// @dev the id of the first proposal of the current round: proposal ids keep increasing across rounds
+    uint internal _firstProposalId;
+
+    /// @dev the results of each past round
+    mapping(uint => Results) internal _roundResults;
+
+    /// @dev the current ballot state
+    WorkflowStatus internal _currentState;
+    
+
+    // Every event is indexed by `_ballotId`, then by the voter and proposal it is about
+    event VoterRegistered(uint indexed _ballotId, uint _round, address indexed _voterAddress);
+    event VoterUnregistered(uint indexed _ballotId, uint _round, address indexed _voterAddress);
+    event VotersMerkleRootChanged(uint indexed _ballotId, uint _round, bytes32 _votersMerkleRoot);
+    event ProposalRegistered(uint indexed _ballotId, uint _round, uint indexed _proposalId, address indexed _author, string _description, bytes32 _contentHash);
+    event ProposalEdited(uint indexed _ballotId, uint _round, uint indexed _proposalId, address indexed _author, string _description, bytes32 _contentHash);
+    event ProposalWithdrawn(uint indexed _ballotId, uint _round, uint indexed _proposalId, address indexed _author);
+    event MaxProposalsPerVoterChanged(uint indexed _ballotId, uint _round, uint _maxProposalsPerVoter);
+    event Voted(uint indexed _ballotId, uint _round, address indexed _voterAddress, uint indexed _proposalId, uint _weight);
+    event Delegated(uint indexed _ballotId, uint _round, address indexed _voterAddress, address indexed _delegateAddress, uint _weight);
+    event SecretBallotChanged(uint indexed _ballotId, uint _round, bool _secretBallot);
+    event VoteChangesAllowedChanged(uint indexed _ballotId, uint _round, bool _voteChangesAllowed);
+    event VoteChanged(uint indexed _ballotId, uint _round, address indexed _voterAddress, uint indexed _proposalId, uint _previousProposalId, uint _weight);
+    event VoteRevoked(uint indexed _ballotId, uint _round, address indexed _voterAddress, uint[] _proposalIds, uint _weight);
+    event VoteCommitted(uint indexed _ballotId, uint _round, address indexed _voterAddress, bytes32 _commitment);
+    event VotingWeightsSnapshotted(uint indexed _ballotId, uint _round, uint _blockNumber, uint _snapshottedVotersCount, uint _totalVotingWeight);
+    event Approved(uint indexed _ballotId, uint _round, address indexed _voterAddress, uint[] _proposalIds, uint _weight);
+    event WinnersCountChanged(uint indexed _ballotId, uint _round, uint _winnersCount);
+    event VotesTallied(uint indexed _ballotId, uint _round, TallyOutcome _outcome, uint[] _winningProposalIds, uint[] _winningVoteCounts, uint _votesCastCount);
+    event TiePolicyChanged(uint indexed _ballotId, uint _round, TiePolicy _tiePolicy);
+    event RunoffStarted(uint indexed _ballotId, uint _round, uint _runoffRound, uint[] _proposalIds);
+    event BallotPaused(uint indexed _ballotId, uint _round, address _account);
+    event BallotUnpaused(uint indexed _ballotId, uint _round, address _account);
+    event BallotCancelled(uint indexed _ballotId, uint _round, string _reason);
+    event RoundStarted(uint indexed _ballotId, uint _round, bool _votersKept);
+    event TieBroken(uint indexed _ballotId, uint _round, uint indexed _proposalId, uint _voteCount);
+    // The single event of every phase change
+    event WorkflowStatusChange(uint indexed _ballotId, uint _round, WorkflowStatus _previousState, WorkflowStatus indexed _newState);
+
+    /**
+     * @dev Registrars handle the white list of voters.
+     */
+    modifier onlyRegistrar() {
+        require(
+            hasRole(REGISTRAR_ROLE, _msgSender()),
+            "Caller is not a registrar"
+        );
+        _;
+    }
+
+    /**
+     * @dev Chairs set up the ballot, drive its phases and tally the votes.
+     */
+    modifier onlyChair() {
+        require(
+            hasRole(CHAIR_ROLE, _msgSender()),
+            "Caller is not a chair"
+        );
+        _;
+    }
+
+    /**
+     * @dev Once the deadline of the current phase has passed,
+     *        anyone may move the workflow on to the next phase.
+     */
+    modifier onlyChairOrPastDeadline() {
+        require(
+            hasRole(CHAIR_ROLE, _msgSender()) || _isPastDeadline(),
+            "Caller is not a chair"
+        );
+        _;
+    }
+
+    /**
+     * @dev Every state-changing function stops while the ballot is paused.
+     */
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    /**
+     * @return ids the ids of the winning proposals, most voted first
+     * @return voteCounts the vote count of each winning proposal
+     */
+    function getWinners() public view returns (uint[] memory ids, uint[] memory voteCounts) {
+        ids        = _winningProposalIds;
+        voteCounts = new uint[](ids.length);
+
+        for (uint i=0; i < ids.length; i = i.add(1)) {
+            voteCounts[i] = proposals[ids[i]].voteCount;
+        }
+    }
+
+    /**
+     * @return the state, outcome, winners and turnout of the ballot, in one call.
+     */
+    function getResults() public view returns (Results memory) {
+        (uint[] memory ids, uint[] memory voteCounts) = getWinners();
+
+        return Results(
+            _currentState,
+            tallyOutcome,
+            ids,
+            voteCounts,
+            votesCastCount,
+            totalVotingWeight,
+            registeredVotersCount,
+            _roundProposalIds[round].length,
+            quorumPercentage,
+            _isQuorumReached(),
+            runoffRound
+        );
+    }
+
+    /**
+     * @dev Revert unless the id is one of a proposal that can currently be voted for.
+     */
+    function _requireVotableProposal(uint _proposalId) internal view {
+        require(
+            _proposalId >= _firstProposalId && _proposalId < _proposalIndex,
+            "Unknown proposal"
+        );
+        require(
+            proposals[_proposalId].status == ProposalStatus.Active,
+            "Withdrawn proposal"
+        );
+        require(
+            runoffRound == 0 || _runoffRoundOf[_proposalId] == runoffRound,
+            "Not a runoff candidate"
+        );
+    }
+
+    /**
+     * @dev Add the weight of a voter to the proposal they voted for.
+     */
+    function _countVote(address _voterAddress, uint _proposalId) internal {
+        Voter storage voter = _voter(_voterAddress);
+        uint weight         = voter.weight;
+
+        voter.votedProposalId            = _proposalId;
+        proposals[_proposalId].voteCount = proposals[_proposalId].voteCount.add(weight);
+        votesCastCount                   = votesCastCount.add(weight);
+
+        emit Voted(ballotId, round, _voterAddress, _proposalId, weight);
+    }
+
+    /**
+     * @return voter the voter of the current round at an address, to read or update: a registered voter
+     *         who has not taken part in the round yet gets their entry, with a fresh ballot.
+     *         An address which is not registered gets an empty voter.
+     */
+    function _voter(address _address) internal returns (Voter storage voter) {
+        voter = _voters[round][_address];
+
+        if (! voter.isRegistered && _isRegistered(_address)) {
+            voter.isRegistered = true;
+            voter.weight       = _baseWeight();
+        }
+    }
+
+    /**
+     * @return whether an address is registered as a voter in the current round.
+     */
+    function _isRegistered(address _address) internal view returns (bool) {
+        return _registeredVoters[_voterListIds[round]][_address];
+    }
+
+    /**
+     * @return the weight of a voter before any snapshot or delegation:
+     *         a token holder's weight is only known once snapshotted.
+     */
+    function _baseWeight() internal view returns (uint) {
+        return address(governanceToken) == address(0) ? 1 : 0;
+    }
+
+    /**
+     * @dev Revert while the ballot is paused.
+     */
+    function _requireNotPaused() internal view {
+        require(! paused, "Ballot is paused");
+    }
+
+    /**
+     * @return whether the current phase has a deadline and it has passed.
+     */
+    function _isPastDeadline() internal view returns (bool) {
+        // RevealingVotes comes after VotesTallied in `WorkflowStatus`, but its deadline is the last one
+        uint phase;
+        if (_currentState == WorkflowStatus.RevealingVotes) {
+            phase = phaseDeadlines.length - 1;
+        } else if (_currentState < WorkflowStatus.VotesTallied) {
+            phase = uint(_currentState);
+        } else {
+            return false;
+        }
+
+        return phaseDeadlines[phase] != 0 && now >= phaseDeadlines[phase];
+    }
+
+    /**
+     * @dev Revert once the deadline of the current phase has passed.
+     */
+    function _requireBeforeDeadline() internal view {
+        require(! _isPastDeadline(), "Phase deadline passed");
+    }
+
+    /**
+     * @return whether at least `quorumPercentage` of the voting weight was cast.
+     */
+    function _isQuorumReached() internal view returns (bool) {
+        return votesCastCount.mul(100) >= totalVotingWeight.mul(quorumPercentage);
+    }
+
+    /**
+     * @dev Check then set the deadlines of the phases of the current round.
+     */
+    function _setPhaseDeadlines(uint[6] memory _phaseDeadlines) internal {
+        uint previousDeadline = now;
+        for (uint i=0; i < _phaseDeadlines.length; i = i.add(1)) {
+            if (_phaseDeadlines[i] != 0) {
+                require(_phaseDeadlines[i] > previousDeadline, "Invalid phase deadlines");
+                previousDeadline = _phaseDeadlines[i];
+            }
+        }
+
+        phaseDeadlines = _phaseDeadlines;
+    }
+}
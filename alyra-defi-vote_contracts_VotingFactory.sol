@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.6.11;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./Voting.sol";
+
+/**
+ * @notice creates and indexes ballots: each one is a `Voting` contract
+ *           with its own voters, proposals, state and roles.
+ * @dev Ballots are EIP-1167 clones of `ballotImplementation`: they run its code on their own storage.
+ */
+contract VotingFactory {
+
+    using SafeMath for uint;
+
+    /// @notice the `Voting` contract every ballot created is a clone of
+    Voting public immutable ballotImplementation;
+
+    /// @dev the ballots by id minus 1 (ballot ids start at 1)
+    Voting[] private _ballots;
+
+    /// @dev the ids of the ballots created by each address
+    mapping(address => uint[]) private _ballotIdsByCreator;
+
+    event BallotCreated(uint indexed _ballotId, address _ballotAddress, address indexed _admin);
+
+    /**
+     * @param _ballotImplementation a deployed `Voting` contract, locked by its constructor
+     */
+    constructor(Voting _ballotImplementation) public {
+        require(Address.isContract(address(_ballotImplementation)), "Invalid ballot implementation");
+
+        ballotImplementation = _ballotImplementation;
+    }
+
+    /**
+     * @dev Create a ballot whose admin, registrar and chair is the caller (Cf. `Voting.initialize` for the parameters):
+     *        the clone is initialized in the same transaction, so that no one else can set it up.
+     * @return the id of the new ballot
+     */
+    function createBallot(
+        uint                _quorumPercentage,
+        IGovernanceToken    _governanceToken,
+        Voting.BallotMode   _ballotMode,
+        uint[6] memory      _phaseDeadlines
+    ) public returns (uint) {
+        uint   ballotId = _ballots.length.add(1);
+        Voting ballot   = Voting(Clones.clone(address(ballotImplementation)));
+
+        ballot.initialize(
+            msg.sender,
+            _quorumPercentage,
+            _governanceToken,
+            _ballotMode,
+            _phaseDeadlines,
+            ballotId
+        );
+        _ballots.push(ballot);
+        _ballotIdsByCreator[msg.sender].push(ballotId);
+
+        emit BallotCreated(ballotId, address(ballot), msg.sender);
+
+        return ballotId;
+    }
+
+    /**
+     * @return the number of ballots created so far.
+     */
+    function getBallotsCount() public view returns (uint) {
+        return _ballots.length;
+    }
+
+    /**
+     * @return the address of a ballot.
+     * @param _ballotId the id of the ballot
+     */
+    function getBallot(uint _ballotId) public view returns (Voting) {
+        require(
+            _ballotId != 0 && _ballotId <= _ballots.length,
+            "Unknown ballot"
+        );
+
+        return _ballots[_ballotId - 1];
+    }
+
+    /**
+     * @return the ids of the ballots created by an address.
+     *         The creator is the first admin of a ballot, but may have granted or renounced
+     *         the admin role since: ask the ballot for its current admins (Cf. `AccessControl.getRoleMember`).
+     * @param _creator the public address of the creator
+     */
+    function getBallotIdsByCreator(address _creator) public view returns (uint[] memory) {
+        return _ballotIdsByCreator[_creator];
+    }
+
+    /**
+     * @return the ids of the ballots currently in a given state.
+     * @param _state the state of the ballots to list
+     */
+    function getBallotIdsByState(Voting.WorkflowStatus _state) public view returns (uint[] memory) {
+        uint count = 0;
+        for (uint i=0; i < _ballots.length; i = i.add(1)) {
+            if (_ballots[i].getWorkflowStatus() == _state) {
+                count = count.add(1);
+            }
+        }
+
+        uint[] memory ballotIds = new uint[](count);
+        uint   index            = 0;
+        for (uint i=0; i < _ballots.length; i = i.add(1)) {
+            if (_ballots[i].getWorkflowStatus() == _state) {
+                ballotIds[index] = i.add(1);
+                index            = index.add(1);
+            }
+        }
+
+        return ballotIds;
+    }
+}
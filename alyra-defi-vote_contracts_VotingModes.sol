@@ -0,0 +1,929 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.6.11;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "./VotingBase.sol";
+
+/**
+ * @notice the ballot modes of `Voting`, apart to keep each contract under the size limit:
+ *           the ballot settings, the snapshot of the governance token weights, the ranked-choice
+ *           and approval votes, the delegations and vote changes, the secret ballot, the tally,
+ *           the new rounds, the pause and the cancellation
+ * @dev Only meant to run through the delegatecalls of a `Voting` contract, on its storage.
+ *        Called directly, it runs on an empty ballot of its own, without any role.
+ */
+contract VotingModes is VotingBase {
+
+    using SafeMath for uint;
+
+    /**
+     * @dev Choose how `tallyVotes` settles a tie
+     * @param _tiePolicy the policy to apply
+     */
+    function setTiePolicy(TiePolicy _tiePolicy) public
+            onlyChair
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.RegisteringVoters,
+            "Cannot change the tie policy at this stage"
+        );
+
+        tiePolicy = _tiePolicy;
+
+        emit TiePolicyChanged(ballotId, round, _tiePolicy);
+    }
+
+    /**
+     * @dev Choose how many proposals the tally elects: the most voted ones,
+     *        the lowest ids first among proposals with as many votes at the cut-off.
+     * @param _winnersCount the number of winners, 1 for a single winner (Cf. `tiePolicy`)
+     */
+    function setWinnersCount(uint _winnersCount) public
+            onlyChair
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.RegisteringVoters,
+            "Cannot change the winners count at this stage"
+        );
+        require(
+            _winnersCount != 0,
+            "Invalid winners count"
+        );
+        require(
+            _winnersCount == 1 || ballotMode != BallotMode.RankedChoice,
+            "A ranked-choice ballot has a single winner"
+        );
+
+        winnersCount = _winnersCount;
+
+        emit WinnersCountChanged(ballotId, round, _winnersCount);
+    }
+
+    /**
+     * @dev Limit the number of proposals each voter may register in a round, withdrawn ones included.
+     * @param _maxProposalsPerVoter the maximum number of proposals, 0 for no limit
+     */
+    function setMaxProposalsPerVoter(uint _maxProposalsPerVoter) public
+            onlyChair
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.RegisteringVoters,
+            "Cannot change the max proposals per voter at this stage"
+        );
+
+        maxProposalsPerVoter = _maxProposalsPerVoter;
+
+        emit MaxProposalsPerVoterChanged(ballotId, round, _maxProposalsPerVoter);
+    }
+
+    /**
+     * @dev Choose whether voters commit their votes during the voting session
+     *        and reveal them afterwards, so that nobody sees how people vote while it is open.
+     * @param _secretBallot true for a commit-reveal ballot
+     */
+    function setSecretBallot(bool _secretBallot) public
+            onlyChair
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.RegisteringVoters,
+            "Cannot change the ballot mode at this stage"
+        );
+        require(
+            ! _secretBallot || ballotMode == BallotMode.Plurality,
+            "A secret ballot must be a plurality ballot"
+        );
+
+        secretBallot = _secretBallot;
+
+        emit SecretBallotChanged(ballotId, round, _secretBallot);
+    }
+
+    /**
+     * @dev Choose whether voters may change or revoke their vote while the voting session is open
+     *        (Cf. `changeVote` and `revokeVote`), which they may by default.
+     */
+    function setVoteChangesAllowed(bool _voteChangesAllowed) public
+            onlyChair
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.RegisteringVoters,
+            "Cannot change the vote changes setting at this stage"
+        );
+
+        voteChangesAllowed = _voteChangesAllowed;
+
+        emit VoteChangesAllowedChanged(ballotId, round, _voteChangesAllowed);
+    }
+
+    /**
+     * @dev Start the voting sesion 
+     */
+    function startVotingSession() public
+            onlyChairOrPastDeadline
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.ProposalsRegistrationEnded,
+            "Cannot start the voting session at this stage"
+        );
+
+        _currentState       = WorkflowStatus.VotingSessionStarted;
+        _votingSessionStart = now;
+
+        if (address(governanceToken) != address(0) && ! _isSnapshotComplete()) {
+            _snapshotVotingWeights(_voterAddresses[_voterListIds[round]].length);
+        }
+        
+        emit WorkflowStatusChange(ballotId, round, WorkflowStatus.ProposalsRegistrationEnded, WorkflowStatus.VotingSessionStarted);
+    }
+
+    /**
+     * @dev Snapshot the `governanceToken` voting power of the next `_count` registered voters,
+     *        when there are too many of them to snapshot in the transaction starting the voting session,
+     *        which snapshots the remaining ones.
+     *        Every batch reads the voting power at `snapshotBlockNumber`, the block before the first one:
+     *        tokens moved in between batches are not counted twice.
+     * @param _count the maximum number of voters to snapshot
+     */
+    function snapshotVotingWeights(uint _count) public
+            onlyChairOrPastDeadline
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.ProposalsRegistrationEnded,
+            "Cannot snapshot the voting weights at this stage"
+        );
+        require(
+            address(governanceToken) != address(0),
+            "Not a token ballot"
+        );
+        require(
+            ! _isSnapshotComplete(),
+            "Voting weights already snapshotted"
+        );
+
+        _snapshotVotingWeights(_count);
+    }
+
+    /**
+     * @dev Give the `governanceToken` voting power at `snapshotBlockNumber` of the next `_count`
+     *        registered voters to the voter who holds their vote: themselves, or the end of their delegation chain.
+     *        Later token transfers do not change the weights.
+     * @param _count the maximum number of voters to snapshot
+     */
+    function _snapshotVotingWeights(uint _count) private {
+        if (snapshotBlockNumber == 0) {
+            snapshotBlockNumber = block.number.sub(1);
+        }
+
+        address[] storage voterAddresses = _voterAddresses[_voterListIds[round]];
+
+        uint end = snapshottedVotersCount.add(_count);
+        if (end > voterAddresses.length) {
+            end = voterAddresses.length;
+        }
+
+        for (uint i=snapshottedVotersCount; i < end; i = i.add(1)) {
+            address holder = voterAddresses[i];
+            if (! _isRegistered(holder)) {
+                continue;
+            }
+
+            uint balance = governanceToken.getPastVotes(holder, snapshotBlockNumber);
+
+            while (_voters[round][holder].delegate != address(0)) {
+                holder = _voters[round][holder].delegate;
+            }
+
+            Voter storage voter = _voter(holder);
+            voter.weight        = voter.weight.add(balance);
+            totalVotingWeight   = totalVotingWeight.add(balance);
+        }
+
+        snapshottedVotersCount = end;
+
+        emit VotingWeightsSnapshotted(ballotId, round, snapshotBlockNumber, snapshottedVotersCount, totalVotingWeight);
+    }
+
+    /**
+     * @return whether the voting power of every registered voter is snapshotted.
+     */
+    function _isSnapshotComplete() private view returns (bool) {
+        return snapshotBlockNumber != 0 && snapshottedVotersCount == _voterAddresses[_voterListIds[round]].length;
+    }
+
+    /**
+     * @dev In a ranked-choice ballot, the registered `Voter` associated with the caller's public
+     *         address ranks some or all of the proposals.
+     *         The vote counts of proposals only reflect the first choices.
+     * @param _rankedProposalIds distinct proposal ids, most preferred first
+     */
+    function voteRanked(uint[] memory _rankedProposalIds) public whenNotPaused {
+        require(
+            _currentState == WorkflowStatus.VotingSessionStarted,
+            "Cannot vote at this stage"
+        );
+        _requireBeforeDeadline();
+
+        Voter storage voter = _voter(msg.sender);
+        require(
+            voter.isRegistered,
+            "Not a registered voter"
+        );
+        require(
+            ! voter.hasVoted,
+            "Already voted"
+        );
+        require(
+            ballotMode == BallotMode.RankedChoice,
+            "Not a ranked-choice ballot"
+        );
+        require(
+            _rankedProposalIds.length != 0,
+            "Missing ranked proposals"
+        );
+
+        for (uint i=0; i < _rankedProposalIds.length; i = i.add(1)) {
+            _requireVotableProposal(_rankedProposalIds[i]);
+
+            for (uint j=0; j < i; j = j.add(1)) {
+                require(
+                    _rankedProposalIds[j] != _rankedProposalIds[i],
+                    "Proposal ranked twice"
+                );
+            }
+        }
+
+        voter.hasVoted                    = true;
+        _rankedChoices[round][msg.sender] = _rankedProposalIds;
+
+        _countVote(msg.sender, _rankedProposalIds[0]);
+    }
+
+    /**
+     * @dev In an approval ballot, the registered `Voter` associated with the caller's public
+     *         address approves a set of proposals, each of them getting the voter's weight.
+     * @param _approvedIds distinct proposal ids
+     */
+    function approve(uint[] memory _approvedIds) public whenNotPaused {
+        require(
+            _currentState == WorkflowStatus.VotingSessionStarted,
+            "Cannot vote at this stage"
+        );
+        _requireBeforeDeadline();
+
+        Voter storage voter = _voter(msg.sender);
+        require(
+            voter.isRegistered,
+            "Not a registered voter"
+        );
+        require(
+            ! voter.hasVoted,
+            "Already voted"
+        );
+        require(
+            ballotMode == BallotMode.Approval,
+            "Not an approval ballot"
+        );
+        require(
+            _approvedIds.length != 0,
+            "Missing approved proposals"
+        );
+
+        uint weight = voter.weight;
+
+        for (uint i=0; i < _approvedIds.length; i = i.add(1)) {
+            _requireVotableProposal(_approvedIds[i]);
+
+            for (uint j=0; j < i; j = j.add(1)) {
+                require(
+                    _approvedIds[j] != _approvedIds[i],
+                    "Proposal approved twice"
+                );
+            }
+
+            proposals[_approvedIds[i]].voteCount = proposals[_approvedIds[i]].voteCount.add(weight);
+        }
+
+        voter.hasVoted                          = true;
+        _approvedProposalIds[round][msg.sender] = _approvedIds;
+        votesCastCount                          = votesCastCount.add(weight);
+
+        emit Approved(ballotId, round, msg.sender, _approvedIds, weight);
+    }
+
+    /**
+     * @dev In a secret ballot, the registered `Voter` associated with the caller's public
+     *        address commits to a vote, to be revealed once the voting session has ended.
+     * @param _commitment keccak256(abi.encodePacked(proposalId, salt, voterAddress))
+     */
+    function commitVote(bytes32 _commitment) public whenNotPaused {
+        require(
+            _currentState == WorkflowStatus.VotingSessionStarted,
+            "Cannot vote at this stage"
+        );
+        _requireBeforeDeadline();
+
+        Voter storage voter = _voter(msg.sender);
+        require(
+            voter.isRegistered,
+            "Not a registered voter"
+        );
+        require(
+            ! voter.hasVoted,
+            "Already voted"
+        );
+        require(
+            secretBallot,
+            "Not a secret ballot"
+        );
+        require(
+            _commitment != 0,
+            "Missing vote commitment"
+        );
+
+        voter.hasVoted                     = true;
+        _voteCommitments[round][msg.sender] = _commitment;
+
+        emit VoteCommitted(ballotId, round, msg.sender, _commitment);
+    }
+
+    /**
+     * @dev The registered `Voter` associated with the caller's public address
+     *        hands their vote, and the votes delegated to them, over to another registered `Voter`.
+     *        If the delegate has already voted, the weight goes straight to the proposal they voted for.
+     * @param _to the public address of the delegate
+     */
+    function delegate(address _to) public whenNotPaused {
+        require(
+            _currentState >= WorkflowStatus.ProposalsRegistrationStarted
+                && _currentState <= WorkflowStatus.VotingSessionStarted,
+            "Cannot delegate at this stage"
+        );
+        _requireBeforeDeadline();
+
+        Voter storage voter = _voter(msg.sender);
+        require(
+            voter.isRegistered,
+            "Not a registered voter"
+        );
+        require(
+            ! voter.hasVoted,
+            "Already voted"
+        );
+        require(
+            _to != msg.sender,
+            "Cannot delegate to oneself"
+        );
+        require(
+            _isRegistered(_to),
+            "Cannot delegate to an unregistered voter"
+        );
+
+        // Follow the delegation chain up to the voter who holds the weight
+        while (_voters[round][_to].delegate != address(0)) {
+            _to = _voters[round][_to].delegate;
+
+            require(_to != msg.sender, "Delegation loop");
+        }
+
+        Voter storage delegateVoter = _voter(_to);
+        uint weight                 = voter.weight;
+
+        voter.hasVoted       = true;
+        voter.delegate       = _to;
+        delegateVoter.weight = delegateVoter.weight.add(weight);
+
+        // A vote already cast gets the delegated weight too.
+        // A secret vote is only counted when revealed, along with the delegate's weight.
+        if (delegateVoter.hasVoted && ! secretBallot) {
+            if (ballotMode == BallotMode.Approval) {
+                uint[] storage approvedIds = _approvedProposalIds[round][_to];
+
+                for (uint i=0; i < approvedIds.length; i = i.add(1)) {
+                    proposals[approvedIds[i]].voteCount = proposals[approvedIds[i]].voteCount.add(weight);
+                }
+            } else {
+                uint proposalId = delegateVoter.votedProposalId;
+
+                proposals[proposalId].voteCount = proposals[proposalId].voteCount.add(weight);
+            }
+            votesCastCount = votesCastCount.add(weight);
+        }
+
+        emit Delegated(ballotId, round, msg.sender, _to, weight);
+    }
+
+    /**
+     * @dev In a plurality ballot, the `Voter` associated with the caller's public address
+     *        moves their vote, along with the weight delegated to them, to another proposal.
+     * @param _proposalId the id of the proposal to vote for instead
+     */
+    function changeVote(uint _proposalId) public whenNotPaused {
+        _requireChangeableVote();
+        require(
+            ballotMode == BallotMode.Plurality,
+            "Not a plurality ballot"
+        );
+        _requireVotableProposal(_proposalId);
+
+        Voter storage voter     = _voters[round][msg.sender];
+        uint previousProposalId = voter.votedProposalId;
+        require(
+            _proposalId != previousProposalId,
+            "Already voted for this proposal"
+        );
+
+        uint weight = voter.weight;
+
+        proposals[previousProposalId].voteCount = proposals[previousProposalId].voteCount.sub(weight);
+        proposals[_proposalId].voteCount        = proposals[_proposalId].voteCount.add(weight);
+        voter.votedProposalId                   = _proposalId;
+
+        emit VoteChanged(ballotId, round, msg.sender, _proposalId, previousProposalId, weight);
+    }
+
+    /**
+     * @dev The `Voter` associated with the caller's public address takes their vote back,
+     *        along with the weight delegated to them: they may then vote again (or delegate).
+     */
+    function revokeVote() public whenNotPaused {
+        _requireChangeableVote();
+
+        Voter storage voter = _voters[round][msg.sender];
+        uint weight         = voter.weight;
+        uint[] memory proposalIds;
+
+        if (ballotMode == BallotMode.Approval) {
+            proposalIds = _approvedProposalIds[round][msg.sender];
+            delete _approvedProposalIds[round][msg.sender];
+        } else {
+            proposalIds    = new uint[](1);
+            proposalIds[0] = voter.votedProposalId;
+            delete _rankedChoices[round][msg.sender];
+        }
+
+        for (uint i=0; i < proposalIds.length; i = i.add(1)) {
+            proposals[proposalIds[i]].voteCount = proposals[proposalIds[i]].voteCount.sub(weight);
+        }
+        votesCastCount        = votesCastCount.sub(weight);
+        voter.hasVoted        = false;
+        voter.votedProposalId = 0;
+
+        emit VoteRevoked(ballotId, round, msg.sender, proposalIds, weight);
+    }
+
+    /**
+     * @dev Open the reveal phase of a secret ballot
+     */
+    function startVotesReveal() public
+            onlyChairOrPastDeadline
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.VotingSessionEnded && secretBallot,
+            "Cannot start the votes reveal at this stage"
+        );
+
+        _currentState = WorkflowStatus.RevealingVotes;
+
+        emit WorkflowStatusChange(
+            ballotId,
+            round,
+            WorkflowStatus.VotingSessionEnded,
+            WorkflowStatus.RevealingVotes
+        );
+    }
+
+    /**
+     * @dev The `Voter` associated with the caller's public address opens their commitment.
+     *        Only a vote matching the commitment is counted.
+     * @param _proposalId the id of the proposal voted for
+     * @param _salt the secret used to build the commitment
+     */
+    function revealVote(uint _proposalId, bytes32 _salt) public whenNotPaused {
+        require(
+            _currentState == WorkflowStatus.RevealingVotes,
+            "Cannot reveal votes at this stage"
+        );
+        _requireBeforeDeadline();
+        require(
+            _voteCommitments[round][msg.sender] != 0,
+            "No vote to reveal"
+        );
+        require(
+            keccak256(abi.encodePacked(_proposalId, _salt, msg.sender)) == _voteCommitments[round][msg.sender],
+            "Invalid vote opening"
+        );
+        _requireVotableProposal(_proposalId);
+
+        delete _voteCommitments[round][msg.sender];
+
+        _countVote(msg.sender, _proposalId);
+    }
+
+    /**
+     *  @dev Tally the votes
+     *         The most voted proposal wins.
+     *         In a ranked-choice ballot, the instant-runoff winner wins.
+     *         When `winnersCount` is more than 1, the most voted proposals win.
+     *         A tie is settled according to `tiePolicy`, a ballot without any vote has no winner.
+     *         Neither has a ballot where less than `quorumPercentage` of the voting weight was cast.
+     * */
+    function tallyVotes() public 
+            onlyChairOrPastDeadline
+            whenNotPaused
+    {
+        WorkflowStatus previousState = secretBallot ? WorkflowStatus.RevealingVotes : WorkflowStatus.VotingSessionEnded;
+        require(
+            _currentState == previousState,
+            "Cannot tally votes at this stage"
+        );
+
+        uint maxVotes = 0;        
+        delete _winningProposalIds;
+        
+        // Find the ids of the most voted proposals
+        for (uint i=_firstProposalId; i < _proposalIndex; i = i.add(1)) {
+            uint voteCount = proposals[i].voteCount;
+
+            if (voteCount > maxVotes) {
+                maxVotes = voteCount;
+                delete _winningProposalIds;
+                _winningProposalIds.push(i);
+            } else if (voteCount == maxVotes && voteCount != 0) {
+                _winningProposalIds.push(i);
+            }
+        }
+
+        if (ballotMode == BallotMode.RankedChoice && maxVotes != 0) {
+            delete _winningProposalIds;
+            _winningProposalIds.push(_tallyInstantRunoff());
+        } else if (winnersCount > 1 && maxVotes != 0) {
+            _selectMostVotedProposals();
+        }
+
+        if (! _isQuorumReached()) {
+            winningProposalId = 0;
+            tallyOutcome      = TallyOutcome.FailedQuorum;
+            delete _winningProposalIds;
+        } else if (maxVotes == 0) {
+            winningProposalId = 0;
+            tallyOutcome      = TallyOutcome.NoVotes;
+        } else if (winnersCount > 1) {
+            winningProposalId = _winningProposalIds[0];
+            tallyOutcome      = TallyOutcome.MultipleWinners;
+        } else if (_winningProposalIds.length == 1) {
+            winningProposalId = _winningProposalIds[0];
+            tallyOutcome      = TallyOutcome.SingleWinner;
+        } else if (tiePolicy == TiePolicy.Runoff) {
+            _startRunoff(previousState);
+            return;
+        } else {
+            winningProposalId = 0;
+            tallyOutcome      = TallyOutcome.Tie;
+        }
+
+        _currentState = WorkflowStatus.VotesTallied;
+        (uint[] memory winningIds, uint[] memory winningVoteCounts) = getWinners();
+        
+        emit WorkflowStatusChange(
+            ballotId,
+            round,
+            previousState,
+            WorkflowStatus.VotesTallied
+        );
+        emit VotesTallied(ballotId, round, tallyOutcome, winningIds, winningVoteCounts, votesCastCount);
+    }
+
+    /**
+     * @dev Pick the winner of a tie when `tiePolicy` is `ChairDecides`
+     * @param _proposalId the id of one of the tied proposals
+     */
+    function breakTie(uint _proposalId) public
+            onlyChair
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.VotesTallied
+                && tallyOutcome == TallyOutcome.Tie
+                && tiePolicy == TiePolicy.ChairDecides,
+            "Cannot break a tie at this stage"
+        );
+
+        bool isTied = false;
+        for (uint i=0; i < _winningProposalIds.length; i = i.add(1)) {
+            if (_winningProposalIds[i] == _proposalId) {
+                isTied = true;
+            }
+        }
+        require(isTied, "Not a tied proposal");
+
+        winningProposalId = _proposalId;
+        tallyOutcome      = TallyOutcome.SingleWinner;
+        delete _winningProposalIds;
+        _winningProposalIds.push(_proposalId);
+
+        emit TieBroken(ballotId, round, _proposalId, proposals[_proposalId].voteCount);
+    }
+
+    /**
+     * @dev Once the votes are tallied, start the ballot over with a new round, with the same settings:
+     *        the proposals, votes and results of the finished round are kept as its history
+     *        (Cf. `getRoundResults`, `getRoundProposalIds`, `getRoundVoters` and `getInstantRunoffRound`).
+     *        Proposal ids keep increasing from one round to the next.
+     * @param _keepVoters true to keep the registered voters, with a fresh ballot;
+     *        false to register voters from scratch, without any `votersMerkleRoot` either
+     * @param _phaseDeadlines the deadlines of the new round (Cf. `phaseDeadlines`)
+     */
+    function startNewRound(bool _keepVoters, uint[6] memory _phaseDeadlines) public
+            onlyChair
+            whenNotPaused
+    {
+        require(
+            _currentState == WorkflowStatus.VotesTallied,
+            "Cannot start a new round at this stage"
+        );
+        _setPhaseDeadlines(_phaseDeadlines);
+
+        _roundResults[round] = getResults();
+
+        // Voters, commitments, proposal counts and descriptions are all kept by round:
+        // the new round starts with none of them, but the voter list when the voters are kept.
+        uint nextRound = round.add(1);
+        if (_keepVoters) {
+            _voterListIds[nextRound] = _voterListIds[round];
+        } else {
+            _voterListIds[nextRound] = nextRound;
+            registeredVotersCount    = 0;
+        }
+        bool votersMerkleRootReset = ! _keepVoters && votersMerkleRoot != 0;
+        if (votersMerkleRootReset) {
+            votersMerkleRoot = 0;
+        }
+
+        round                  = nextRound;
+        _firstProposalId       = _proposalIndex;
+        totalVotingWeight      = registeredVotersCount.mul(_baseWeight());
+        votesCastCount         = 0;
+        snapshotBlockNumber    = 0;
+        snapshottedVotersCount = 0;
+        winningProposalId      = 0;
+        tallyOutcome           = TallyOutcome.NotTallied;
+        runoffRound            = 0;
+        delete _winningProposalIds;
+
+        _currentState = WorkflowStatus.RegisteringVoters;
+
+        emit WorkflowStatusChange(ballotId, round, WorkflowStatus.VotesTallied, WorkflowStatus.RegisteringVoters);
+        emit RoundStarted(ballotId, round, _keepVoters);
+        if (votersMerkleRootReset) {
+            emit VotersMerkleRootChanged(ballotId, round, 0);
+        }
+    }
+
+    /**
+     * @dev Stop the ballot until `unpause`, e.g. while a flaw is investigated.
+     *        The time paused does not count: the deadlines still ahead are pushed back on `unpause`.
+     */
+    function pause() public
+            onlyChair
+            whenNotPaused
+    {
+        require(
+            _currentState != WorkflowStatus.Cancelled,
+            "Cannot pause the ballot at this stage"
+        );
+
+        paused    = true;
+        _pausedAt = now;
+
+        emit BallotPaused(ballotId, round, msg.sender);
+    }
+
+    /**
+     * @dev Resume a paused ballot where it stopped, with as much time left in each phase as when paused:
+     *        the deadlines which had not passed yet are pushed back by the time paused,
+     *        and so is the start of an open voting session (Cf. `_startRunoff`).
+     */
+    function unpause() public
+            onlyChair
+    {
+        require(
+            paused,
+            "Ballot is not paused"
+        );
+
+        uint delay = now.sub(_pausedAt);
+        for (uint i=0; i < phaseDeadlines.length; i = i.add(1)) {
+            if (phaseDeadlines[i] > _pausedAt) {
+                phaseDeadlines[i] = phaseDeadlines[i].add(delay);
+            }
+        }
+        if (_currentState == WorkflowStatus.VotingSessionStarted) {
+            _votingSessionStart = _votingSessionStart.add(delay);
+        }
+
+        paused = false;
+
+        emit BallotUnpaused(ballotId, round, msg.sender);
+    }
+
+    /**
+     * @dev Void the ballot for good, in any phase and even while paused:
+     *        nothing can change it any longer, its votes and results stand void.
+     * @param _reason why the ballot is cancelled, recorded in `cancellationReason`
+     */
+    function cancel(string memory _reason) public
+            onlyChair
+    {
+        require(
+            _currentState != WorkflowStatus.Cancelled,
+            "Cannot cancel the ballot at this stage"
+        );
+        require(
+            bytes(_reason).length != 0,
+            "Missing cancellation reason"
+        );
+
+        WorkflowStatus previousState = _currentState;
+
+        _currentState      = WorkflowStatus.Cancelled;
+        cancellationReason = _reason;
+
+        emit WorkflowStatusChange(ballotId, round, previousState, WorkflowStatus.Cancelled);
+        emit BallotCancelled(ballotId, round, _reason);
+    }
+
+    /**
+     * @dev Set `_winningProposalIds` to the `winnersCount` most voted proposals, most voted first.
+     *        Among proposals with as many votes, the lowest id comes first.
+     *        A proposal without any vote never wins.
+     */
+    function _selectMostVotedProposals() private {
+        bool[] memory selected = new bool[](_proposalIndex);
+        delete _winningProposalIds;
+
+        for (uint n=0; n < winnersCount; n = n.add(1)) {
+            uint best = 0;
+
+            for (uint id=_firstProposalId; id < _proposalIndex; id = id.add(1)) {
+                if (! selected[id]
+                        && proposals[id].voteCount != 0
+                        && (best == 0 || proposals[id].voteCount > proposals[best].voteCount)) {
+                    best = id;
+                }
+            }
+            if (best == 0) {
+                break;
+            }
+
+            selected[best] = true;
+            _winningProposalIds.push(best);
+        }
+    }
+
+    /**
+     * @dev Count the ranked ballots round after round: each ballot goes to its most preferred
+     *        proposal still running. A proposal with a majority of the counted votes wins,
+     *        otherwise the one with the fewest votes is dropped (the highest id among equals).
+     *        Each round's counts are recorded in `_instantRunoffRounds` of the ballot round, by proposal of the round:
+     *        the arrays only cover the ids from `_firstProposalId` on, however many rounds came before.
+     *        There are fewer rounds than proposals and each one goes through the voter list,
+     *        both capped for a ranked-choice ballot (Cf. `Voting.MAX_RANKED_CHOICE_PROPOSALS`
+     *        and `Voting.MAX_RANKED_CHOICE_VOTERS`).
+     * @return the id of the winning proposal, 0 when no ballot was cast
+     */
+    function _tallyInstantRunoff() private returns (uint) {
+        address[] storage voterAddresses = _voterAddresses[_voterListIds[round]];
+        uint firstProposalId             = _firstProposalId;
+        uint proposalsCount              = _proposalIndex.sub(firstProposalId);
+        bool[] memory dropped            = new bool[](proposalsCount);
+        delete _instantRunoffRounds[round];
+
+        // Every round goes through every ballot: read them from storage once
+        uint[][] memory rankings = new uint[][](voterAddresses.length);
+        uint[] memory weights    = new uint[](voterAddresses.length);
+        for (uint i=0; i < voterAddresses.length; i = i.add(1)) {
+            rankings[i] = _rankedChoices[round][voterAddresses[i]];
+            weights[i]  = _voters[round][voterAddresses[i]].weight;
+        }
+
+        while (true) {
+            uint[] memory counts = new uint[](proposalsCount);
+            uint total = 0;
+
+            for (uint i=0; i < rankings.length; i = i.add(1)) {
+                for (uint j=0; j < rankings[i].length; j = j.add(1)) {
+                    uint index = rankings[i][j].sub(firstProposalId);
+
+                    if (! dropped[index]) {
+                        counts[index] = counts[index].add(weights[i]);
+                        total         = total.add(weights[i]);
+                        break;
+                    }
+                }
+            }
+            _instantRunoffRounds[round].push(counts);
+
+            if (total == 0) {
+                return 0;
+            }
+
+            // `proposalsCount` stands for none, as 0 is the first proposal of the round
+            uint weakest = proposalsCount;
+            for (uint index=0; index < proposalsCount; index = index.add(1)) {
+                if (dropped[index]) {
+                    continue;
+                }
+                if (counts[index].mul(2) > total) {
+                    return firstProposalId.add(index);
+                }
+                if (weakest == proposalsCount || counts[index] <= counts[weakest]) {
+                    weakest = index;
+                }
+            }
+            dropped[weakest] = true;
+        }
+    }
+
+    /**
+     * @dev Reopen the voting session for the tied proposals only:
+     *        every voter gets to vote again and all vote counts start over,
+     *        their commitments, rankings and approvals being cleared. Delegations still hold.
+     *        The runoff gets as long a voting session as the first one: the deadlines
+     *        from the VotingSessionStarted phase on are pushed back accordingly.
+     * @param _previousState the state the tally was made in
+     */
+    function _startRunoff(WorkflowStatus _previousState) private {
+        runoffRound    = runoffRound.add(1);
+        votesCastCount = 0;
+
+        uint delay = now.sub(_votingSessionStart);
+        for (uint i=uint(WorkflowStatus.VotingSessionStarted); i < phaseDeadlines.length; i = i.add(1)) {
+            if (phaseDeadlines[i] != 0) {
+                phaseDeadlines[i] = phaseDeadlines[i].add(delay);
+            }
+        }
+        _votingSessionStart = now;
+
+        address[] storage voterAddresses = _voterAddresses[_voterListIds[round]];
+        for (uint i=0; i < voterAddresses.length; i = i.add(1)) {
+            Voter storage voter = _voters[round][voterAddresses[i]];
+
+            if (voter.delegate == address(0)) {
+                voter.hasVoted        = false;
+                voter.votedProposalId = 0;
+                delete _voteCommitments[round][voterAddresses[i]];
+                delete _rankedChoices[round][voterAddresses[i]];
+                delete _approvedProposalIds[round][voterAddresses[i]];
+            }
+        }
+        for (uint i=_firstProposalId; i < _proposalIndex; i = i.add(1)) {
+            proposals[i].voteCount = 0;
+        }
+        for (uint i=0; i < _winningProposalIds.length; i = i.add(1)) {
+            _runoffRoundOf[_winningProposalIds[i]] = runoffRound;
+        }
+
+        _currentState = WorkflowStatus.VotingSessionStarted;
+
+        emit WorkflowStatusChange(
+            ballotId,
+            round,
+            _previousState,
+            WorkflowStatus.VotingSessionStarted
+        );
+        emit RunoffStarted(ballotId, round, runoffRound, _winningProposalIds);
+    }
+
+    /**
+     * @dev Revert unless the caller has an open vote they may still change.
+     *        Delegated votes are not votes of their own, secret votes cannot be told apart.
+     */
+    function _requireChangeableVote() private view {
+        require(
+            _currentState == WorkflowStatus.VotingSessionStarted,
+            "Cannot change a vote at this stage"
+        );
+        _requireBeforeDeadline();
+        require(
+            voteChangesAllowed,
+            "Vote changes not allowed"
+        );
+        require(
+            ! secretBallot,
+            "Cannot change a secret vote"
+        );
+        require(
+            _voters[round][msg.sender].hasVoted && _voters[round][msg.sender].delegate == address(0),
+            "No vote to change"
+        );
+    }
+}
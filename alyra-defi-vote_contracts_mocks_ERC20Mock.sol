@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.6.11;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "../IGovernanceToken.sol";
+
+/**
+ * @notice a governance token anyone can mint, for testing purpose only.
+ *           As with OpenZeppelin's ERC20Votes, the voting power of an account is the balance
+ *           of the holders delegating to it: a holder has none until they delegate, to themselves at least.
+ */
+contract ERC20Mock is ERC20, IGovernanceToken {
+
+    using SafeMath for uint;
+
+    /// @dev a voting power, from a block on
+    struct Checkpoint {
+        uint fromBlock;
+        uint votes;
+    }
+
+    /// @notice the account each holder delegates their voting power to (0 when none)
+    mapping(address => address) public delegates;
+
+    /// @dev the voting power changes of each account, in block order
+    mapping(address => Checkpoint[]) private _checkpoints;
+
+    constructor() public ERC20("Governance Mock", "GOVM") {}
+
+    /**
+     * @dev Create `_amount` tokens and assign them to `_account`
+     */
+    function mint(address _account, uint _amount) public {
+        _mint(_account, _amount);
+    }
+
+    /**
+     * @dev Delegate the voting power of the caller's balance, now and to come, to `_delegatee`
+     */
+    function delegate(address _delegatee) public {
+        address previousDelegatee = delegates[msg.sender];
+        delegates[msg.sender]     = _delegatee;
+
+        _moveVotingPower(previousDelegatee, _delegatee, balanceOf(msg.sender));
+    }
+
+    /**
+     * @return the current voting power of an account.
+     */
+    function getVotes(address _account) public view returns (uint) {
+        Checkpoint[] storage checkpoints = _checkpoints[_account];
+
+        return checkpoints.length == 0 ? 0 : checkpoints[checkpoints.length - 1].votes;
+    }
+
+    /**
+     * @return the voting power of an account at the end of a past block.
+     */
+    function getPastVotes(address _account, uint _blockNumber) public view override returns (uint) {
+        require(_blockNumber < block.number, "Block not yet mined");
+
+        Checkpoint[] storage checkpoints = _checkpoints[_account];
+        for (uint i=checkpoints.length; i > 0; i--) {
+            if (checkpoints[i - 1].fromBlock <= _blockNumber) {
+                return checkpoints[i - 1].votes;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * @dev Move the voting power along with the tokens, from the sender's delegatee to the recipient's
+     */
+    function _beforeTokenTransfer(address _from, address _to, uint _amount) internal override {
+        _moveVotingPower(delegates[_from], delegates[_to], _amount);
+    }
+
+    /**
+     * @dev Record the voting power of both accounts once `_amount` moved from one to the other
+     */
+    function _moveVotingPower(address _from, address _to, uint _amount) private {
+        if (_from == _to || _amount == 0) {
+            return;
+        }
+        if (_from != address(0)) {
+            _checkpoint(_from, getVotes(_from).sub(_amount));
+        }
+        if (_to != address(0)) {
+            _checkpoint(_to, getVotes(_to).add(_amount));
+        }
+    }
+
+    /**
+     * @dev Record the voting power of an account from the current block on
+     */
+    function _checkpoint(address _account, uint _votes) private {
+        Checkpoint[] storage checkpoints = _checkpoints[_account];
+
+        if (checkpoints.length != 0 && checkpoints[checkpoints.length - 1].fromBlock == block.number) {
+            checkpoints[checkpoints.length - 1].votes = _votes;
+        } else {
+            checkpoints.push(Checkpoint(block.number, _votes));
+        }
+    }
+}
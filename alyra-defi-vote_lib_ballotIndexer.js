@@ -0,0 +1,429 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Rebuild the state of a ballot from the events of a Voting contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const fs     = require('fs');
+const { BN } = require('web3-utils');
+
+// MUST be kept in sync with Voting.TallyOutcome
+const SINGLE_WINNER    = "1";
+const MULTIPLE_WINNERS = "5";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * @notice The state of a ballot before any event.
+ * @dev Every number is a decimal string, so that the state can be saved as JSON as is.
+ *        A voter's `weight` is `null` when the events do not tell it
+ *        (a governance token balance, until the voter votes or delegates).
+ *        `pastRounds` keeps the tally, voters and proposals of each finished round by round number.
+ */
+function createBallotState() {
+    return {
+        ballotId:           "0",
+        round:              "1",
+        status:             "0",
+        paused:             false,
+        cancellationReason: "",
+        // whether the ballot is weighed by a governance token, unknown until the first sync
+        governanceToken:    null,
+        weightsSnapshotted: false,
+        secretBallot:       false,
+        votesCastCount:     "0",
+        runoffRound:        "0",
+        tallyOutcome:       "0",
+        winningProposalId:  "0",
+        winningProposalIds: [],
+        voters:             {},
+        proposals:          {},
+        pastRounds:         {},
+        lastBlock:          -1
+    };
+}
+
+/**
+ * @return a registered voter who has not voted yet.
+ */
+function freshVoter(state) {
+    return {
+        isRegistered:    true,
+        hasVoted:        false,
+        votedProposalId: "0",
+        weight:          state.weightsSnapshotted ? null : (state.governanceToken ? "0" : "1"),
+        delegate:        ZERO_ADDRESS
+    };
+}
+
+function add(a, b) {
+    return new BN(a).add(new BN(b)).toString();
+}
+
+function sub(a, b) {
+    return new BN(a).sub(new BN(b)).toString();
+}
+
+/**
+ * @notice Add a weight to the proposals a voter's vote went to (Cf. Voting.delegate).
+ */
+function addToVote(state, voter, weight) {
+    const proposalIds = voter.approvedProposalIds || [voter.votedProposalId];
+
+    for (const proposalId of proposalIds) {
+        state.proposals[proposalId].voteCount = add(state.proposals[proposalId].voteCount, weight);
+    }
+    state.votesCastCount = add(state.votesCastCount, weight);
+}
+
+/**
+ * @notice Apply an event of the Voting contract to a ballot state.
+ * @param state a ballot state (Cf. `createBallotState`), updated in place
+ * @param {{event: string, args: object, blockNumber: number}} event a truffle or web3 event
+ * @return the updated state
+ */
+function applyBallotEvent(state, { event, args, blockNumber }) {
+    const arg = name => args[name] === undefined ? undefined : args[name].toString();
+
+    if (args._ballotId !== undefined) {
+        state.ballotId = arg("_ballotId");
+    }
+
+    switch (event) {
+        case "VoterRegistered":
+            state.voters[args._voterAddress] = freshVoter(state);
+            break;
+
+        case "VoterUnregistered":
+            delete state.voters[args._voterAddress];
+            break;
+
+        case "ProposalRegistered":
+        case "ProposalEdited":
+            state.proposals[arg("_proposalId")] = {
+                ...state.proposals[arg("_proposalId")] || { voteCount: "0", status: "1" },
+                description: args._description,
+                author:      args._author,
+                contentHash: args._contentHash
+            };
+            break;
+
+        case "ProposalWithdrawn":
+            state.proposals[arg("_proposalId")].status = "2";
+            break;
+
+        case "SecretBallotChanged":
+            state.secretBallot = args._secretBallot;
+            break;
+
+        case "VotingWeightsSnapshotted":
+            state.weightsSnapshotted = true;
+            for (const voter of Object.values(state.voters)) {
+                voter.weight = null;
+            }
+            break;
+
+        case "VoteCommitted":
+            state.voters[args._voterAddress].hasVoted = true;
+            break;
+
+        case "Voted": {
+            const voter = state.voters[args._voterAddress];
+
+            voter.hasVoted        = true;
+            voter.votedProposalId = arg("_proposalId");
+            voter.weight          = arg("_weight");
+            delete voter.approvedProposalIds;
+            addToVote(state, voter, arg("_weight"));
+            break;
+        }
+
+        case "Approved": {
+            const voter = state.voters[args._voterAddress];
+
+            voter.hasVoted            = true;
+            voter.weight              = arg("_weight");
+            voter.approvedProposalIds = args._proposalIds.map(String);
+            addToVote(state, voter, arg("_weight"));
+            break;
+        }
+
+        case "VoteChanged": {
+            const voter    = state.voters[args._voterAddress];
+            const previous = state.proposals[arg("_previousProposalId")];
+            const next     = state.proposals[arg("_proposalId")];
+
+            voter.votedProposalId = arg("_proposalId");
+            voter.weight          = arg("_weight");
+            previous.voteCount    = sub(previous.voteCount, arg("_weight"));
+            next.voteCount        = add(next.voteCount, arg("_weight"));
+            break;
+        }
+
+        case "VoteRevoked": {
+            const voter = state.voters[args._voterAddress];
+
+            for (const proposalId of args._proposalIds.map(String)) {
+                state.proposals[proposalId].voteCount = sub(state.proposals[proposalId].voteCount, arg("_weight"));
+            }
+            state.votesCastCount  = sub(state.votesCastCount, arg("_weight"));
+            voter.hasVoted        = false;
+            voter.votedProposalId = "0";
+            voter.weight          = arg("_weight");
+            delete voter.approvedProposalIds;
+            break;
+        }
+
+        case "Delegated": {
+            const voter    = state.voters[args._voterAddress];
+            const delegate = state.voters[args._delegateAddress];
+
+            voter.hasVoted  = true;
+            voter.delegate  = args._delegateAddress;
+            voter.weight    = arg("_weight");
+            delegate.weight = delegate.weight === null ? null : add(delegate.weight, arg("_weight"));
+
+            // A vote already cast gets the delegated weight too, unless it is secret
+            if (delegate.hasVoted && ! state.secretBallot) {
+                addToVote(state, delegate, arg("_weight"));
+            }
+            break;
+        }
+
+        case "RunoffStarted":
+            state.runoffRound    = arg("_runoffRound");
+            state.votesCastCount = "0";
+            for (const voter of Object.values(state.voters)) {
+                if (voter.delegate === ZERO_ADDRESS) {
+                    voter.hasVoted        = false;
+                    voter.votedProposalId = "0";
+                }
+            }
+            for (const proposal of Object.values(state.proposals)) {
+                proposal.voteCount = "0";
+            }
+            break;
+
+        case "VotesTallied":
+            state.tallyOutcome       = arg("_outcome");
+            state.winningProposalIds = args._winningProposalIds.map(String);
+            state.winningProposalId  = [SINGLE_WINNER, MULTIPLE_WINNERS].includes(state.tallyOutcome)
+                ? state.winningProposalIds[0]
+                : "0";
+            break;
+
+        case "TieBroken":
+            state.tallyOutcome       = SINGLE_WINNER;
+            state.winningProposalId  = arg("_proposalId");
+            state.winningProposalIds = [arg("_proposalId")];
+            break;
+
+        case "RoundStarted": {
+            const pastVoters = state.voters;
+
+            state.pastRounds[state.round] = {
+                tallyOutcome:       state.tallyOutcome,
+                winningProposalIds: state.winningProposalIds,
+                votesCastCount:     state.votesCastCount,
+                voters:             pastVoters,
+                proposals:          state.proposals
+            };
+
+            state.round              = arg("_round");
+            state.weightsSnapshotted = false;
+            state.votesCastCount     = "0";
+            state.runoffRound        = "0";
+            state.tallyOutcome       = "0";
+            state.winningProposalId  = "0";
+            state.winningProposalIds = [];
+            state.proposals          = {};
+            state.voters             = {};
+            if (args._votersKept) {
+                for (const address of Object.keys(pastVoters)) {
+                    state.voters[address] = freshVoter(state);
+                }
+            }
+            break;
+        }
+
+        case "BallotPaused":
+            state.paused = true;
+            break;
+
+        case "BallotUnpaused":
+            state.paused = false;
+            break;
+
+        case "BallotCancelled":
+            state.cancellationReason = args._reason;
+            break;
+
+        case "WorkflowStatusChange":
+            state.status = arg("_newState");
+            break;
+    }
+
+    if (blockNumber !== undefined && blockNumber > state.lastBlock) {
+        state.lastBlock = blockNumber;
+    }
+    return state;
+}
+
+/**
+ * @notice Follow the events of a Voting contract, from its deployment or from a saved snapshot.
+ * @param votingInstance a truffle Voting contract instance
+ * @param {object} options `state` to resume from (Cf. `loadBallotSnapshot`),
+ *        `fromBlock` the block the contract was deployed in, when starting from scratch
+ */
+function createBallotIndexer(votingInstance, { state, fromBlock = 0 } = {}) {
+    let timer;
+    // Bumped by every `start` and `stop`: a polling loop of an earlier run exits at its next turn
+    let run = 0;
+
+    const indexer = {
+        state: state || createBallotState(),
+
+        /**
+         * @notice Apply the events emitted since the last synced block.
+         * @return the number of events applied
+         */
+        async sync() {
+            if (indexer.state.governanceToken === null) {
+                indexer.state.governanceToken = (await votingInstance.governanceToken()) !== ZERO_ADDRESS;
+            }
+
+            const events = await votingInstance.getPastEvents("allEvents", {
+                fromBlock: Math.max(fromBlock, indexer.state.lastBlock + 1),
+                toBlock:   "latest"
+            });
+            // Skip the blocks another sync applied meanwhile
+            const lastBlock = indexer.state.lastBlock;
+            const newEvents = events.filter(event => event.blockNumber > lastBlock);
+            newEvents
+                .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+                .forEach(event => applyBallotEvent(indexer.state, event));
+
+            return newEvents.length;
+        },
+
+        /**
+         * @notice Sync every `intervalMs` milliseconds, until `stop`.
+         *         A failed sync, eg. when the node is unreachable, is retried at the next interval.
+         *         Starting again replaces the running loop, even in the middle of a sync.
+         * @param onSync called with the number of new events after each sync
+         * @param {object} options `onError` called with the error of each failed sync
+         */
+        start(intervalMs = 1000, onSync = () => {}, { onError = () => {} } = {}) {
+            indexer.stop();
+            const currentRun = run;
+
+            const poll = async () => {
+                let count;
+                let failure;
+
+                try {
+                    count = await indexer.sync();
+                } catch (error) {
+                    failure = error;
+                }
+
+                if (currentRun === run) {
+                    if (failure) {
+                        onError(failure);
+                    } else {
+                        onSync(count);
+                    }
+                    timer = setTimeout(poll, intervalMs);
+                }
+            };
+            timer = setTimeout(poll, 0);
+        },
+
+        stop() {
+            clearTimeout(timer);
+            run++;
+        }
+    };
+
+    return indexer;
+}
+
+/**
+ * @notice Rebuild the state of a ballot by replaying all of its events.
+ */
+async function replayBallotEvents(votingInstance, options = {}) {
+    const indexer = createBallotIndexer(votingInstance, options);
+    await indexer.sync();
+
+    return indexer.state;
+}
+
+/**
+ * @notice Compare a rebuilt state with the public getters of the contract.
+ * @return {{path: string, indexed, onChain}[]} the mismatches, empty when the state is right
+ */
+async function checkBallotState(votingInstance, state) {
+    const mismatches = [];
+    const compare    = (path, indexed, onChain) => {
+        if (String(indexed) !== String(onChain)) {
+            mismatches.push({ path, indexed, onChain: String(onChain) });
+        }
+    };
+
+    compare("round", state.round, await votingInstance.round());
+    compare("status", state.status, await votingInstance.getWorkflowStatus());
+    compare("paused", state.paused, await votingInstance.paused());
+    compare("cancellationReason", state.cancellationReason, await votingInstance.cancellationReason());
+    compare("winningProposalId", state.winningProposalId, await votingInstance.winningProposalId());
+
+    const votersCount   = Number(await votingInstance.getVotersCount());
+    const { addresses } = await votingInstance.getVotersPage(0, votersCount);
+    for (const address of new Set([...addresses, ...Object.keys(state.voters)])) {
+        const onChain = await votingInstance.voters(address);
+        const voter   = state.voters[address] || { isRegistered: false };
+
+        compare(`voters.${address}.isRegistered`, voter.isRegistered, onChain.isRegistered);
+        if (voter.isRegistered && onChain.isRegistered) {
+            compare(`voters.${address}.hasVoted`, voter.hasVoted, onChain.hasVoted);
+            compare(`voters.${address}.votedProposalId`, voter.votedProposalId, onChain.votedProposalId);
+            compare(`voters.${address}.delegate`, voter.delegate, onChain.delegateAddress);
+            if (voter.weight !== null) {
+                compare(`voters.${address}.weight`, voter.weight, onChain.weight);
+            }
+        }
+    }
+
+    const proposalIds = (await votingInstance.getProposalIds()).map(String);
+    for (const id of new Set([...proposalIds, ...Object.keys(state.proposals)])) {
+        const onChain  = await votingInstance.getProposal(id);
+        const proposal = state.proposals[id] || {};
+
+        compare(`proposals.${id}.description`, proposal.description, onChain[0]);
+        compare(`proposals.${id}.voteCount`, proposal.voteCount, onChain[1]);
+        compare(`proposals.${id}.author`, proposal.author, onChain[2]);
+        compare(`proposals.${id}.status`, proposal.status, onChain[3]);
+    }
+
+    return mismatches;
+}
+
+/**
+ * @notice Save a ballot state as a JSON file.
+ */
+function saveBallotSnapshot(state, file) {
+    fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+/**
+ * @return the ballot state saved in a JSON file (Cf. `saveBallotSnapshot`).
+ */
+function loadBallotSnapshot(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+    createBallotState,
+    applyBallotEvent,
+    createBallotIndexer,
+    replayBallotEvents,
+    checkBallotState,
+    saveBallotSnapshot,
+    loadBallotSnapshot
+};
@@ -0,0 +1,217 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Sign votes and proposals off-chain (EIP-712), and relay them to a Voting contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { votingErrorOf } = require('./votingErrors');
+
+// MUST be kept in sync with the EIP712 constructor arguments of Voting.sol
+const EIP712_DOMAIN_NAME    = "Voting";
+const EIP712_DOMAIN_VERSION = "1";
+
+// MUST be kept in sync with Voting.VOTE_TYPEHASH and Voting.PROPOSAL_TYPEHASH
+const SIGNED_TYPES = Object.freeze({
+    EIP712Domain: [
+        { name: "name",              type: "string" },
+        { name: "version",           type: "string" },
+        { name: "chainId",           type: "uint256" },
+        { name: "verifyingContract", type: "address" }
+    ],
+    Vote: [
+        { name: "proposalId", type: "uint256" },
+        { name: "nonce",      type: "uint256" },
+        { name: "deadline",   type: "uint256" }
+    ],
+    Proposal: [
+        { name: "description", type: "string" },
+        { name: "contentHash", type: "bytes32" },
+        { name: "nonce",       type: "uint256" },
+        { name: "deadline",    type: "uint256" }
+    ]
+});
+
+const ZERO_HASH = "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+// How long a signature remains valid by default, in seconds
+const DEFAULT_VALIDITY = 3600;
+
+/**
+ * @return the EIP-712 domain of the signatures accepted by a Voting contract.
+ */
+async function getSigningDomain(votingInstance, web3) {
+    return {
+        name:              EIP712_DOMAIN_NAME,
+        version:           EIP712_DOMAIN_VERSION,
+        chainId:           await web3.eth.getChainId(),
+        verifyingContract: votingInstance.address
+    };
+}
+
+/**
+ * @return the typed data of a vote for `Voting.voteBySig`, ready for `eth_signTypedData_v4`.
+ */
+function buildVoteTypedData(domain, { proposalId, nonce, deadline }) {
+    return {
+        types:       { EIP712Domain: SIGNED_TYPES.EIP712Domain, Vote: SIGNED_TYPES.Vote },
+        primaryType: "Vote",
+        domain,
+        message:     { proposalId: String(proposalId), nonce: String(nonce), deadline: String(deadline) }
+    };
+}
+
+/**
+ * @return the typed data of a proposal for `Voting.registerProposalBySig`, ready for `eth_signTypedData_v4`.
+ */
+function buildProposalTypedData(domain, { description, contentHash = ZERO_HASH, nonce, deadline }) {
+    return {
+        types:       { EIP712Domain: SIGNED_TYPES.EIP712Domain, Proposal: SIGNED_TYPES.Proposal },
+        primaryType: "Proposal",
+        domain,
+        message:     { description, contentHash, nonce: String(nonce), deadline: String(deadline) }
+    };
+}
+
+/**
+ * @notice Have an account of a node (e.g. a test account of a local chain) sign typed data.
+ * @return {Promise<string>} the 65 bytes signature
+ */
+function signTypedData(provider, signer, typedData) {
+    const params = [signer, typedData];
+
+    if (provider.request) {
+        return provider.request({ method: "eth_signTypedData_v4", params });
+    }
+    return new Promise((resolve, reject) => {
+        provider.send({ jsonrpc: "2.0", id: Date.now(), method: "eth_signTypedData_v4", params }, (error, response) => {
+            if (error || response.error) {
+                reject(error || new Error(response.error.message));
+            } else {
+                resolve(response.result);
+            }
+        });
+    });
+}
+
+/**
+ * @notice Sign votes and proposals with the accounts of a node, then submit them
+ *        from a relayer account paying for the transactions.
+ * @param votingInstance a truffle Voting contract instance
+ * @param web3 a web3 instance connected to the node holding the signers' accounts
+ * @param {object} options `from` the relayer account,
+ *        `validity` how long a signature remains valid, in seconds
+ */
+function createBallotRelayer(votingInstance, web3, { from, validity = DEFAULT_VALIDITY } = {}) {
+    // The next nonce of each signer, counting the signatures not submitted yet
+    const nextNonces = {};
+
+    async function useNonce(signer) {
+        const key   = signer.toLowerCase();
+        const nonce = Math.max(Number(await votingInstance.nonces(signer)), nextNonces[key] || 0);
+
+        nextNonces[key] = nonce + 1;
+        return nonce;
+    }
+
+    async function defaultDeadline() {
+        const block = await web3.eth.getBlock("latest");
+
+        return Number(block.timestamp) + validity;
+    }
+
+    const relayer = {
+        /**
+         * @notice Have a voter sign a vote, in a plurality ballot only (Cf. `Voting.voteBySig`).
+         * @param {object} options `deadline` (unix time) and `nonce`, read from the chain by default
+         * @return a signed vote, for `submit` or `relay`
+         */
+        async signVote(voterAddress, proposalId, { deadline, nonce } = {}) {
+            const message = {
+                proposalId: String(proposalId),
+                nonce:      nonce === undefined ? await useNonce(voterAddress) : nonce,
+                deadline:   String(deadline === undefined ? await defaultDeadline() : deadline)
+            };
+            const domain = await getSigningDomain(votingInstance, web3);
+
+            return {
+                type:       "vote",
+                signer:     voterAddress,
+                proposalId: message.proposalId,
+                deadline:   message.deadline,
+                signature:  await signTypedData(web3.currentProvider, voterAddress, buildVoteTypedData(domain, message))
+            };
+        },
+
+        /**
+         * @notice Have a voter sign a proposal.
+         * @param {object} options `contentHash` (Cf. lib/proposalContent.js), `deadline` and `nonce`
+         * @return a signed proposal, for `submit` or `relay`
+         */
+        async signProposal(author, description, { contentHash = ZERO_HASH, deadline, nonce } = {}) {
+            const message = {
+                description,
+                contentHash,
+                nonce:    nonce === undefined ? await useNonce(author) : nonce,
+                deadline: String(deadline === undefined ? await defaultDeadline() : deadline)
+            };
+            const domain = await getSigningDomain(votingInstance, web3);
+
+            return {
+                type:        "proposal",
+                signer:      author,
+                description,
+                contentHash,
+                deadline:    message.deadline,
+                signature:   await signTypedData(web3.currentProvider, author, buildProposalTypedData(domain, message))
+            };
+        },
+
+        /**
+         * @notice Submit a signed vote or proposal from the relayer account.
+         */
+        submit(signed) {
+            if (signed.type === "vote") {
+                return votingInstance.voteBySig(signed.signer, signed.proposalId, signed.deadline, signed.signature, { from });
+            }
+            return votingInstance.registerProposalBySig(
+                signed.signer,
+                signed.description,
+                signed.contentHash,
+                signed.deadline,
+                signed.signature,
+                { from }
+            );
+        },
+
+        /**
+         * @notice Submit a batch of signed votes and proposals, one transaction each, in order.
+         * @dev A rejected transaction does not stop the batch. Its nonce is not used up on-chain:
+         *        the next signatures of its signer read their nonce from the chain again.
+         * @return {Promise<{signed, tx?: string, error?: string}[]>} the transaction hash of each submitted item,
+         *           or its error (a `VotingErrors` key when the contract reverted with a known reason)
+         */
+        async relay(batch) {
+            const report = [];
+
+            for (const signed of batch) {
+                try {
+                    report.push({ signed, tx: (await relayer.submit(signed)).tx });
+                } catch (error) {
+                    delete nextNonces[signed.signer.toLowerCase()];
+                    report.push({ signed, error: votingErrorOf(error) || error.message });
+                }
+            }
+            return report;
+        }
+    };
+
+    return relayer;
+}
+
+module.exports = {
+    EIP712_DOMAIN_NAME,
+    EIP712_DOMAIN_VERSION,
+    SIGNED_TYPES,
+    getSigningDomain,
+    buildVoteTypedData,
+    buildProposalTypedData,
+    signTypedData,
+    createBallotRelayer
+};
@@ -0,0 +1,59 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Reference implementation of the instant-runoff tally of Voting
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { BN } = require('web3-utils');
+
+/**
+ * @notice Tally ranked ballots the same way Voting does in a ranked-choice ballot:
+ *           each ballot goes to its most preferred proposal still running.
+ *           A proposal with a majority of the counted votes wins, otherwise the one
+ *           with the fewest votes is dropped (the highest id among equals).
+ * @param {number[]} proposalIds the ids of the proposals of the round, in increasing order (Cf. `Voting.getProposalIds`)
+ * @param {{ranking: number[], weight: BN|string|number}[]} ballots the ranked proposal ids
+ *          of each voter, most preferred first, and the weight of the voter
+ * @return {{winningProposalId: number, rounds: BN[][]}} the winner (0 when no ballot was cast)
+ *           and the vote counts of each round, by proposal in the order of `proposalIds`
+ *           (Cf. `Voting.getInstantRunoffRound`)
+ */
+function tallyInstantRunoff(proposalIds, ballots) {
+    const indexes = new Map(proposalIds.map((proposalId, index) => [Number(proposalId), index]));
+    const dropped = new Array(proposalIds.length).fill(false);
+    const rounds  = [];
+
+    for (;;) {
+        const counts = Array.from({ length: proposalIds.length }, () => new BN(0));
+        let total = new BN(0);
+
+        for (const { ranking, weight = 1 } of ballots) {
+            const choice = ranking.find(proposalId => indexes.has(proposalId) && ! dropped[indexes.get(proposalId)]);
+
+            if (choice !== undefined) {
+                const index = indexes.get(choice);
+
+                counts[index] = counts[index].add(new BN(weight));
+                total         = total.add(new BN(weight));
+            }
+        }
+        rounds.push(counts);
+
+        if (total.isZero()) {
+            return { winningProposalId: 0, rounds };
+        }
+
+        let weakest = -1;
+        for (let index = 0; index < proposalIds.length; index++) {
+            if (dropped[index]) {
+                continue;
+            }
+            if (counts[index].muln(2).gt(total)) {
+                return { winningProposalId: Number(proposalIds[index]), rounds };
+            }
+            if (weakest === -1 || counts[index].lte(counts[weakest])) {
+                weakest = index;
+            }
+        }
+        dropped[weakest] = true;
+    }
+}
+
+module.exports = { tallyInstantRunoff };
@@ -0,0 +1,145 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Build, hash and check the off-chain documents of proposals (Cf. Voting.registerProposalWithContent)
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { createHash } = require('crypto');
+
+// The version of the proposal document format
+const PROPOSAL_DOCUMENT_VERSION = 1;
+
+// MUST be kept in sync with Voting.MAX_DESCRIPTION_LENGTH (the title is stored as the description)
+const MAX_TITLE_LENGTH = 280;
+
+/**
+ * @notice Serialize a value as canonical JSON: object keys sorted, no white space.
+ * @dev Only plain JSON values are accepted, so that a document always hashes the same.
+ * @return {string} the canonical JSON
+ */
+function canonicalJson(value) {
+    if (value === null || typeof value === "string" || typeof value === "boolean") {
+        return JSON.stringify(value);
+    }
+    if (typeof value === "number") {
+        if (! Number.isFinite(value)) {
+            throw new Error(`Not a JSON number: ${value}`);
+        }
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return "[" + value.map(canonicalJson).join(",") + "]";
+    }
+    if (typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+        return "{" + Object.keys(value).sort()
+            .map(key => JSON.stringify(key) + ":" + canonicalJson(value[key]))
+            .join(",") + "}";
+    }
+    throw new Error(`Not a JSON value: ${String(value)}`);
+}
+
+/**
+ * @notice Build the document of a proposal.
+ * @param {object} fields `title` (stored on-chain as well), `body`,
+ *        and any other JSON field (e.g. `links`)
+ * @return {string} the document, as canonical JSON
+ */
+function buildProposalDocument({ title, body = "", ...fields }) {
+    if (typeof title !== "string" || title === "") {
+        throw new Error("Missing proposal title");
+    }
+    if (Buffer.byteLength(title, "utf8") > MAX_TITLE_LENGTH) {
+        throw new Error(`Proposal title longer than ${MAX_TITLE_LENGTH} bytes`);
+    }
+
+    return canonicalJson({ ...fields, version: PROPOSAL_DOCUMENT_VERSION, title, body });
+}
+
+/**
+ * @param {string} document a proposal document, as canonical JSON
+ * @return {string} its sha256, as a 32 bytes hex string (the `contentHash` of the proposal)
+ */
+function hashProposalDocument(document) {
+    return "0x" + createHash("sha256").update(document, "utf8").digest("hex");
+}
+
+/**
+ * @notice A content store keeping documents in memory, by hash.
+ * @dev Any store exposing the same async `put` and `get` (e.g. backed by IPFS) can be used instead.
+ */
+function createMemoryContentStore() {
+    const documents = new Map();
+
+    return {
+        async put(document) {
+            const contentHash = hashProposalDocument(document);
+
+            documents.set(contentHash, document);
+            return contentHash;
+        },
+        async get(contentHash) {
+            return documents.get(contentHash.toLowerCase());
+        }
+    };
+}
+
+/**
+ * @notice Build the document of a proposal then put it in a content store.
+ * @return {{title: string, contentHash: string, document: string}} what to pass to
+ *         `Voting.registerProposalWithContent` (or `editProposalWithContent`)
+ */
+async function publishProposalDocument(store, fields) {
+    const document    = buildProposalDocument(fields);
+    const contentHash = await store.put(document);
+
+    return { title: fields.title, contentHash, document };
+}
+
+/**
+ * @notice Check a fetched document against a proposal as stored on-chain.
+ * @param {{description: string, contentHash: string}} proposal the on-chain proposal
+ * @param {string} document the fetched document
+ * @return the parsed document
+ * @throws if the document does not hash to `contentHash`, or its title is not the description
+ */
+function verifyProposalDocument(proposal, document) {
+    if (typeof document !== "string") {
+        throw new Error(`Missing proposal document ${proposal.contentHash}`);
+    }
+    if (hashProposalDocument(document) !== proposal.contentHash.toLowerCase()) {
+        throw new Error(`Proposal document does not match its hash ${proposal.contentHash}`);
+    }
+
+    const parsed = JSON.parse(document);
+    if (parsed.title !== proposal.description) {
+        throw new Error(`Proposal document title does not match "${proposal.description}"`);
+    }
+
+    return parsed;
+}
+
+/**
+ * @notice Fetch the document of a proposal from a content store and check it.
+ * @param votingInstance a Voting contract instance
+ * @param proposalId the id of a proposal registered with content
+ * @param store a content store (Cf. `createMemoryContentStore`)
+ * @return the parsed document, `undefined` for a proposal without off-chain content
+ */
+async function fetchProposalDocument(votingInstance, proposalId, store) {
+    const result   = await votingInstance.getProposal(proposalId);
+    const proposal = { description: result[0], contentHash: result[4] };
+
+    if (/^0x0*$/.test(proposal.contentHash)) {
+        return undefined;
+    }
+
+    return verifyProposalDocument(proposal, await store.get(proposal.contentHash));
+}
+
+module.exports = {
+    PROPOSAL_DOCUMENT_VERSION,
+    canonicalJson,
+    buildProposalDocument,
+    hashProposalDocument,
+    createMemoryContentStore,
+    publishProposalDocument,
+    verifyProposalDocument,
+    fetchProposalDocument
+};
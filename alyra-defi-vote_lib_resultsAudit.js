@@ -0,0 +1,406 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Export the results of a tallied ballot, and recount its votes off-chain
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const fs     = require('fs');
+const { BN } = require('web3-utils');
+const { tallyInstantRunoff } = require('./instantRunoff');
+
+// MUST be kept in sync with Voting.WorkflowStatus.VotesTallied
+const VOTES_TALLIED = "5";
+
+// MUST be kept in sync with Voting.BallotMode.RankedChoice
+const RANKED_CHOICE = "1";
+
+// The events telling when a voter took part in the ballot
+const PARTICIPATION_EVENTS = ["Voted", "Approved", "VoteChanged", "VoteRevoked", "Delegated", "VoteCommitted"];
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// The only function of the governance token the recount needs
+const GET_PAST_VOTES_ABI = [{
+    name:            "getPastVotes",
+    type:            "function",
+    stateMutability: "view",
+    inputs:          [{ name: "account", type: "address" }, { name: "blockNumber", type: "uint256" }],
+    outputs:         [{ name: "", type: "uint256" }]
+}];
+
+/**
+ * @return the events of the current round of a ballot, in the order they were emitted.
+ */
+async function getRoundEvents(votingInstance, round, fromBlock = 0) {
+    const events = await votingInstance.getPastEvents("allEvents", { fromBlock, toBlock: "latest" });
+
+    return events
+        .filter(event => event.args._round !== undefined && event.args._round.toString() === round)
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * @notice Read the weight each voter brings to the ballot again, without the contract's weights:
+ *           1 per voter, or their governance token voting power at the block the snapshot batches read.
+ * @param addresses the registered voters, in their registration order
+ * @return the weight of each voter by address, as a decimal string
+ */
+async function readOwnWeights(web3, governanceToken, addresses, events) {
+    if (governanceToken === ZERO_ADDRESS) {
+        return Object.fromEntries(addresses.map(address => [address, "1"]));
+    }
+
+    const token   = new web3.eth.Contract(GET_PAST_VOTES_ABI, governanceToken);
+    const batches = events.filter(event => event.event === "VotingWeightsSnapshotted");
+    const weights = {};
+
+    for (const [i, address] of addresses.entries()) {
+        const batch = batches.find(event => Number(event.args._snapshottedVotersCount.toString()) > i);
+
+        weights[address] = batch
+            ? String(await token.methods.getPastVotes(address, batch.args._blockNumber.toString()).call())
+            : "0";
+    }
+    return weights;
+}
+
+/**
+ * @notice Read the results of the current round of a tallied ballot.
+ * @dev Every number is a decimal string, so that the report can be saved as JSON as is.
+ * @param votingInstance a truffle Voting contract instance
+ * @param web3 a web3 instance connected to the node of the contract
+ * @param {object} options `fromBlock` the block the contract was deployed in
+ * @return the report: the ballot settings and outcome, each proposal with its vote count,
+ *           each voter's participation, and the blocks the votes were tallied and the report read in
+ */
+async function buildResultsReport(votingInstance, web3, { fromBlock = 0 } = {}) {
+    const str = value => value.toString();
+
+    const status = str(await votingInstance.getWorkflowStatus());
+    if (status !== VOTES_TALLIED) {
+        throw new Error(`The votes of the ballot are not tallied (phase ${status})`);
+    }
+
+    const reportBlock = await web3.eth.getBlockNumber();
+    const round       = str(await votingInstance.round());
+    const events      = await getRoundEvents(votingInstance, round, fromBlock);
+    const results     = await votingInstance.getResults();
+    const tallied     = events.filter(event => event.event === "VotesTallied").pop();
+
+    const proposals = [];
+    for (const id of (await votingInstance.getProposalIds()).map(str)) {
+        const proposal = await votingInstance.getProposal(id);
+
+        proposals.push({
+            id,
+            description: proposal[0],
+            voteCount:   str(proposal[1]),
+            author:      proposal[2],
+            status:      str(proposal[3]),
+            contentHash: proposal[4]
+        });
+    }
+
+    const voteBlocks = {};
+    for (const event of events.filter(event => PARTICIPATION_EVENTS.includes(event.event))) {
+        voteBlocks[event.args._voterAddress] = event.blockNumber;
+    }
+
+    const voters = [];
+    const { addresses: listed, page } = await votingInstance.getVotersPage(0, await votingInstance.getVotersCount());
+    // the voter list keeps the unregistered addresses
+    const addresses       = listed.filter((address, i) => page[i].isRegistered);
+    const governanceToken = await votingInstance.governanceToken();
+    const ownWeights      = await readOwnWeights(web3, governanceToken, addresses, events);
+    for (const address of addresses) {
+        const voter = await votingInstance.voters(address);
+
+        voters.push({
+            address,
+            hasVoted:        voter.hasVoted,
+            votedProposalId: str(voter.votedProposalId),
+            weight:          str(voter.weight),
+            // the weight the voter brings themselves, read again for `recountVotes`
+            ownWeight:       ownWeights[address],
+            delegate:        voter.delegateAddress,
+            // the ranked or approved proposal ids, in a ranked-choice or an approval ballot
+            choices:         (await votingInstance.getRoundChoices(round, address)).map(str),
+            voteBlock:       voteBlocks[address] === undefined ? null : voteBlocks[address]
+        });
+    }
+
+    return {
+        address:            votingInstance.address,
+        ballotId:           str(await votingInstance.ballotId()),
+        round,
+        ballotMode:         str(await votingInstance.ballotMode()),
+        winnersCount:       str(await votingInstance.winnersCount()),
+        governanceToken,
+        outcome:            str(results.outcome),
+        winningProposalId:  str(await votingInstance.winningProposalId()),
+        winningProposalIds: results.winningProposalIds.map(str),
+        votesCastCount:     str(results.votesCastCount),
+        totalVotingWeight:  str(results.totalVotingWeight),
+        quorumPercentage:   str(results.quorumPercentage),
+        quorumReached:      results.quorumReached,
+        talliedBlock:       tallied ? tallied.blockNumber : null,
+        reportBlock,
+        proposals,
+        voters,
+        // Kept for `recountVotes`
+        events:             events.map(({ event, args, blockNumber }) => ({ event, args: eventArgs(args), blockNumber }))
+    };
+}
+
+/**
+ * @return the named arguments of an event, as decimal strings or arrays of them.
+ */
+function eventArgs(args) {
+    const named = {};
+
+    for (const name of Object.keys(args).filter(name => name.startsWith("_"))) {
+        const value = args[name];
+
+        named[name] = Array.isArray(value) ? value.map(String) : (typeof value === "boolean" ? value : String(value));
+    }
+    return named;
+}
+
+/**
+ * @notice Count the votes of a round again from its events, without the contract's counts nor weights.
+ * @dev Each voter starts with their own weight, a delegation hands the delegator's weight over to
+ *        the delegate (the end of the delegation chain in the event), then adds it to the vote of
+ *        the delegate when already counted, or to the delegate's vote to come.
+ *        A runoff restarts the counts, delegations still hold.
+ *        The weights in the events are not used.
+ * @param events the events of the round (Cf. `buildResultsReport`)
+ * @param ownWeights the weight each voter brings themselves by address (Cf. `readOwnWeights`)
+ * @return the vote count of each proposal by id, the votes cast, the ballot of each voter
+ *           who voted (proposal ids and weight), the weight of each voter, the total voting weight,
+ *           and the proposal the chair picked in a tie, if any
+ */
+function recountVotes(events, ownWeights) {
+    let voteCounts     = {};
+    let votesCastCount = new BN(0);
+    let ballots        = {};
+    let tieBrokenProposalId;
+
+    const weights  = Object.fromEntries(Object.entries(ownWeights).map(([address, weight]) => [address, new BN(weight)]));
+    const weightOf = address => weights[address] || new BN(0);
+
+    const addTo = (proposalIds, weight) => {
+        for (const id of proposalIds) {
+            voteCounts[id] = (voteCounts[id] || new BN(0)).add(weight);
+        }
+    };
+
+    for (const { event, args } of events) {
+        const weight = weightOf(args._voterAddress);
+
+        switch (event) {
+            case "Voted":
+            case "Approved": {
+                const proposalIds = event === "Voted" ? [args._proposalId] : args._proposalIds;
+
+                ballots[args._voterAddress] = { proposalIds, weight };
+                addTo(proposalIds, weight);
+                votesCastCount = votesCastCount.add(weight);
+                break;
+            }
+
+            case "VoteChanged":
+                ballots[args._voterAddress] = { proposalIds: [args._proposalId], weight };
+                addTo([args._previousProposalId], weight.neg());
+                addTo([args._proposalId], weight);
+                break;
+
+            case "VoteRevoked":
+                delete ballots[args._voterAddress];
+                addTo(args._proposalIds, weight.neg());
+                votesCastCount = votesCastCount.sub(weight);
+                break;
+
+            case "Delegated": {
+                const ballot = ballots[args._delegateAddress];
+
+                weights[args._delegateAddress] = weightOf(args._delegateAddress).add(weight);
+                if (ballot) {
+                    ballot.weight = ballot.weight.add(weight);
+                    addTo(ballot.proposalIds, weight);
+                    votesCastCount = votesCastCount.add(weight);
+                }
+                break;
+            }
+
+            case "RunoffStarted":
+                voteCounts     = {};
+                votesCastCount = new BN(0);
+                ballots        = {};
+                break;
+
+            case "TieBroken":
+                tieBrokenProposalId = args._proposalId;
+                break;
+        }
+    }
+
+    const str = value => value.toString();
+
+    return {
+        voteCounts:        Object.fromEntries(Object.entries(voteCounts).map(([id, count]) => [id, str(count)])),
+        votesCastCount:    str(votesCastCount),
+        ballots:           Object.fromEntries(Object.entries(ballots).map(([address, ballot]) => [
+            address,
+            { proposalIds: ballot.proposalIds, weight: str(ballot.weight) }
+        ])),
+        weights:           Object.fromEntries(Object.entries(weights).map(([address, weight]) => [address, str(weight)])),
+        totalVotingWeight: str(Object.values(ownWeights).reduce((total, weight) => total.add(new BN(weight)), new BN(0))),
+        tieBrokenProposalId
+    };
+}
+
+/**
+ * @notice Pick the winners from recounted votes, the same way `Voting.tallyVotes` does.
+ * @param report a results report (Cf. `buildResultsReport`)
+ * @param recount the recounted votes (Cf. `recountVotes`)
+ * @return {{winningProposalId: string, winningProposalIds: string[]}}
+ */
+function pickWinners(report, recount) {
+    const count  = id => new BN(recount.voteCounts[id] || 0);
+    const counts = report.proposals.map(({ id }) => ({ id, count: count(id) }));
+    const max    = counts.reduce((max, { count }) => BN.max(max, count), new BN(0));
+    const quorum = new BN(recount.votesCastCount).muln(100).gte(new BN(recount.totalVotingWeight).mul(new BN(report.quorumPercentage)));
+    const winners = ids => ({ winningProposalId: ids[0], winningProposalIds: ids });
+
+    if (! quorum || max.isZero()) {
+        return { winningProposalId: "0", winningProposalIds: [] };
+    }
+    if (report.ballotMode === RANKED_CHOICE) {
+        const choices = Object.fromEntries(report.voters.map(voter => [voter.address, voter.choices]));
+        const ballots = Object.entries(recount.ballots).map(([address, { weight }]) => ({
+            ranking: (choices[address] || []).map(Number),
+            weight:  new BN(weight)
+        }));
+        const proposalIds = report.proposals.map(({ id }) => Number(id));
+
+        return winners([String(tallyInstantRunoff(proposalIds, ballots).winningProposalId)]);
+    }
+
+    // Most voted first, the lowest id first among equals
+    const ranked = counts
+        .filter(({ count }) => ! count.isZero())
+        .sort((a, b) => b.count.cmp(a.count) || Number(a.id) - Number(b.id));
+
+    if (Number(report.winnersCount) > 1) {
+        return winners(ranked.slice(0, Number(report.winnersCount)).map(({ id }) => id));
+    }
+
+    const mostVoted = ranked.filter(({ count }) => count.eq(max)).map(({ id }) => id);
+    if (mostVoted.length === 1) {
+        return winners(mostVoted);
+    }
+    if (recount.tieBrokenProposalId !== undefined && mostVoted.includes(recount.tieBrokenProposalId)) {
+        return winners([recount.tieBrokenProposalId]);
+    }
+    return { winningProposalId: "0", winningProposalIds: mostVoted };
+}
+
+/**
+ * @notice Recount the votes of a results report and compare them with the contract's.
+ * @param report a results report (Cf. `buildResultsReport`)
+ * @return {{recount, mismatches: {path: string, onChain: string, recounted: string}[]}}
+ *           the recount, and where it disagrees with the contract: empty when the results are right
+ */
+function auditResults(report) {
+    const ownWeights = Object.fromEntries(report.voters.map(({ address, ownWeight }) => [address, ownWeight]));
+    const recount    = recountVotes(report.events, ownWeights);
+    const winners    = pickWinners(report, recount);
+    const mismatches = [];
+    const compare    = (path, onChain, recounted) => {
+        if (String(onChain) !== String(recounted)) {
+            mismatches.push({ path, onChain: String(onChain), recounted: String(recounted) });
+        }
+    };
+
+    for (const proposal of report.proposals) {
+        compare(`proposals.${proposal.id}.voteCount`, proposal.voteCount, recount.voteCounts[proposal.id] || "0");
+    }
+    // A delegator's own weight is of no use once handed over
+    for (const voter of report.voters.filter(({ delegate }) => delegate === ZERO_ADDRESS)) {
+        compare(`voters.${voter.address}.weight`, voter.weight, recount.weights[voter.address]);
+    }
+    compare("votesCastCount", report.votesCastCount, recount.votesCastCount);
+    compare("totalVotingWeight", report.totalVotingWeight, recount.totalVotingWeight);
+    compare("winningProposalId", report.winningProposalId, winners.winningProposalId);
+    compare("winningProposalIds", report.winningProposalIds.join(" "), winners.winningProposalIds.join(" "));
+
+    return { recount: { ...recount, ...winners }, mismatches };
+}
+
+/**
+ * @return a CSV field, quoted when it holds a separator, a quote or a line break.
+ */
+function csvField(value) {
+    const text = value === null ? "" : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLines(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+/**
+ * @return the proposals and the voters of a results report, as two CSV documents.
+ */
+function formatResultsCsv(report) {
+    return {
+        proposals: csvLines(
+            ["id", "description", "voteCount", "author", "status", "contentHash", "winner"],
+            report.proposals.map(proposal => [
+                proposal.id,
+                proposal.description,
+                proposal.voteCount,
+                proposal.author,
+                proposal.status,
+                proposal.contentHash,
+                report.winningProposalIds.includes(proposal.id)
+            ])
+        ),
+        voters: csvLines(
+            ["address", "hasVoted", "votedProposalId", "choices", "weight", "delegate", "voteBlock"],
+            report.voters.map(voter => [
+                voter.address,
+                voter.hasVoted,
+                voter.votedProposalId,
+                voter.choices.join(" "),
+                voter.weight,
+                voter.delegate,
+                voter.voteBlock
+            ])
+        )
+    };
+}
+
+/**
+ * @notice Save a results report as `<prefix>.json`, `<prefix>-proposals.csv` and `<prefix>-voters.csv`.
+ * @param audit the audit of the report, saved along with it (Cf. `auditResults`)
+ * @return the paths of the saved files
+ */
+function saveResultsReport(report, audit, prefix) {
+    const csv   = formatResultsCsv(report);
+    const files = [`${prefix}.json`, `${prefix}-proposals.csv`, `${prefix}-voters.csv`];
+
+    fs.writeFileSync(files[0], JSON.stringify({ ...report, audit }, null, 2));
+    fs.writeFileSync(files[1], csv.proposals);
+    fs.writeFileSync(files[2], csv.voters);
+
+    return files;
+}
+
+module.exports = {
+    buildResultsReport,
+    readOwnWeights,
+    recountVotes,
+    pickWinners,
+    auditResults,
+    formatResultsCsv,
+    saveResultsReport
+};
@@ -0,0 +1,39 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Build the commitments of a secret ballot (Cf. Voting.commitVote)
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { randomHex, soliditySha3 } = require('web3-utils');
+
+/**
+ * @return a fresh random salt, to keep until the vote is revealed
+ */
+function createSalt() {
+    return randomHex(32);
+}
+
+/**
+ * @notice Hash a vote the same way Voting.revealVote does:
+ *           keccak256(abi.encodePacked(proposalId, salt, voterAddress))
+ * @param proposalId the id of the proposal voted for (number, string or BN)
+ * @param {string} salt a 32 bytes hex string
+ * @param {string} voterAddress the address the vote is committed from
+ * @return {string} the commitment, as a 32 bytes hex string
+ */
+function computeVoteCommitment(proposalId, salt, voterAddress) {
+    return soliditySha3(
+        { type: "uint256", value: proposalId.toString() },
+        { type: "bytes32", value: salt },
+        { type: "address", value: voterAddress }
+    );
+}
+
+/**
+ * @notice Prepare a secret vote: a fresh salt and the matching commitment.
+ * @return {{proposalId, salt: string, commitment: string}}
+ */
+function prepareSecretVote(proposalId, voterAddress) {
+    const salt = createSalt();
+
+    return { proposalId, salt, commitment: computeVoteCommitment(proposalId, salt, voterAddress) };
+}
+
+module.exports = { createSalt, computeVoteCommitment, prepareSecretVote };
@@ -0,0 +1,93 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Register voters from a CSV of addresses, in batches
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+// About 100k gas per fresh voter: keeps a `registerVoters` transaction around 5M gas
+const DEFAULT_BATCH_SIZE = 50;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * @notice Split a CSV of addresses into batches for `Voting.registerVoters`.
+ * @dev Cells may be separated by commas, semicolons or new lines.
+ *        Addresses are compared case-insensitively; the first occurrence is kept.
+ * @param {string} csv the addresses
+ * @param {object} options `batchSize` (number of addresses per batch)
+ *        and `skip` (addresses to leave out, e.g. those already registered)
+ * @return {{batches: string[][], duplicates: string[], skipped: string[], invalid: string[]}}
+ */
+function planVoterBatches(csv, { batchSize = DEFAULT_BATCH_SIZE, skip = [] } = {}) {
+    if (! Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error(`Invalid batch size: ${batchSize}`);
+    }
+
+    const seen       = new Set();
+    const toSkip     = new Set(skip.map(address => address.toLowerCase()));
+    const addresses  = [];
+    const duplicates = [];
+    const skipped    = [];
+    const invalid    = [];
+
+    for (const cell of csv.split(/[\s,;]+/)) {
+        const address = cell.trim();
+
+        if (address === "") {
+            continue;
+        }
+        if (! ADDRESS_PATTERN.test(address)) {
+            invalid.push(address);
+        } else if (seen.has(address.toLowerCase())) {
+            duplicates.push(address);
+        } else if (toSkip.has(address.toLowerCase())) {
+            seen.add(address.toLowerCase());
+            skipped.push(address);
+        } else {
+            seen.add(address.toLowerCase());
+            addresses.push(address);
+        }
+    }
+
+    const batches = [];
+    for (let i = 0; i < addresses.length; i += batchSize) {
+        batches.push(addresses.slice(i, i + batchSize));
+    }
+
+    return { batches, duplicates, skipped, invalid };
+}
+
+/**
+ * @notice Register every new address of a CSV as a voter, one `registerVoters` transaction per batch.
+ * @param votingInstance a deployed Voting contract (truffle instance)
+ * @param {string} csv the addresses
+ * @param {object} options `from` (the owner address) and `batchSize`
+ * @return a report of the registered, duplicate, already registered and invalid addresses,
+ *           and of the transaction hashes
+ */
+async function registerVoterBatches(votingInstance, csv, { from, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const candidates = planVoterBatches(csv, { batchSize: Number.MAX_SAFE_INTEGER }).batches[0] || [];
+
+    const alreadyRegistered = [];
+    for (const address of candidates) {
+        if ((await votingInstance.voters.call(address)).isRegistered) {
+            alreadyRegistered.push(address);
+        }
+    }
+
+    const plan = planVoterBatches(csv, { batchSize, skip: alreadyRegistered });
+
+    const transactions = [];
+    for (const batch of plan.batches) {
+        const result = await votingInstance.registerVoters(batch, { from });
+        transactions.push(result.tx);
+    }
+
+    return {
+        registered:        [].concat(...plan.batches),
+        duplicates:        plan.duplicates,
+        alreadyRegistered: plan.skipped,
+        invalid:           plan.invalid,
+        transactions
+    };
+}
+
+module.exports = { DEFAULT_BATCH_SIZE, planVoterBatches, registerVoterBatches };
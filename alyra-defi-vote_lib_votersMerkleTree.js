@@ -0,0 +1,104 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Build the voters Merkle tree published with Voting.setVotersMerkleRoot
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const fs                = require('fs');
+const { soliditySha3 }  = require('web3-utils');
+
+/**
+ * @return the leaf of an address: keccak256(abi.encodePacked(address))
+ */
+function voterLeaf(address) {
+    return soliditySha3({ type: "address", value: address });
+}
+
+/**
+ * @return the hash of 2 nodes, sorted as OpenZeppelin's MerkleProof expects them
+ */
+function hashPair(a, b) {
+    const [first, second] = a <= b ? [a, b] : [b, a];
+
+    return soliditySha3({ type: "bytes32", value: first }, { type: "bytes32", value: second });
+}
+
+/**
+ * @notice Build the Merkle tree of eligible voters and the proof of each of them.
+ * @dev Addresses are deduplicated case-insensitively.
+ *        A node without sibling is moved up to the next level as is.
+ * @param {string[]} addresses the eligible voters
+ * @return {{root: string, proofs: Object<string, string[]>}} the root and the proofs,
+ *           by lower-cased address
+ */
+function buildVotersMerkleTree(addresses) {
+    const unique = [...new Set(addresses.map(address => address.toLowerCase()))];
+    if (unique.length === 0) {
+        throw new Error("Cannot build a Merkle tree without any address");
+    }
+
+    const leaves = unique.map(voterLeaf);
+    const proofs = {};
+    unique.forEach(address => { proofs[address] = []; });
+
+    // For each node of the current level, the addresses below it
+    let level  = leaves;
+    let owners = unique.map(address => [address]);
+
+    while (level.length > 1) {
+        const nextLevel  = [];
+        const nextOwners = [];
+
+        for (let i = 0; i < level.length; i += 2) {
+            if (i + 1 === level.length) {
+                nextLevel.push(level[i]);
+                nextOwners.push(owners[i]);
+                continue;
+            }
+
+            owners[i].forEach(address => proofs[address].push(level[i + 1]));
+            owners[i + 1].forEach(address => proofs[address].push(level[i]));
+
+            nextLevel.push(hashPair(level[i], level[i + 1]));
+            nextOwners.push(owners[i].concat(owners[i + 1]));
+        }
+
+        level  = nextLevel;
+        owners = nextOwners;
+    }
+
+    return { root: level[0], proofs };
+}
+
+/**
+ * @return the proof of an address, or `undefined` if it is not in the tree
+ */
+function getVoterProof(tree, address) {
+    return tree.proofs[address.toLowerCase()];
+}
+
+/**
+ * @notice Check a proof the same way Voting does.
+ */
+function verifyVoterProof(root, address, proof) {
+    return proof.reduce(hashPair, voterLeaf(address)) === root;
+}
+
+module.exports = { voterLeaf, buildVotersMerkleTree, getVoterProof, verifyVoterProof };
+
+// Usage: node lib/votersMerkleTree.js <addresses file> [<output JSON file>]
+if (require.main === module) {
+    const [inputFile, outputFile] = process.argv.slice(2);
+    if (! inputFile) {
+        console.error("Usage: node lib/votersMerkleTree.js <addresses file> [<output JSON file>]");
+        process.exit(1);
+    }
+
+    const addresses = fs.readFileSync(inputFile, "utf8")
+        .split(/[\s,;]+/)
+        .filter(address => address !== "");
+    const json = JSON.stringify(buildVotersMerkleTree(addresses), null, 2);
+
+    if (outputFile) {
+        fs.writeFileSync(outputFile, json);
+    } else {
+        console.log(json);
+    }
+}
@@ -0,0 +1,160 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Type declarations of votingClient.js
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+export declare const WorkflowStatus: Readonly<{
+    RegisteringVoters: 0;
+    ProposalsRegistrationStarted: 1;
+    ProposalsRegistrationEnded: 2;
+    VotingSessionStarted: 3;
+    VotingSessionEnded: 4;
+    VotesTallied: 5;
+    RevealingVotes: 6;
+    Cancelled: 7;
+}>;
+
+export type Phase = typeof WorkflowStatus[keyof typeof WorkflowStatus];
+
+/** A uint argument: a native number, a bigint, or a decimal string. */
+export type Uint = number | bigint | string;
+
+export interface TransactionOptions {
+    from?: string;
+    gas?: number | string;
+    gasPrice?: number | string;
+}
+
+/** What truffle resolves a transaction with. */
+export interface TransactionResult {
+    tx: string;
+    receipt: any;
+    logs: Array<{ event: string; args: Record<string, any> }>;
+}
+
+export interface Voter {
+    isRegistered: boolean;
+    hasVoted: boolean;
+    votedProposalId: number;
+    weight: bigint;
+    delegate: string;
+}
+
+export interface Proposal {
+    id: number;
+    description: string;
+    voteCount: bigint;
+    author: string;
+    /** 0: None, 1: Active, 2: Withdrawn */
+    status: number;
+    contentHash: string;
+}
+
+export interface Results {
+    status: Phase;
+    /** Cf. Voting.TallyOutcome */
+    outcome: number;
+    winningProposalIds: number[];
+    winningVoteCounts: bigint[];
+    votesCastCount: bigint;
+    totalVotingWeight: bigint;
+    registeredVotersCount: number;
+    proposalsCount: number;
+    quorumPercentage: number;
+    quorumReached: boolean;
+    runoffRound: number;
+}
+
+export declare class VotingError extends Error {
+    /** The matching `VotingErrors` key, `undefined` for an unknown reason. */
+    readonly code: string | undefined;
+    readonly cause: unknown;
+    constructor(message: string, code?: string, cause?: unknown);
+}
+
+export declare class WrongPhaseError extends VotingError {
+    readonly phase: Phase | undefined;
+    readonly expectedPhases: Phase[] | undefined;
+    constructor(
+        message: string,
+        code?: string,
+        cause?: unknown,
+        details?: { phase?: Phase; expectedPhases?: Phase[] }
+    );
+}
+
+export declare class NotAuthorizedError extends VotingError {}
+
+export declare function toVotingError(error: unknown): VotingError;
+
+export declare class VotingClient {
+    readonly votingInstance: any;
+    from: string | undefined;
+    pageSize: number;
+
+    constructor(votingInstance: any, options?: { from?: string; pageSize?: number });
+
+    readonly address: string;
+
+    getPhase(): Promise<Phase>;
+    getVoter(address: string): Promise<Voter>;
+    getProposal(proposalId: Uint): Promise<Proposal>;
+    getProposals(): Promise<Proposal[]>;
+    getVoters(): Promise<Array<Voter & { address: string }>>;
+    getResults(): Promise<Results>;
+    isPaused(): Promise<boolean>;
+    getRound(): Promise<number>;
+    getRoundResults(round: Uint): Promise<Results>;
+
+    registerVoter(address: string, options?: TransactionOptions): Promise<TransactionResult>;
+    registerVoters(addresses: string[], options?: TransactionOptions): Promise<TransactionResult>;
+    unregisterVoter(address: string, options?: TransactionOptions): Promise<TransactionResult>;
+    setVotersMerkleRoot(root: string, options?: TransactionOptions): Promise<TransactionResult>;
+    setTiePolicy(tiePolicy: Uint, options?: TransactionOptions): Promise<TransactionResult>;
+    setWinnersCount(winnersCount: Uint, options?: TransactionOptions): Promise<TransactionResult>;
+    setMaxProposalsPerVoter(maxProposalsPerVoter: Uint, options?: TransactionOptions): Promise<TransactionResult>;
+    setSecretBallot(secretBallot: boolean, options?: TransactionOptions): Promise<TransactionResult>;
+    setVoteChangesAllowed(voteChangesAllowed: boolean, options?: TransactionOptions): Promise<TransactionResult>;
+
+    registerProposal(description: string, options?: TransactionOptions): Promise<TransactionResult>;
+    registerProposalWithContent(title: string, contentHash: string, options?: TransactionOptions): Promise<TransactionResult>;
+    /** Register the caller as a voter with their proof in the voters Merkle tree, if need be, then their proposal */
+    registerProposalWithProof(description: string, proof: string[], options?: TransactionOptions): Promise<TransactionResult>;
+    /** Cf. lib/ballotRelayer.js for the signature */
+    registerProposalBySig(
+        author: string,
+        description: string,
+        contentHash: string,
+        deadline: Uint,
+        signature: string,
+        options?: TransactionOptions
+    ): Promise<TransactionResult>;
+    editProposal(proposalId: Uint, description: string, options?: TransactionOptions): Promise<TransactionResult>;
+    editProposalWithContent(proposalId: Uint, title: string, contentHash: string, options?: TransactionOptions): Promise<TransactionResult>;
+    withdrawProposal(proposalId: Uint, options?: TransactionOptions): Promise<TransactionResult>;
+    /** Snapshot the governance token voting power of the next `count` voters, for a ballot too big to snapshot at once */
+    snapshotVotingWeights(count: Uint, options?: TransactionOptions): Promise<TransactionResult>;
+
+    vote(proposalId: Uint, options?: TransactionOptions): Promise<TransactionResult>;
+    /** Register the caller as a voter with their proof in the voters Merkle tree, if need be, then their vote */
+    voteWithProof(proposalId: Uint, proof: string[], options?: TransactionOptions): Promise<TransactionResult>;
+    /** Cf. lib/ballotRelayer.js for the signature */
+    voteBySig(voterAddress: string, proposalId: Uint, deadline: Uint, signature: string, options?: TransactionOptions): Promise<TransactionResult>;
+    voteRanked(proposalIds: Uint[], options?: TransactionOptions): Promise<TransactionResult>;
+    approve(proposalIds: Uint[], options?: TransactionOptions): Promise<TransactionResult>;
+    changeVote(proposalId: Uint, options?: TransactionOptions): Promise<TransactionResult>;
+    revokeVote(options?: TransactionOptions): Promise<TransactionResult>;
+    delegate(to: string, options?: TransactionOptions): Promise<TransactionResult>;
+    commitVote(commitment: string, options?: TransactionOptions): Promise<TransactionResult>;
+    startVotesReveal(options?: TransactionOptions): Promise<TransactionResult>;
+    revealVote(proposalId: Uint, salt: string, options?: TransactionOptions): Promise<TransactionResult>;
+
+    tallyVotes(options?: TransactionOptions): Promise<TransactionResult>;
+    breakTie(proposalId: Uint, options?: TransactionOptions): Promise<TransactionResult>;
+    pause(options?: TransactionOptions): Promise<TransactionResult>;
+    unpause(options?: TransactionOptions): Promise<TransactionResult>;
+    cancel(reason: string, options?: TransactionOptions): Promise<TransactionResult>;
+    startNewRound(keepVoters: boolean, phaseDeadlines?: Uint[], options?: TransactionOptions): Promise<TransactionResult>;
+
+    /** Move the ballot on to a phase; stops early when a tally starts a runoff. */
+    advanceTo(phase: Phase, options?: TransactionOptions): Promise<Phase>;
+}
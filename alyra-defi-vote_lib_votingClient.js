@@ -0,0 +1,513 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// A client for the Voting smart-contract (Cf. votingClient.d.ts for the types)
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { VotingErrors, votingErrorOf } = require('./votingErrors');
+
+// MUST be kept in sync with Voting.WorkflowStatus
+const WorkflowStatus = Object.freeze({
+    RegisteringVoters:            0,
+    ProposalsRegistrationStarted: 1,
+    ProposalsRegistrationEnded:   2,
+    VotingSessionStarted:         3,
+    VotingSessionEnded:           4,
+    VotesTallied:                 5,
+    RevealingVotes:               6,
+    Cancelled:                    7
+});
+
+// The phases in the order a ballot goes through them (RevealingVotes only for a secret ballot)
+const PHASES_ORDER = [
+    WorkflowStatus.RegisteringVoters,
+    WorkflowStatus.ProposalsRegistrationStarted,
+    WorkflowStatus.ProposalsRegistrationEnded,
+    WorkflowStatus.VotingSessionStarted,
+    WorkflowStatus.VotingSessionEnded,
+    WorkflowStatus.RevealingVotes,
+    WorkflowStatus.VotesTallied
+];
+
+// The transaction moving a ballot out of each phase
+const TRANSITIONS = Object.freeze({
+    [WorkflowStatus.RegisteringVoters]:            "startProposalRegistration",
+    [WorkflowStatus.ProposalsRegistrationStarted]: "endProposalRegistration",
+    [WorkflowStatus.ProposalsRegistrationEnded]:   "startVotingSession",
+    [WorkflowStatus.VotingSessionStarted]:         "endVotingSession",
+    [WorkflowStatus.RevealingVotes]:               "tallyVotes"
+});
+
+const ROLE_ERRORS = ["NotRegistrar", "NotChair", "NotAdminToGrant", "NotAdminToRevoke"];
+
+/**
+ * @notice A revert of the Voting contract.
+ * @dev `code` is the matching `VotingErrors` key, `undefined` for an unknown reason.
+ */
+class VotingError extends Error {
+    constructor(message, code, cause) {
+        super(message);
+        this.name  = "VotingError";
+        this.code  = code;
+        this.cause = cause;
+    }
+}
+
+/**
+ * @notice A call made in a phase which does not allow it.
+ */
+class WrongPhaseError extends VotingError {
+    constructor(message, code, cause, { phase, expectedPhases } = {}) {
+        super(message, code, cause);
+        this.name           = "WrongPhaseError";
+        this.phase          = phase;
+        this.expectedPhases = expectedPhases;
+    }
+}
+
+/**
+ * @notice A call made by an account without the required role.
+ */
+class NotAuthorizedError extends VotingError {
+    constructor(message, code, cause) {
+        super(message, code, cause);
+        this.name = "NotAuthorizedError";
+    }
+}
+
+/**
+ * @notice Turn the error of a rejected call into a typed error.
+ * @return {VotingError} a `WrongPhaseError`, a `NotAuthorizedError` or a `VotingError`
+ */
+function toVotingError(error) {
+    if (error instanceof VotingError) {
+        return error;
+    }
+
+    const code = votingErrorOf(error);
+    if (code === undefined) {
+        // Anything may be thrown, not only an Error
+        return new VotingError(error && error.message !== undefined ? error.message : String(error), undefined, error);
+    }
+    if (code.startsWith("Cannot") || code === "PhaseDeadlinePassed") {
+        return new WrongPhaseError(VotingErrors[code], code, error);
+    }
+    if (ROLE_ERRORS.includes(code)) {
+        return new NotAuthorizedError(VotingErrors[code], code, error);
+    }
+    return new VotingError(VotingErrors[code], code, error);
+}
+
+// BN (or number string) to native values
+const toNumber = value => Number(value.toString());
+const toBigInt = value => BigInt(value.toString());
+
+// Native values to what web3 accepts
+const toUint = value => value.toString();
+
+function toVoter(voter) {
+    return {
+        isRegistered:    voter.isRegistered,
+        hasVoted:        voter.hasVoted,
+        votedProposalId: toNumber(voter.votedProposalId),
+        weight:          toBigInt(voter.weight),
+        delegate:        voter.delegateAddress
+    };
+}
+
+function toProposal(id, proposal) {
+    return {
+        id:          toNumber(id),
+        description: proposal.description,
+        voteCount:   toBigInt(proposal.voteCount),
+        author:      proposal.author,
+        status:      toNumber(proposal.status),
+        contentHash: proposal.contentHash
+    };
+}
+
+function toResults(results) {
+    return {
+        status:                toNumber(results.status),
+        outcome:               toNumber(results.outcome),
+        winningProposalIds:    results.winningProposalIds.map(toNumber),
+        winningVoteCounts:     results.winningVoteCounts.map(toBigInt),
+        votesCastCount:        toBigInt(results.votesCastCount),
+        totalVotingWeight:     toBigInt(results.totalVotingWeight),
+        registeredVotersCount: toNumber(results.registeredVotersCount),
+        proposalsCount:        toNumber(results.proposalsCount),
+        quorumPercentage:      toNumber(results.quorumPercentage),
+        quorumReached:         results.quorumReached,
+        runoffRound:           toNumber(results.runoffRound)
+    };
+}
+
+class VotingClient {
+
+    /**
+     * @param votingInstance a truffle Voting contract instance
+     * @param {object} options `from` the default account transactions are sent from,
+     *        `pageSize` the number of entries read per call by `getProposals` and `getVoters`
+     */
+    constructor(votingInstance, { from, pageSize = 100 } = {}) {
+        this.votingInstance = votingInstance;
+        this.from           = from;
+        this.pageSize       = pageSize;
+    }
+
+    get address() {
+        return this.votingInstance.address;
+    }
+
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    // Reads, each turning a revert into a typed error
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+    getPhase() {
+        return this._read(async () => toNumber(await this.votingInstance.getWorkflowStatus()));
+    }
+
+    getVoter(address) {
+        return this._read(async () => toVoter(await this.votingInstance.voters(address)));
+    }
+
+    getProposal(proposalId) {
+        return this._read(async () => {
+            const result = await this.votingInstance.getProposal(toUint(proposalId));
+
+            return toProposal(proposalId, {
+                description: result[0],
+                voteCount:   result[1],
+                author:      result[2],
+                status:      result[3],
+                contentHash: result[4]
+            });
+        });
+    }
+
+    /**
+     * @return all the proposals, read `pageSize` at a time
+     */
+    getProposals() {
+        return this._read(async () => {
+            const proposals = [];
+
+            for (let offset = 0; ; offset += this.pageSize) {
+                const { ids, page } = await this.votingInstance.getProposalsPage(offset, this.pageSize);
+
+                ids.forEach((id, i) => proposals.push(toProposal(id, page[i])));
+                if (ids.length < this.pageSize) {
+                    return proposals;
+                }
+            }
+        });
+    }
+
+    /**
+     * @return all the registered voters with their address, read `pageSize` at a time
+     *         (the unregistered addresses the pages also list are left out)
+     */
+    getVoters() {
+        return this._read(async () => {
+            const voters = [];
+
+            for (let offset = 0; ; offset += this.pageSize) {
+                const { addresses, page } = await this.votingInstance.getVotersPage(offset, this.pageSize);
+
+                addresses.forEach((address, i) => {
+                    if (page[i].isRegistered) {
+                        voters.push({ address, ...toVoter(page[i]) });
+                    }
+                });
+                if (addresses.length < this.pageSize) {
+                    return voters;
+                }
+            }
+        });
+    }
+
+    getResults() {
+        return this._read(async () => toResults(await this.votingInstance.getResults()));
+    }
+
+    isPaused() {
+        return this._read(() => this.votingInstance.paused());
+    }
+
+    getRound() {
+        return this._read(async () => toNumber(await this.votingInstance.round()));
+    }
+
+    /**
+     * @return the results of a round, past or current
+     */
+    getRoundResults(round) {
+        return this._read(async () => toResults(await this.votingInstance.getRoundResults(toUint(round))));
+    }
+
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    // Transactions, each checking the phase before being sent
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+    registerVoter(address, options) {
+        return this._send([WorkflowStatus.RegisteringVoters], "registerVoter", [address], options);
+    }
+
+    registerVoters(addresses, options) {
+        return this._send([WorkflowStatus.RegisteringVoters], "registerVoters", [addresses], options);
+    }
+
+    unregisterVoter(address, options) {
+        return this._send([WorkflowStatus.RegisteringVoters], "unregisterVoter", [address], options);
+    }
+
+    setVotersMerkleRoot(root, options) {
+        return this._send([WorkflowStatus.RegisteringVoters], "setVotersMerkleRoot", [root], options);
+    }
+
+    setTiePolicy(tiePolicy, options) {
+        return this._send([WorkflowStatus.RegisteringVoters], "setTiePolicy", [toUint(tiePolicy)], options);
+    }
+
+    setWinnersCount(winnersCount, options) {
+        return this._send([WorkflowStatus.RegisteringVoters], "setWinnersCount", [toUint(winnersCount)], options);
+    }
+
+    setMaxProposalsPerVoter(maxProposalsPerVoter, options) {
+        return this._send([WorkflowStatus.RegisteringVoters], "setMaxProposalsPerVoter", [toUint(maxProposalsPerVoter)], options);
+    }
+
+    setSecretBallot(secretBallot, options) {
+        return this._send([WorkflowStatus.RegisteringVoters], "setSecretBallot", [secretBallot], options);
+    }
+
+    setVoteChangesAllowed(voteChangesAllowed, options) {
+        return this._send([WorkflowStatus.RegisteringVoters], "setVoteChangesAllowed", [voteChangesAllowed], options);
+    }
+
+    registerProposal(description, options) {
+        return this._send([WorkflowStatus.ProposalsRegistrationStarted], "registerProposal", [description], options);
+    }
+
+    registerProposalWithContent(title, contentHash, options) {
+        return this._send([WorkflowStatus.ProposalsRegistrationStarted], "registerProposalWithContent", [title, contentHash], options);
+    }
+
+    /**
+     * @param {string[]} proof the proof of the caller in the voters Merkle tree (Cf. lib/votersMerkleTree.js)
+     */
+    registerProposalWithProof(description, proof, options) {
+        return this._send([WorkflowStatus.ProposalsRegistrationStarted], "registerProposalWithProof", [description, proof], options);
+    }
+
+    registerProposalBySig(author, description, contentHash, deadline, signature, options) {
+        return this._send(
+            [WorkflowStatus.ProposalsRegistrationStarted],
+            "registerProposalBySig",
+            [author, description, contentHash, toUint(deadline), signature],
+            options
+        );
+    }
+
+    editProposal(proposalId, description, options) {
+        return this._send([WorkflowStatus.ProposalsRegistrationStarted], "editProposal", [toUint(proposalId), description], options);
+    }
+
+    editProposalWithContent(proposalId, title, contentHash, options) {
+        return this._send(
+            [WorkflowStatus.ProposalsRegistrationStarted],
+            "editProposalWithContent",
+            [toUint(proposalId), title, contentHash],
+            options
+        );
+    }
+
+    withdrawProposal(proposalId, options) {
+        return this._send([WorkflowStatus.ProposalsRegistrationStarted], "withdrawProposal", [toUint(proposalId)], options);
+    }
+
+    snapshotVotingWeights(count, options) {
+        return this._send([WorkflowStatus.ProposalsRegistrationEnded], "snapshotVotingWeights", [toUint(count)], options);
+    }
+
+    vote(proposalId, options) {
+        return this._send([WorkflowStatus.VotingSessionStarted], "vote", [toUint(proposalId)], options);
+    }
+
+    /**
+     * @param {string[]} proof the proof of the caller in the voters Merkle tree (Cf. lib/votersMerkleTree.js)
+     */
+    voteWithProof(proposalId, proof, options) {
+        return this._send([WorkflowStatus.VotingSessionStarted], "voteWithProof", [toUint(proposalId), proof], options);
+    }
+
+    voteBySig(voterAddress, proposalId, deadline, signature, options) {
+        return this._send(
+            [WorkflowStatus.VotingSessionStarted],
+            "voteBySig",
+            [voterAddress, toUint(proposalId), toUint(deadline), signature],
+            options
+        );
+    }
+
+    voteRanked(proposalIds, options) {
+        return this._send([WorkflowStatus.VotingSessionStarted], "voteRanked", [proposalIds.map(toUint)], options);
+    }
+
+    approve(proposalIds, options) {
+        return this._send([WorkflowStatus.VotingSessionStarted], "approve", [proposalIds.map(toUint)], options);
+    }
+
+    changeVote(proposalId, options) {
+        return this._send([WorkflowStatus.VotingSessionStarted], "changeVote", [toUint(proposalId)], options);
+    }
+
+    revokeVote(options) {
+        return this._send([WorkflowStatus.VotingSessionStarted], "revokeVote", [], options);
+    }
+
+    delegate(to, options) {
+        return this._send(
+            [
+                WorkflowStatus.ProposalsRegistrationStarted,
+                WorkflowStatus.ProposalsRegistrationEnded,
+                WorkflowStatus.VotingSessionStarted
+            ],
+            "delegate",
+            [to],
+            options
+        );
+    }
+
+    commitVote(commitment, options) {
+        return this._send([WorkflowStatus.VotingSessionStarted], "commitVote", [commitment], options);
+    }
+
+    startVotesReveal(options) {
+        return this._send([WorkflowStatus.VotingSessionEnded], "startVotesReveal", [], options);
+    }
+
+    revealVote(proposalId, salt, options) {
+        return this._send([WorkflowStatus.RevealingVotes], "revealVote", [toUint(proposalId), salt], options);
+    }
+
+    tallyVotes(options) {
+        return this._send([WorkflowStatus.VotingSessionEnded, WorkflowStatus.RevealingVotes], "tallyVotes", [], options);
+    }
+
+    breakTie(proposalId, options) {
+        return this._send([WorkflowStatus.VotesTallied], "breakTie", [toUint(proposalId)], options);
+    }
+
+    pause(options) {
+        return this._send(undefined, "pause", [], options);
+    }
+
+    unpause(options) {
+        return this._send(undefined, "unpause", [], options);
+    }
+
+    /**
+     * @param {string} reason why the ballot is cancelled, recorded on-chain
+     */
+    cancel(reason, options) {
+        return this._send(undefined, "cancel", [reason], options);
+    }
+
+    /**
+     * @param {boolean} keepVoters whether the registered voters carry over to the new round
+     * @param {Uint[]} phaseDeadlines the deadlines of the new round, none by default
+     */
+    startNewRound(keepVoters, phaseDeadlines = [0, 0, 0, 0, 0, 0], options) {
+        return this._send([WorkflowStatus.VotesTallied], "startNewRound", [keepVoters, phaseDeadlines.map(toUint)], options);
+    }
+
+    /**
+     * @notice Send the transactions moving the ballot on to a phase, one phase at a time.
+     * @dev A tally starting a runoff sends the ballot back to VotingSessionStarted:
+     *        `advanceTo` then stops there.
+     * @return {Promise<number>} the phase reached
+     * @throws {WrongPhaseError} when the phase is behind the current one,
+     *         is RevealingVotes for a ballot which is not secret, or when either is Cancelled
+     */
+    async advanceTo(phase, options) {
+        const secretBallot = await this._read(() => this.votingInstance.secretBallot());
+        if (phase === WorkflowStatus.RevealingVotes && ! secretBallot) {
+            throw new WrongPhaseError("Not a secret ballot", undefined, undefined, { phase, expectedPhases: [] });
+        }
+
+        let current = await this.getPhase();
+        if (current === WorkflowStatus.Cancelled) {
+            throw new WrongPhaseError("Cancelled ballot", undefined, undefined, { phase: current, expectedPhases: [] });
+        }
+        if (phase === WorkflowStatus.Cancelled) {
+            throw new WrongPhaseError("A ballot is cancelled with `cancel`", undefined, undefined, { phase: current, expectedPhases: [] });
+        }
+        if (PHASES_ORDER.indexOf(phase) < PHASES_ORDER.indexOf(current)) {
+            throw new WrongPhaseError(
+                `Cannot go back to phase ${phase} from phase ${current}`,
+                undefined,
+                undefined,
+                { phase: current, expectedPhases: [phase] }
+            );
+        }
+
+        while (current !== phase) {
+            const method = current === WorkflowStatus.VotingSessionEnded
+                ? (secretBallot ? "startVotesReveal" : "tallyVotes")
+                : TRANSITIONS[current];
+
+            await this._send(undefined, method, [], options);
+
+            const next = await this.getPhase();
+            if (PHASES_ORDER.indexOf(next) < PHASES_ORDER.indexOf(current)) {
+                return next;
+            }
+            current = next;
+        }
+
+        return current;
+    }
+
+    /**
+     * @notice Run the calls of a read, turning a revert into a typed error.
+     */
+    async _read(read) {
+        try {
+            return await read();
+        } catch (error) {
+            throw toVotingError(error);
+        }
+    }
+
+    /**
+     * @notice Check the phase, then send a transaction, turning a revert into a typed error.
+     * @param {number[]|undefined} phases the phases allowing the call, `undefined` to skip the check
+     */
+    async _send(phases, method, args, options = {}) {
+        if (phases !== undefined) {
+            const phase = await this.getPhase();
+
+            if (! phases.includes(phase)) {
+                throw new WrongPhaseError(
+                    `Cannot ${method} in phase ${phase}`,
+                    undefined,
+                    undefined,
+                    { phase, expectedPhases: phases }
+                );
+            }
+        }
+
+        try {
+            return await this.votingInstance[method](...args, { from: this.from, ...options });
+        } catch (error) {
+            throw toVotingError(error);
+        }
+    }
+}
+
+module.exports = {
+    WorkflowStatus,
+    VotingClient,
+    VotingError,
+    WrongPhaseError,
+    NotAuthorizedError,
+    toVotingError
+};
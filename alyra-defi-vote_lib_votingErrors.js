@@ -0,0 +1,109 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Revert reasons of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+// MUST be kept in sync with the `require` messages of Voting.sol, VotingBase.sol, VotingModes.sol and VotingFactory.sol
+const VotingErrors = Object.freeze({
+    NotRegistrar:                     "Caller is not a registrar",
+    NotChair:                         "Caller is not a chair",
+    NotAdminToGrant:                  "AccessControl: sender must be an admin to grant",
+    NotAdminToRevoke:                 "AccessControl: sender must be an admin to revoke",
+    InvalidVotingModes:               "Invalid voting modes",
+    InvalidBallotImplementation:      "Invalid ballot implementation",
+    AlreadyInitialized:               "Initializable: contract is already initialized",
+    InvalidQuorumPercentage:          "Invalid quorum percentage",
+    InvalidPhaseDeadlines:            "Invalid phase deadlines",
+    PhaseDeadlinePassed:              "Phase deadline passed",
+    BallotPaused:                     "Ballot is paused",
+    BallotNotPaused:                  "Ballot is not paused",
+    MissingCancellationReason:        "Missing cancellation reason",
+    SignatureExpired:                 "Signature expired",
+    InvalidSignature:                 "Invalid signature",
+    InvalidSignatureLength:           "ECDSA: invalid signature length",
+
+    CannotRegisterVoters:             "Cannot register voters at this stage",
+    CannotUnregisterVoters:           "Cannot unregister voters at this stage",
+    CannotStartProposalsRegistration: "Cannot open proposals registration at this stage",
+    CannotEndProposalsRegistration:   "Cannot end proposal registration at this stage",
+    CannotRegisterProposal:           "Cannot register a proposal at this stage",
+    CannotEditProposal:               "Cannot edit a proposal at this stage",
+    CannotWithdrawProposal:           "Cannot withdraw a proposal at this stage",
+    CannotChangeMaxProposalsPerVoter: "Cannot change the max proposals per voter at this stage",
+    CannotChangeVoteChangesSetting:   "Cannot change the vote changes setting at this stage",
+    CannotChangeVote:                 "Cannot change a vote at this stage",
+    CannotSnapshotVotingWeights:      "Cannot snapshot the voting weights at this stage",
+    CannotStartVotingSession:         "Cannot start the voting session at this stage",
+    CannotVote:                       "Cannot vote at this stage",
+    CannotEndVotingSession:           "Cannot end the voting session at this stage",
+    CannotTallyVotes:                 "Cannot tally votes at this stage",
+    CannotDelegate:                   "Cannot delegate at this stage",
+    CannotChangeBallotMode:           "Cannot change the ballot mode at this stage",
+    CannotChangeWinnersCount:         "Cannot change the winners count at this stage",
+    CannotStartVotesReveal:           "Cannot start the votes reveal at this stage",
+    CannotRevealVotes:                "Cannot reveal votes at this stage",
+    CannotChangeTiePolicy:            "Cannot change the tie policy at this stage",
+    CannotBreakTie:                   "Cannot break a tie at this stage",
+    CannotStartNewRound:              "Cannot start a new round at this stage",
+    CannotPause:                      "Cannot pause the ballot at this stage",
+    CannotCancel:                     "Cannot cancel the ballot at this stage",
+
+    NotRegisteredAsVoter:             "Not registered as a voter",
+    NotRegisteredVoter:               "Not a registered voter",
+    MissingProposalDescription:       "Missing Proposal's description",
+    ProposalDescriptionTooLong:       "Proposal's description too long",
+    DuplicateProposalDescription:     "Duplicate proposal description",
+    MissingProposalContentHash:       "Missing proposal content hash",
+    TooManyProposals:                 "Too many proposals",
+    TooManyRankedChoiceProposals:     "Too many proposals for a ranked-choice ballot",
+    TooManyRankedChoiceVoters:        "Too many voters for a ranked-choice ballot",
+    NotProposalAuthor:                "Not the proposal's author",
+    WithdrawnProposal:                "Withdrawn proposal",
+    AlreadyVoted:                     "Already voted",
+    AlreadyVotedForProposal:          "Already voted for this proposal",
+    VoteChangesNotAllowed:            "Vote changes not allowed",
+    SecretVoteChange:                 "Cannot change a secret vote",
+    NoVoteToChange:                   "No vote to change",
+    InvalidMerkleProof:               "Invalid Merkle proof",
+    SelfRegistrationInTokenBallot:    "Cannot self-register in a token ballot",
+    SelfDelegation:                   "Cannot delegate to oneself",
+    DelegateNotRegistered:            "Cannot delegate to an unregistered voter",
+    DelegationLoop:                   "Delegation loop",
+    VotesMustBeCommitted:             "Votes must be committed in a secret ballot",
+    SecretBallotMustBePlurality:      "A secret ballot must be a plurality ballot",
+    NotPluralityBallot:               "Not a plurality ballot",
+    NotRankedChoiceBallot:            "Not a ranked-choice ballot",
+    MissingRankedProposals:           "Missing ranked proposals",
+    ProposalRankedTwice:              "Proposal ranked twice",
+    NotApprovalBallot:                "Not an approval ballot",
+    MissingApprovedProposals:         "Missing approved proposals",
+    ProposalApprovedTwice:            "Proposal approved twice",
+    InvalidWinnersCount:              "Invalid winners count",
+    RankedChoiceSingleWinner:         "A ranked-choice ballot has a single winner",
+    NotSecretBallot:                  "Not a secret ballot",
+    NotTokenBallot:                   "Not a token ballot",
+    VotingWeightsAlreadySnapshotted:  "Voting weights already snapshotted",
+    MissingVoteCommitment:            "Missing vote commitment",
+    NoVoteToReveal:                   "No vote to reveal",
+    InvalidVoteOpening:               "Invalid vote opening",
+    UnknownProposal:                  "Unknown proposal",
+    UnknownBallot:                    "Unknown ballot",
+    UnknownRound:                     "Unknown round",
+    NotRunoffCandidate:               "Not a runoff candidate",
+    NotTiedProposal:                  "Not a tied proposal"
+});
+
+/**
+ * @notice Find which revert reason of the Voting contract an error carries.
+ * @param {Error|string} error a rejected transaction error, or its message
+ * @return the matching `VotingErrors` key, or `undefined` if there is none
+ */
+function votingErrorOf(error) {
+    const message = typeof error === "string" ? error : (error && error.message) || "";
+
+    // Longest reasons first, so that a reason never shadows a longer one containing it
+    return Object.keys(VotingErrors)
+        .sort((a, b) => VotingErrors[b].length - VotingErrors[a].length)
+        .find(key => message.includes(VotingErrors[key]));
+}
+
+module.exports = { VotingErrors, votingErrorOf };
@@ -0,0 +1,57 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Export the results of a tallied ballot as JSON and CSV, and check them against an off-chain recount
+//
+// truffle exec scripts/auditResults.js <Voting address> [output prefix] [--from-block <block>] [--network <name>]
+//
+// Fails when the recount disagrees with the contract, after saving the report and its audit.
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { buildResultsReport, auditResults, saveResultsReport } = require('../lib/resultsAudit');
+
+const Voting = artifacts.require('Voting');
+
+/**
+ * @return the arguments given after the script path, without the options of truffle itself.
+ */
+function scriptArguments() {
+    const args    = process.argv.slice(process.argv.findIndex(arg => arg.endsWith("auditResults.js")) + 1);
+    const options = {};
+    const values  = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        } else {
+            values.push(args[i]);
+        }
+    }
+    return { values, options };
+}
+
+module.exports = async function (callback) {
+    try {
+        const { values: [address, prefix], options } = scriptArguments();
+        if (! address) {
+            throw new Error("Usage: truffle exec scripts/auditResults.js <Voting address> [output prefix] [--from-block <block>]");
+        }
+
+        const votingInstance = await Voting.at(address);
+        const report         = await buildResultsReport(votingInstance, web3, { fromBlock: Number(options["from-block"] || 0) });
+        const audit          = auditResults(report);
+        const files          = saveResultsReport(report, audit, prefix || `results-${report.ballotId}-round-${report.round}`);
+
+        console.log(`Ballot ${report.ballotId}, round ${report.round}: tallied in block ${report.talliedBlock}, read in block ${report.reportBlock}`);
+        console.log(`Saved ${files.join(", ")}`);
+
+        if (audit.mismatches.length > 0) {
+            for (const { path, onChain, recounted } of audit.mismatches) {
+                console.error(`MISMATCH ${path}: ${onChain} on-chain, ${recounted} recounted`);
+            }
+            throw new Error(`The recount disagrees with the contract on ${audit.mismatches.length} value(s)`);
+        }
+        console.log(`The recount matches the contract: winning proposal ${report.winningProposalId}`);
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
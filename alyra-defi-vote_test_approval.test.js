@@ -0,0 +1,247 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the approval ballot and multi-winner tally of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const { BallotMode, TallyOutcome, deployBallot, startVotingSession } = require('./helpers');
+
+contract('Voting (approval)', function(accounts) {
+
+    const ownerAddress   = accounts[0];
+    const voterAddresses = accounts.slice(1, 6);
+
+    // Deploy a ballot electing `winnersCount` proposals out of `proposalsCount`,
+    // with all of `voterAddresses` registered, then start its voting session
+    // ~~~~~~~~~~~~
+    async function startBallot(ballotMode, winnersCount, proposalsCount) {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode });
+
+        await votingInstance.setWinnersCount(new BN(winnersCount), { from: ownerAddress });
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses, proposalsCount });
+
+        return votingInstance;
+    }
+
+    // Cast the approvals of each voter, in order, then tally
+    // ~~~~~~~~~~~~
+    async function approveAndTally(votingInstance, approvals) {
+        for (let i = 0; i < approvals.length; i++) {
+            await votingInstance.approve(approvals[i], { from: voterAddresses[i] });
+        }
+        await votingInstance.endVotingSession({ from: ownerAddress });
+        await votingInstance.tallyVotes({ from: ownerAddress });
+    }
+
+    // Read the winners as arrays of numbers
+    // ~~~~~~~~~~~~
+    async function getWinners(votingInstance) {
+        const winners = await votingInstance.getWinners();
+
+        return {
+            ids:        winners.ids.map(id => id.toNumber()),
+            voteCounts: winners.voteCounts.map(count => count.toNumber())
+        };
+    }
+
+    describe("When RegisteringVoters", function() {
+
+        beforeEach(async function () {
+            this.votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.Approval });
+        })
+
+        it ("can setWinnersCount if chair", async function () {
+            const result = await this.votingInstance.setWinnersCount(new BN(3), { from: ownerAddress });
+
+            expectEvent(result, "WinnersCountChanged", { _winnersCount: new BN(3) });
+            expect(await this.votingInstance.winnersCount.call())
+                .to.be.bignumber
+                .equal(new BN(3));
+        })
+
+        it ("cannot setWinnersCount to 0", async function () {
+            await expectRevert(
+                this.votingInstance.setWinnersCount(new BN(0), { from: ownerAddress }),
+                VotingErrors.InvalidWinnersCount
+            );
+        })
+
+        it ("cannot setWinnersCount once the proposals registration started", async function () {
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.setWinnersCount(new BN(2), { from: ownerAddress }),
+                VotingErrors.CannotChangeWinnersCount
+            );
+        })
+
+        it ("cannot elect several winners in a ranked-choice ballot", async function () {
+            const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.RankedChoice });
+
+            await expectRevert(
+                votingInstance.setWinnersCount(new BN(2), { from: ownerAddress }),
+                VotingErrors.RankedChoiceSingleWinner
+            );
+        })
+    })
+
+    describe("When VotingSessionStarted", function() {
+
+        beforeEach(async function () {
+            this.votingInstance = await startBallot(BallotMode.Approval, 2, 3);
+        })
+
+        it ("can approve several proposals", async function () {
+            const result = await this.votingInstance.approve(
+                [new BN(1), new BN(3)],
+                { from: voterAddresses[0] }
+            );
+
+            expectEvent(result, "Approved", { _voterAddress: voterAddresses[0] });
+
+            const approvedIds = await this.votingInstance.getApprovedProposalIds(voterAddresses[0]);
+            expect(approvedIds.map(id => id.toNumber())).to.deep.equal([1, 3]);
+            expect((await this.votingInstance.getProposal(new BN(1)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(1));
+            expect((await this.votingInstance.getProposal(new BN(2)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(0));
+            expect((await this.votingInstance.getProposal(new BN(3)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(1));
+            expect(await this.votingInstance.votesCastCount.call())
+                .to.be.bignumber
+                .equal(new BN(1), "An approval ballot should count as one vote cast");
+        })
+
+        it ("cannot vote for a single proposal", async function () {
+            await expectRevert(
+                this.votingInstance.vote(new BN(1), { from: voterAddresses[0] }),
+                VotingErrors.NotPluralityBallot
+            );
+        })
+
+        it ("cannot approve without any proposal", async function () {
+            await expectRevert(
+                this.votingInstance.approve([], { from: voterAddresses[0] }),
+                VotingErrors.MissingApprovedProposals
+            );
+        })
+
+        it ("cannot approve the same proposal twice", async function () {
+            await expectRevert(
+                this.votingInstance.approve([new BN(2), new BN(2)], { from: voterAddresses[0] }),
+                VotingErrors.ProposalApprovedTwice
+            );
+        })
+
+        it ("cannot approve an unknown proposal", async function () {
+            await expectRevert(
+                this.votingInstance.approve([new BN(4)], { from: voterAddresses[0] }),
+                VotingErrors.UnknownProposal
+            );
+        })
+
+        it ("cannot approve more than once", async function () {
+            await this.votingInstance.approve([new BN(1)], { from: voterAddresses[0] });
+
+            await expectRevert(
+                this.votingInstance.approve([new BN(2)], { from: voterAddresses[0] }),
+                VotingErrors.AlreadyVoted
+            );
+        })
+
+        it ("cannot approve in a plurality ballot", async function () {
+            const votingInstance = await startBallot(BallotMode.Plurality, 1, 2);
+
+            await expectRevert(
+                votingInstance.approve([new BN(1)], { from: voterAddresses[0] }),
+                VotingErrors.NotApprovalBallot
+            );
+        })
+
+        it ("adds the delegated weight to every approved proposal", async function () {
+            await this.votingInstance.approve([new BN(1), new BN(2)], { from: voterAddresses[0] });
+            await this.votingInstance.delegate(voterAddresses[0], { from: voterAddresses[1] });
+
+            expect((await this.votingInstance.getProposal(new BN(1)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(2));
+            expect((await this.votingInstance.getProposal(new BN(2)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(2));
+            expect(await this.votingInstance.votesCastCount.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+    })
+
+    describe("When tallying", function() {
+
+        it ("elects the most voted proposals, most voted first", async function () {
+            const votingInstance = await startBallot(BallotMode.Approval, 3, 5);
+
+            // Proposal 1: 2, proposal 2: 4, proposal 3: 3, proposal 4: 1, proposal 5: 0
+            await approveAndTally(votingInstance, [
+                [1, 2, 3],
+                [2, 3],
+                [2, 3, 4],
+                [1, 2]
+            ]);
+
+            expect(await getWinners(votingInstance)).to.deep.equal({
+                ids:        [2, 3, 1],
+                voteCounts: [4, 3, 2]
+            });
+            expect(await votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.MultipleWinners);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(2), "The most voted proposal should be the winningProposalId");
+        })
+
+        it ("elects the lowest ids among proposals tied at the cut-off", async function () {
+            const votingInstance = await startBallot(BallotMode.Approval, 2, 4);
+
+            // Proposal 1: 1, proposal 2: 2, proposal 3: 1, proposal 4: 1
+            await approveAndTally(votingInstance, [
+                [4, 2],
+                [3, 2],
+                [1]
+            ]);
+
+            expect(await getWinners(votingInstance)).to.deep.equal({
+                ids:        [2, 1],
+                voteCounts: [2, 1]
+            });
+        })
+
+        it ("never elects a proposal without votes", async function () {
+            const votingInstance = await startBallot(BallotMode.Approval, 3, 4);
+
+            await approveAndTally(votingInstance, [[3], [3, 4]]);
+
+            expect(await getWinners(votingInstance)).to.deep.equal({
+                ids:        [3, 4],
+                voteCounts: [2, 1]
+            });
+        })
+
+        it ("elects several winners in a plurality ballot", async function () {
+            const votingInstance = await startBallot(BallotMode.Plurality, 2, 3);
+
+            await votingInstance.vote(new BN(3), { from: voterAddresses[0] });
+            await votingInstance.vote(new BN(1), { from: voterAddresses[1] });
+            await votingInstance.vote(new BN(3), { from: voterAddresses[2] });
+            await votingInstance.endVotingSession({ from: ownerAddress });
+            await votingInstance.tallyVotes({ from: ownerAddress });
+
+            expect(await getWinners(votingInstance)).to.deep.equal({
+                ids:        [3, 1],
+                voteCounts: [2, 1]
+            });
+        })
+    })
+})
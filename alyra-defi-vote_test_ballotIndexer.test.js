@@ -0,0 +1,226 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the ballot event indexer
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { BN } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const {
+    createBallotIndexer,
+    replayBallotEvents,
+    checkBallotState,
+    saveBallotSnapshot,
+    loadBallotSnapshot
+} = require('../lib/ballotIndexer');
+
+const ERC20Mock = artifacts.require('ERC20Mock');
+const { BallotMode, TiePolicy, ballotId, deployBallot, deploymentBlock, startVotingSession } = require('./helpers');
+
+contract('ballotIndexer', function(accounts) {
+
+    const ownerAddress   = accounts[0];
+    const voterAddresses = accounts.slice(1, 6);
+
+    // Register the voters and one proposal per voter but the last, then start the voting session
+    async function startBallot(votingInstance) {
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses, proposalsCount: voterAddresses.length - 1 });
+    }
+
+    it ("rebuilds a plurality ballot through a runoff", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+
+        await votingInstance.setTiePolicy(TiePolicy.Runoff, { from: ownerAddress });
+        await votingInstance.registerVoter(accounts[8], { from: ownerAddress });
+        await votingInstance.unregisterVoter(accounts[8], { from: ownerAddress });
+        await votingInstance.registerVoters(voterAddresses, { from: ownerAddress });
+        await votingInstance.startProposalRegistration({ from: ownerAddress });
+        await votingInstance.registerProposal("Proposal 1", { from: voterAddresses[0] });
+        await votingInstance.registerProposal("Proposal 2", { from: voterAddresses[1] });
+        await votingInstance.registerProposal("Proposal 3", { from: voterAddresses[2] });
+        await votingInstance.editProposal(new BN(2), "Proposal 2bis", { from: voterAddresses[1] });
+        await votingInstance.withdrawProposal(new BN(3), { from: voterAddresses[2] });
+        await votingInstance.endProposalRegistration({ from: ownerAddress });
+        await votingInstance.startVotingSession({ from: ownerAddress });
+
+        // A tie between 1 and 2, with a delegation before and after the delegate voted
+        await votingInstance.delegate(voterAddresses[0], { from: voterAddresses[2] });
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[1] });
+        await votingInstance.delegate(voterAddresses[1], { from: voterAddresses[3] });
+        await votingInstance.endVotingSession({ from: ownerAddress });
+        await votingInstance.tallyVotes({ from: ownerAddress });
+
+        const midState = await replayBallotEvents(votingInstance, { fromBlock });
+        expect(midState.runoffRound).to.equal("1");
+        expect(await checkBallotState(votingInstance, midState)).to.be.empty;
+
+        await votingInstance.vote(new BN(2), { from: voterAddresses[0] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[1] });
+        await votingInstance.endVotingSession({ from: ownerAddress });
+        await votingInstance.tallyVotes({ from: ownerAddress });
+
+        const state = await replayBallotEvents(votingInstance, { fromBlock });
+        expect(state.ballotId).to.equal(ballotId.toString());
+        expect(state.winningProposalId).to.equal("2");
+        expect(state.proposals["2"]).to.include({ description: "Proposal 2bis", voteCount: "4" });
+        expect(state.proposals["3"].status).to.equal("2");
+        expect(state.voters[accounts[8]]).to.be.undefined;
+        expect(await checkBallotState(votingInstance, state)).to.be.empty;
+    })
+
+    it ("rebuilds an approval ballot", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.Approval });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startBallot(votingInstance);
+
+        await votingInstance.approve([new BN(1), new BN(3)], { from: voterAddresses[0] });
+        await votingInstance.delegate(voterAddresses[0], { from: voterAddresses[1] });
+        await votingInstance.approve([new BN(3)], { from: voterAddresses[2] });
+
+        const state = await replayBallotEvents(votingInstance, { fromBlock });
+        expect(state.proposals["3"].voteCount).to.equal("3");
+        expect(await checkBallotState(votingInstance, state)).to.be.empty;
+    })
+
+    it ("rebuilds a token-weighted ballot without guessing unknown weights", async function () {
+        const tokenInstance = await ERC20Mock.new({ from: ownerAddress });
+        const votingInstance = await deployBallot({ from: ownerAddress, governanceToken: tokenInstance.address });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        for (let i = 0; i < voterAddresses.length; i++) {
+            await tokenInstance.mint(voterAddresses[i], new BN(10 * (i + 1)));
+            await tokenInstance.delegate(voterAddresses[i], { from: voterAddresses[i] });
+        }
+        await startBallot(votingInstance);
+
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+        await votingInstance.delegate(voterAddresses[0], { from: voterAddresses[1] });
+
+        const state = await replayBallotEvents(votingInstance, { fromBlock });
+        expect(state.voters[voterAddresses[0]].weight).to.equal("30");
+        expect(state.voters[voterAddresses[2]].weight).to.be.null;
+        expect(state.proposals["1"].voteCount).to.equal("30");
+        expect(await checkBallotState(votingInstance, state)).to.be.empty;
+    })
+
+    it ("reports the mismatches with the contract", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startBallot(votingInstance);
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+
+        const state = await replayBallotEvents(votingInstance, { fromBlock });
+        state.proposals["1"].voteCount = "2";
+        delete state.voters[voterAddresses[4]];
+
+        const mismatches = await checkBallotState(votingInstance, state);
+        expect(mismatches.map(mismatch => mismatch.path)).to.have.members([
+            "proposals.1.voteCount",
+            `voters.${voterAddresses[4]}.isRegistered`
+        ]);
+        expect(mismatches.find(mismatch => mismatch.path === "proposals.1.voteCount"))
+            .to.deep.equal({ path: "proposals.1.voteCount", indexed: "2", onChain: "1" });
+    })
+
+    it ("resumes from a JSON snapshot", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        const file = path.join(os.tmpdir(), `ballot-${votingInstance.address}.json`);
+
+        try {
+            await startBallot(votingInstance);
+
+            const indexer = createBallotIndexer(votingInstance, { fromBlock });
+            await indexer.sync();
+            saveBallotSnapshot(indexer.state, file);
+
+            await votingInstance.vote(new BN(2), { from: voterAddresses[0] });
+
+            const resumed = createBallotIndexer(votingInstance, { state: loadBallotSnapshot(file) });
+            expect(await resumed.sync()).to.equal(1);
+            expect(resumed.state.proposals["2"].voteCount).to.equal("1");
+            expect(await checkBallotState(votingInstance, resumed.state)).to.be.empty;
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    })
+
+    it ("follows new events until stopped", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        const indexer = createBallotIndexer(votingInstance, { fromBlock });
+
+        const synced = new Promise(resolve => indexer.start(10, () => indexer.state.voters[voterAddresses[0]] && resolve()));
+        await votingInstance.registerVoter(voterAddresses[0], { from: ownerAddress });
+        await synced;
+        indexer.stop();
+
+        expect(indexer.state.voters[voterAddresses[0]].isRegistered).to.be.true;
+    })
+
+    it ("keeps a single polling loop when restarted during a sync", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await votingInstance.registerVoter(voterAddresses[0], { from: ownerAddress });
+
+        // A node whose first answer is held back until `release`
+        const slowInstance = Object.create(votingInstance);
+        let calls = 0;
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        slowInstance.getPastEvents = async (...args) => {
+            calls++;
+            if (calls === 1) {
+                await held;
+            }
+            return votingInstance.getPastEvents(...args);
+        };
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        const indexer   = createBallotIndexer(slowInstance, { fromBlock });
+        const firstRun  = [];
+        indexer.start(10, count => firstRun.push(count));
+        while (calls === 0) {
+            await sleep(5);
+        }
+        indexer.stop();
+        await new Promise(resolve => indexer.start(10, resolve));
+
+        release();
+        await sleep(50);
+        indexer.stop();
+        const callsWhenStopped = calls;
+        await sleep(50);
+
+        expect(calls).to.equal(callsWhenStopped, "No loop should poll once stopped");
+        expect(firstRun).to.be.empty;
+        expect(await checkBallotState(votingInstance, indexer.state)).to.be.empty;
+    })
+
+    it ("keeps following events after a failed sync", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await votingInstance.registerVoter(voterAddresses[0], { from: ownerAddress });
+
+        // A node that fails to answer once
+        const unreliableInstance = Object.create(votingInstance);
+        let failures = 1;
+        unreliableInstance.getPastEvents = (...args) => failures-- > 0
+            ? Promise.reject(new Error("Connection lost"))
+            : votingInstance.getPastEvents(...args);
+
+        const indexer = createBallotIndexer(unreliableInstance, { fromBlock });
+        const errors  = [];
+
+        await new Promise(resolve => indexer.start(
+            10,
+            () => indexer.state.voters[voterAddresses[0]] && resolve(),
+            { onError: error => errors.push(error.message) }
+        ));
+        indexer.stop();
+
+        expect(errors).to.deep.equal(["Connection lost"]);
+        expect(indexer.state.voters[voterAddresses[0]].isRegistered).to.be.true;
+    })
+})
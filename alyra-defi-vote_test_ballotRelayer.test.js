@@ -0,0 +1,239 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the votes and proposals signed off-chain, and their relayer
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN, time } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const {
+    getSigningDomain,
+    buildVoteTypedData,
+    signTypedData,
+    createBallotRelayer
+} = require('../lib/ballotRelayer');
+const { BallotMode, deployBallot, startVotingSession } = require('./helpers');
+
+contract('Voting (signatures)', function(accounts) {
+
+    const ownerAddress   = accounts[0];
+    const voter1Address  = accounts[1];
+    const voter2Address  = accounts[2];
+    const voter3Address  = accounts[3];
+    const relayerAddress = accounts[9];
+
+    beforeEach(async function () {
+        this.votingInstance = await deployBallot({ from: ownerAddress });
+        this.relayer        = createBallotRelayer(this.votingInstance, web3, { from: relayerAddress });
+
+        await this.votingInstance.registerVoters([voter1Address, voter2Address, voter3Address], {from: ownerAddress});
+        await this.votingInstance.startProposalRegistration({from: ownerAddress});
+    })
+
+    it ("exposes its EIP-712 domain separator", async function () {
+        const domain = await getSigningDomain(this.votingInstance, web3);
+
+        expect(await this.votingInstance.DOMAIN_SEPARATOR()).to.equal(web3.utils.keccak256(web3.eth.abi.encodeParameters(
+            ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+            [
+                web3.utils.keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                web3.utils.keccak256(domain.name),
+                web3.utils.keccak256(domain.version),
+                domain.chainId,
+                domain.verifyingContract
+            ]
+        )));
+    })
+
+    describe("Proposals", function() {
+
+        it ("registers a proposal signed by its author", async function () {
+            const signed  = await this.relayer.signProposal(voter1Address, "Proposal 1");
+            const receipt = await this.relayer.submit(signed);
+
+            expectEvent(receipt, 'ProposalRegistered', {
+                _proposalId:  new BN(1),
+                _author:      voter1Address,
+                _description: "Proposal 1"
+            });
+            expect(await this.votingInstance.nonces(voter1Address)).to.be.bignumber.equal(new BN(1));
+            expect(await this.votingInstance.proposalsCountOf(voter1Address)).to.be.bignumber.equal(new BN(1));
+        })
+
+        it ("registers a signed proposal with off-chain content", async function () {
+            const contentHash = web3.utils.keccak256("Proposal document");
+            const signed      = await this.relayer.signProposal(voter1Address, "Title", { contentHash });
+
+            await this.relayer.submit(signed);
+
+            expect((await this.votingInstance.getProposal(1))[4]).to.equal(contentHash);
+        })
+
+        it ("cannot register a signed proposal of an unregistered author", async function () {
+            const signed = await this.relayer.signProposal(accounts[4], "Proposal 1");
+
+            await expectRevert(this.relayer.submit(signed), VotingErrors.NotRegisteredAsVoter);
+        })
+
+        it ("cannot register a proposal whose description differs from the signed one", async function () {
+            const signed = await this.relayer.signProposal(voter1Address, "Proposal 1");
+
+            await expectRevert(
+                this.relayer.submit({ ...signed, description: "Proposal 2" }),
+                VotingErrors.InvalidSignature
+            );
+        })
+
+        it ("cannot replay a signed proposal", async function () {
+            const signed = await this.relayer.signProposal(voter1Address, "Proposal 1");
+
+            await this.relayer.submit(signed);
+            await this.votingInstance.withdrawProposal(1, {from: voter1Address});
+
+            await expectRevert(this.relayer.submit(signed), VotingErrors.InvalidSignature);
+        })
+    })
+
+    describe("Votes", function() {
+
+        beforeEach(async function () {
+            await this.votingInstance.registerProposal("Proposal 1", {from: voter1Address});
+            await this.votingInstance.registerProposal("Proposal 2", {from: voter1Address});
+            await this.votingInstance.endProposalRegistration({from: ownerAddress});
+            await this.votingInstance.startVotingSession({from: ownerAddress});
+        })
+
+        it ("counts a vote signed by a voter", async function () {
+            const signed  = await this.relayer.signVote(voter1Address, 2);
+            const receipt = await this.relayer.submit(signed);
+
+            expectEvent(receipt, 'Voted', { _voterAddress: voter1Address, _proposalId: new BN(2), _weight: new BN(1) });
+            expect((await this.votingInstance.voters(voter1Address)).hasVoted).to.equal(true);
+            expect((await this.votingInstance.getProposal(2))[1]).to.be.bignumber.equal(new BN(1));
+        })
+
+        it ("cannot count a vote signed by another account", async function () {
+            const signed = await this.relayer.signVote(voter2Address, 2);
+
+            await expectRevert(
+                this.relayer.submit({ ...signed, signer: voter1Address }),
+                VotingErrors.InvalidSignature
+            );
+        })
+
+        it ("cannot count a vote for another proposal than the signed one", async function () {
+            const signed = await this.relayer.signVote(voter1Address, 2);
+
+            await expectRevert(
+                this.relayer.submit({ ...signed, proposalId: "1" }),
+                VotingErrors.InvalidSignature
+            );
+        })
+
+        it ("cannot count a vote with a malformed signature", async function () {
+            const signed = await this.relayer.signVote(voter1Address, 2);
+
+            await expectRevert(
+                this.relayer.submit({ ...signed, signature: signed.signature.slice(0, -2) }),
+                VotingErrors.InvalidSignatureLength
+            );
+        })
+
+        it ("cannot count a vote signed with a wrong nonce", async function () {
+            const signed = await this.relayer.signVote(voter1Address, 2, { nonce: 1 });
+
+            await expectRevert(this.relayer.submit(signed), VotingErrors.InvalidSignature);
+        })
+
+        it ("cannot count a vote signed for another ballot", async function () {
+            const otherInstance = await deployBallot({ from: ownerAddress });
+            const domain        = await getSigningDomain(otherInstance, web3);
+            const deadline      = (await time.latest()).addn(3600);
+            const signature     = await signTypedData(
+                web3.currentProvider,
+                voter1Address,
+                buildVoteTypedData(domain, { proposalId: 2, nonce: 0, deadline })
+            );
+
+            await expectRevert(
+                this.votingInstance.voteBySig(voter1Address, 2, deadline, signature, {from: relayerAddress}),
+                VotingErrors.InvalidSignature
+            );
+        })
+
+        it ("cannot count a vote whose signature expired", async function () {
+            const deadline = (await time.latest()).addn(60);
+            const signed   = await this.relayer.signVote(voter1Address, 2, { deadline });
+
+            await time.increase(120);
+
+            await expectRevert(this.relayer.submit(signed), VotingErrors.SignatureExpired);
+        })
+
+        it ("cannot replay a signed vote", async function () {
+            const signed = await this.relayer.signVote(voter1Address, 2);
+
+            await this.relayer.submit(signed);
+
+            await expectRevert(this.relayer.submit(signed), VotingErrors.InvalidSignature);
+        })
+
+        it ("still checks the vote itself", async function () {
+            await this.votingInstance.vote(1, {from: voter1Address});
+
+            await expectRevert(
+                this.relayer.submit(await this.relayer.signVote(voter1Address, 2)),
+                VotingErrors.AlreadyVoted
+            );
+            await expectRevert(
+                this.relayer.submit(await this.relayer.signVote(voter2Address, 3)),
+                VotingErrors.UnknownProposal
+            );
+        })
+
+        it ("cannot count a signed vote in a ranked-choice or an approval ballot", async function () {
+            for (const ballotMode of [BallotMode.RankedChoice, BallotMode.Approval]) {
+                const votingInstance = await deployBallot({ from: ownerAddress, ballotMode });
+                const relayer        = createBallotRelayer(votingInstance, web3, { from: relayerAddress });
+                await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses: [voter1Address] });
+
+                await expectRevert(
+                    relayer.submit(await relayer.signVote(voter1Address, 1)),
+                    VotingErrors.NotPluralityBallot
+                );
+            }
+        })
+    })
+
+    describe("Relayer", function() {
+
+        it ("relays a batch of signed proposals and votes, the signers paying no gas", async function () {
+            const balanceBefore = await web3.eth.getBalance(voter1Address);
+
+            const proposals = [
+                await this.relayer.signProposal(voter1Address, "Proposal 1"),
+                await this.relayer.signProposal(voter1Address, "Proposal 2"),
+                await this.relayer.signProposal(voter2Address, "Proposal 1")
+            ];
+            const proposalsReport = await this.relayer.relay(proposals);
+
+            expect(proposalsReport.map(item => item.error))
+                .to.deep.equal([undefined, undefined, "DuplicateProposalDescription"]);
+            expect(proposalsReport[0].tx).to.match(/^0x[0-9a-f]{64}$/);
+            expect(await this.votingInstance.getProposalsCount()).to.be.bignumber.equal(new BN(2));
+
+            await this.votingInstance.endProposalRegistration({from: ownerAddress});
+            await this.votingInstance.startVotingSession({from: ownerAddress});
+
+            const votes = [
+                await this.relayer.signVote(voter1Address, 1),
+                await this.relayer.signVote(voter2Address, 2),
+                await this.relayer.signVote(voter3Address, 2)
+            ];
+            const votesReport = await this.relayer.relay([...votes, votes[0]]);
+
+            expect(votesReport.map(item => item.error))
+                .to.deep.equal([undefined, undefined, undefined, "InvalidSignature"]);
+            expect(await this.votingInstance.votesCastCount()).to.be.bignumber.equal(new BN(3));
+            expect(await web3.eth.getBalance(voter1Address)).to.equal(balanceBefore);
+        })
+    })
+})
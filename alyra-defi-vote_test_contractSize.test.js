@@ -0,0 +1,23 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the size of the deployed smart-contracts against the EIP-170 limit,
+// as compiled with the optimizer settings of truffle-config.js
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expect } = require('chai');
+
+// The maximum size of a contract runtime code, in bytes (EIP-170)
+const MAX_CODE_SIZE = 24576;
+
+const contractNames = ['Voting', 'VotingModes', 'VotingFactory'];
+
+contract('Contract size', function() {
+
+    for (const contractName of contractNames) {
+        it (`${contractName} fits in the EIP-170 limit`, async function () {
+            const deployedBytecode = artifacts.require(contractName).deployedBytecode;
+
+            // "0x" then 2 hexadecimal digits per byte
+            expect((deployedBytecode.length - 2) / 2)
+                .to.be.at.most(MAX_CODE_SIZE);
+        })
+    }
+})
@@ -0,0 +1,260 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the event schema of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, BN, constants } = require('@openzeppelin/test-helpers');
+const { expect }            = require('chai');
+const { prepareSecretVote } = require('../lib/voteCommitments');
+
+const Voting    = artifacts.require('Voting');
+const ERC20Mock = artifacts.require('ERC20Mock');
+const { WorkflowStatus, BallotMode, TiePolicy, TallyOutcome, ballotId, deployBallot, startVotingSession } = require('./helpers');
+
+contract('Voting (events)', function(accounts) {
+
+    const ownerAddress  = accounts[0];
+    const voter1Address = accounts[1];
+    const voter2Address = accounts[2];
+    const voter3Address = accounts[3];
+
+    // Read the uint[] argument of the only `eventName` event of a transaction
+    function uintArrayArg(result, eventName, argName) {
+        return result.logs.find(log => log.event === eventName).args[argName].map(String);
+    }
+
+    // Register 3 voters and 2 proposals, then start the voting session
+    async function startBallot(votingInstance) {
+        await startVotingSession(votingInstance, {
+            from:           ownerAddress,
+            voterAddresses: [voter1Address, voter2Address, voter3Address],
+            proposalsCount: 2
+        });
+    }
+
+    it ("indexes every event by ballot id, voter and proposal id, and gives its round", function () {
+        const events = Voting.abi.filter(item => item.type === "event" && ! item.name.startsWith("Role"));
+
+        for (const event of events) {
+            for (const input of event.inputs) {
+                if (["_ballotId", "_voterAddress", "_proposalId"].includes(input.name)) {
+                    expect(input.indexed, `${event.name}.${input.name} should be indexed`).to.be.true;
+                }
+            }
+            expect(event.inputs[0].name, `${event.name} should start with the ballot id`).to.equal("_ballotId");
+            expect(event.inputs[1].name, `${event.name} should give the round`).to.equal("_round");
+        }
+    })
+
+    it ("emits a single event on each phase change", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        await votingInstance.setSecretBallot(true, { from: ownerAddress });
+        await votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+
+        const phases = [
+            ["startProposalRegistration", WorkflowStatus.RegisteringVoters,            WorkflowStatus.ProposalsRegistrationStarted],
+            ["endProposalRegistration",   WorkflowStatus.ProposalsRegistrationStarted, WorkflowStatus.ProposalsRegistrationEnded],
+            ["startVotingSession",        WorkflowStatus.ProposalsRegistrationEnded,   WorkflowStatus.VotingSessionStarted],
+            ["endVotingSession",          WorkflowStatus.VotingSessionStarted,         WorkflowStatus.VotingSessionEnded],
+            ["startVotesReveal",          WorkflowStatus.VotingSessionEnded,           WorkflowStatus.RevealingVotes]
+        ];
+        for (const [method, previousState, newState] of phases) {
+            const result = await votingInstance[method]({ from: ownerAddress });
+
+            expect(result.logs).to.have.lengthOf(1);
+            expectEvent(result, "WorkflowStatusChange", {
+                _ballotId:      ballotId,
+                _previousState: previousState,
+                _newState:      newState
+            });
+        }
+    })
+
+    it ("emits the setup events", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const root           = web3.utils.keccak256("root");
+
+        expectEvent(
+            await votingInstance.registerVoter(voter1Address, { from: ownerAddress }),
+            "VoterRegistered",
+            { _ballotId: ballotId, _voterAddress: voter1Address }
+        );
+        expectEvent(
+            await votingInstance.unregisterVoter(voter1Address, { from: ownerAddress }),
+            "VoterUnregistered",
+            { _ballotId: ballotId, _voterAddress: voter1Address }
+        );
+        expectEvent(
+            await votingInstance.setVotersMerkleRoot(root, { from: ownerAddress }),
+            "VotersMerkleRootChanged",
+            { _ballotId: ballotId, _votersMerkleRoot: root }
+        );
+        expectEvent(
+            await votingInstance.setTiePolicy(TiePolicy.Runoff, { from: ownerAddress }),
+            "TiePolicyChanged",
+            { _ballotId: ballotId, _tiePolicy: TiePolicy.Runoff }
+        );
+        expectEvent(
+            await votingInstance.setWinnersCount(new BN(2), { from: ownerAddress }),
+            "WinnersCountChanged",
+            { _ballotId: ballotId, _winnersCount: new BN(2) }
+        );
+        expectEvent(
+            await votingInstance.setMaxProposalsPerVoter(new BN(3), { from: ownerAddress }),
+            "MaxProposalsPerVoterChanged",
+            { _ballotId: ballotId, _maxProposalsPerVoter: new BN(3) }
+        );
+        expectEvent(
+            await votingInstance.setSecretBallot(true, { from: ownerAddress }),
+            "SecretBallotChanged",
+            { _ballotId: ballotId, _secretBallot: true }
+        );
+        expectEvent(
+            await votingInstance.setVoteChangesAllowed(false, { from: ownerAddress }),
+            "VoteChangesAllowedChanged",
+            { _ballotId: ballotId, _voteChangesAllowed: false }
+        );
+    })
+
+    it ("emits the proposal events with their full payload", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const contentHash    = web3.utils.keccak256("content");
+        await votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+        await votingInstance.startProposalRegistration({ from: ownerAddress });
+
+        expectEvent(
+            await votingInstance.registerProposal("Proposal 1", { from: voter1Address }),
+            "ProposalRegistered",
+            {
+                _ballotId:    ballotId,
+                _proposalId:  new BN(1),
+                _author:      voter1Address,
+                _description: "Proposal 1",
+                _contentHash: constants.ZERO_BYTES32
+            }
+        );
+        expectEvent(
+            await votingInstance.editProposalWithContent(new BN(1), "Title", contentHash, { from: voter1Address }),
+            "ProposalEdited",
+            {
+                _ballotId:    ballotId,
+                _proposalId:  new BN(1),
+                _author:      voter1Address,
+                _description: "Title",
+                _contentHash: contentHash
+            }
+        );
+        expectEvent(
+            await votingInstance.withdrawProposal(new BN(1), { from: voter1Address }),
+            "ProposalWithdrawn",
+            { _ballotId: ballotId, _proposalId: new BN(1), _author: voter1Address }
+        );
+    })
+
+    it ("emits the voting events with the weight cast", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        await startBallot(votingInstance);
+
+        expectEvent(
+            await votingInstance.delegate(voter1Address, { from: voter2Address }),
+            "Delegated",
+            { _ballotId: ballotId, _voterAddress: voter2Address, _delegateAddress: voter1Address, _weight: new BN(1) }
+        );
+        expectEvent(
+            await votingInstance.vote(new BN(2), { from: voter1Address }),
+            "Voted",
+            { _ballotId: ballotId, _voterAddress: voter1Address, _proposalId: new BN(2), _weight: new BN(2) }
+        );
+        await votingInstance.vote(new BN(1), { from: voter3Address });
+        await votingInstance.endVotingSession({ from: ownerAddress });
+
+        const result = await votingInstance.tallyVotes({ from: ownerAddress });
+        expectEvent(result, "VotesTallied", {
+            _ballotId:       ballotId,
+            _outcome:        TallyOutcome.SingleWinner,
+            _votesCastCount: new BN(3)
+        });
+        expect(uintArrayArg(result, "VotesTallied", "_winningProposalIds")).to.deep.equal(["2"]);
+        expect(uintArrayArg(result, "VotesTallied", "_winningVoteCounts")).to.deep.equal(["2"]);
+    })
+
+    it ("emits Approved with the approved proposal ids", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.Approval });
+        await startBallot(votingInstance);
+
+        const result = await votingInstance.approve([new BN(1), new BN(2)], { from: voter1Address });
+
+        expectEvent(result, "Approved", { _ballotId: ballotId, _voterAddress: voter1Address, _weight: new BN(1) });
+        expect(uintArrayArg(result, "Approved", "_proposalIds")).to.deep.equal(["1", "2"]);
+    })
+
+    it ("emits VoteCommitted then Voted on reveal", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        await votingInstance.setSecretBallot(true, { from: ownerAddress });
+        await startBallot(votingInstance);
+
+        const secretVote = prepareSecretVote(1, voter1Address);
+        expectEvent(
+            await votingInstance.commitVote(secretVote.commitment, { from: voter1Address }),
+            "VoteCommitted",
+            { _ballotId: ballotId, _voterAddress: voter1Address, _commitment: secretVote.commitment }
+        );
+
+        await votingInstance.endVotingSession({ from: ownerAddress });
+        await votingInstance.startVotesReveal({ from: ownerAddress });
+        expectEvent(
+            await votingInstance.revealVote(new BN(1), secretVote.salt, { from: voter1Address }),
+            "Voted",
+            { _ballotId: ballotId, _voterAddress: voter1Address, _proposalId: new BN(1), _weight: new BN(1) }
+        );
+    })
+
+    it ("emits VotingWeightsSnapshotted when the voting session starts", async function () {
+        const tokenInstance  = await ERC20Mock.new({ from: ownerAddress });
+        const votingInstance = await deployBallot({ from: ownerAddress, governanceToken: tokenInstance.address });
+        await tokenInstance.mint(voter1Address, new BN(100));
+        await tokenInstance.mint(voter2Address, new BN(20));
+        await tokenInstance.delegate(voter1Address, { from: voter1Address });
+        await tokenInstance.delegate(voter2Address, { from: voter2Address });
+
+        await votingInstance.registerVoters([voter1Address, voter2Address], { from: ownerAddress });
+        await votingInstance.startProposalRegistration({ from: ownerAddress });
+        await votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+        await votingInstance.endProposalRegistration({ from: ownerAddress });
+
+        const result = await votingInstance.startVotingSession({ from: ownerAddress });
+        expectEvent(result, "VotingWeightsSnapshotted", {
+            _ballotId:               ballotId,
+            _blockNumber:            new BN(result.receipt.blockNumber - 1),
+            _snapshottedVotersCount: new BN(2),
+            _totalVotingWeight:      new BN(120)
+        });
+    })
+
+    it ("emits RunoffStarted then TieBroken with the tied proposals", async function () {
+        const runoffInstance = await deployBallot({ from: ownerAddress });
+        await runoffInstance.setTiePolicy(TiePolicy.Runoff, { from: ownerAddress });
+        await startBallot(runoffInstance);
+        await runoffInstance.vote(new BN(1), { from: voter1Address });
+        await runoffInstance.vote(new BN(2), { from: voter2Address });
+        await runoffInstance.endVotingSession({ from: ownerAddress });
+
+        const runoff = await runoffInstance.tallyVotes({ from: ownerAddress });
+        expectEvent(runoff, "RunoffStarted", { _ballotId: ballotId, _runoffRound: new BN(1) });
+        expect(uintArrayArg(runoff, "RunoffStarted", "_proposalIds")).to.deep.equal(["1", "2"]);
+
+        const tieInstance = await deployBallot({ from: ownerAddress });
+        await tieInstance.setTiePolicy(TiePolicy.ChairDecides, { from: ownerAddress });
+        await startBallot(tieInstance);
+        await tieInstance.vote(new BN(1), { from: voter1Address });
+        await tieInstance.vote(new BN(2), { from: voter2Address });
+        await tieInstance.endVotingSession({ from: ownerAddress });
+
+        const tie = await tieInstance.tallyVotes({ from: ownerAddress });
+        expectEvent(tie, "VotesTallied", { _ballotId: ballotId, _outcome: TallyOutcome.Tie });
+        expect(uintArrayArg(tie, "VotesTallied", "_winningProposalIds")).to.deep.equal(["1", "2"]);
+        expectEvent(
+            await tieInstance.breakTie(new BN(2), { from: ownerAddress }),
+            "TieBroken",
+            { _ballotId: ballotId, _proposalId: new BN(2), _voteCount: new BN(1) }
+        );
+    })
+})
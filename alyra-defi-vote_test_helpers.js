@@ -0,0 +1,121 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Constants and fixtures shared by the tests of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { BN, constants } = require('@openzeppelin/test-helpers');
+
+const Voting        = artifacts.require('Voting');
+const VotingFactory = artifacts.require('VotingFactory');
+const VotingModes   = artifacts.require('VotingModes');
+
+// MUST be kept in sync with Voting.WorkflowStatus
+const WorkflowStatus = {
+    RegisteringVoters:            new BN(0),
+    ProposalsRegistrationStarted: new BN(1),
+    ProposalsRegistrationEnded:   new BN(2),
+    VotingSessionStarted:         new BN(3),
+    VotingSessionEnded:           new BN(4),
+    VotesTallied:                 new BN(5),
+    RevealingVotes:               new BN(6),
+    Cancelled:                    new BN(7)
+};
+
+// MUST be kept in sync with Voting.ProposalStatus
+const ProposalStatus = {
+    None:      new BN(0),
+    Active:    new BN(1),
+    Withdrawn: new BN(2)
+};
+
+// MUST be kept in sync with Voting.BallotMode
+const BallotMode = {
+    Plurality:    new BN(0),
+    RankedChoice: new BN(1),
+    Approval:     new BN(2)
+};
+
+// MUST be kept in sync with Voting.TiePolicy
+const TiePolicy = {
+    ReportAll:    new BN(0),
+    Runoff:       new BN(1),
+    ChairDecides: new BN(2)
+};
+
+// MUST be kept in sync with Voting.TallyOutcome
+const TallyOutcome = {
+    NotTallied:      new BN(0),
+    SingleWinner:    new BN(1),
+    Tie:             new BN(2),
+    NoVotes:         new BN(3),
+    FailedQuorum:    new BN(4),
+    MultipleWinners: new BN(5)
+};
+
+// Voting.phaseDeadlines without any deadline
+const noSchedule = [0, 0, 0, 0, 0, 0];
+
+// Voting.ballotId of the ballots `deployBallot` creates, the first of their factory
+const ballotId = new BN(1);
+
+/**
+ * @notice Deploy a VotingModes, a Voting implementation and a VotingFactory, then create a ballot
+ *           with the factory: a plurality ballot without quorum, governance token nor deadlines,
+ *           unless told otherwise.
+ * @param {object} options `from` the deployer, who gets every role,
+ *        then any of the `createBallot` arguments: `quorumPercentage`, `governanceToken`,
+ *        `ballotMode` and `phaseDeadlines`
+ */
+async function deployBallot({
+    from,
+    quorumPercentage = 0,
+    governanceToken  = constants.ZERO_ADDRESS,
+    ballotMode       = BallotMode.Plurality,
+    phaseDeadlines   = noSchedule
+} = {}) {
+    const votingModesInstance    = await VotingModes.new({ from });
+    const implementationInstance = await Voting.new(votingModesInstance.address, { from });
+    const factoryInstance        = await VotingFactory.new(implementationInstance.address, { from });
+
+    const result         = await factoryInstance.createBallot(new BN(quorumPercentage), governanceToken, ballotMode, phaseDeadlines, { from });
+    const votingInstance = await Voting.at(result.logs[0].args._ballotAddress);
+
+    // The transaction which created the ballot, as for a contract deployed with `new` (Cf. `deploymentBlock`)
+    votingInstance.transactionHash = result.tx;
+    return votingInstance;
+}
+
+/**
+ * @return the block a contract was deployed in, the first one to read its events from.
+ */
+async function deploymentBlock(contractInstance) {
+    return (await web3.eth.getTransactionReceipt(contractInstance.transactionHash)).blockNumber;
+}
+
+/**
+ * @notice Register the voters, then the proposals (all by the first voter), then start the voting session.
+ * @param {object} options `from` the chair, `voterAddresses` the voters to register,
+ *        `descriptions` of the proposals ("Proposal 1" to "Proposal <proposalsCount>" by default)
+ */
+async function startVotingSession(votingInstance, { from, voterAddresses, proposalsCount = 3, descriptions }) {
+    descriptions = descriptions || Array.from({ length: proposalsCount }, (_, i) => `Proposal ${i + 1}`);
+
+    await votingInstance.registerVoters(voterAddresses, { from });
+    await votingInstance.startProposalRegistration({ from });
+    for (const description of descriptions) {
+        await votingInstance.registerProposal(description, { from: voterAddresses[0] });
+    }
+    await votingInstance.endProposalRegistration({ from });
+    await votingInstance.startVotingSession({ from });
+}
+
+module.exports = {
+    WorkflowStatus,
+    ProposalStatus,
+    BallotMode,
+    TiePolicy,
+    TallyOutcome,
+    noSchedule,
+    ballotId,
+    deployBallot,
+    deploymentBlock,
+    startVotingSession
+};
@@ -0,0 +1,139 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the paginated views of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { BN } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { DEFAULT_BATCH_SIZE } = require('../lib/voterBatches');
+const { WorkflowStatus, TallyOutcome, deployBallot } = require('./helpers');
+
+contract('Voting (pagination)', function(accounts) {
+
+    const ownerAddress  = accounts[0];
+    const voter1Address = accounts[1];
+    const voter2Address = accounts[2];
+
+    const pageSize = 32;
+
+    // Read a whole list through a paginated view, returning the concatenated pages and the number of calls
+    async function readAllPages(readPage) {
+        const entries = [];
+        let   calls   = 0;
+
+        for (let offset = 0; ; offset += pageSize) {
+            const [keys, page] = Object.values(await readPage(offset, pageSize));
+            calls++;
+
+            if (keys.length === 0) {
+                return { entries, calls };
+            }
+            expect(keys.length).to.be.at.most(pageSize);
+            expect(page.length).to.equal(keys.length);
+
+            keys.forEach((key, i) => entries.push({ key, value: page[i] }));
+        }
+    }
+
+    beforeEach(async function () {
+        this.votingInstance = await deployBallot({ from: ownerAddress });
+    })
+
+    it ("pages through hundreds of voters", async function () {
+        const addresses = [voter1Address];
+        while (addresses.length < 300) {
+            addresses.push(web3.utils.toChecksumAddress(web3.utils.randomHex(20)));
+        }
+        for (let i = 0; i < addresses.length; i += DEFAULT_BATCH_SIZE) {
+            await this.votingInstance.registerVoters(addresses.slice(i, i + DEFAULT_BATCH_SIZE), { from: ownerAddress });
+        }
+
+        const { entries, calls } = await readAllPages(
+            (offset, limit) => this.votingInstance.getVotersPage(offset, limit)
+        );
+
+        expect(calls).to.equal(Math.ceil(300 / pageSize) + 1);
+        expect(entries.map(entry => entry.key)).to.deep.equal(addresses);
+        for (const entry of entries) {
+            expect(entry.value.isRegistered).to.be.true;
+            expect(entry.value.hasVoted).to.be.false;
+            expect(entry.value.weight).to.equal("1");
+        }
+    })
+
+    it ("pages through hundreds of proposals", async function () {
+        await this.votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+        await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+        for (let i = 1; i <= 200; i++) {
+            await this.votingInstance.registerProposal(`Proposal ${i}`, { from: voter1Address });
+        }
+
+        const { entries } = await readAllPages(
+            (offset, limit) => this.votingInstance.getProposalsPage(offset, limit)
+        );
+
+        expect(await this.votingInstance.getProposalsCount.call())
+            .to.be.bignumber
+            .equal(new BN(200));
+        expect(entries).to.have.lengthOf(200);
+        entries.forEach((entry, i) => {
+            expect(entry.key).to.be.bignumber.equal(new BN(i + 1));
+            expect(entry.value.description).to.equal(`Proposal ${i + 1}`);
+            expect(entry.value.voteCount).to.equal("0");
+            expect(entry.value.author).to.equal(voter1Address);
+        });
+    })
+
+    it ("returns an empty or partial page past the end", async function () {
+        await this.votingInstance.registerVoters([voter1Address, voter2Address], { from: ownerAddress });
+
+        const partial = await this.votingInstance.getVotersPage(1, 10);
+        expect(partial.addresses).to.deep.equal([voter2Address]);
+
+        const empty = await this.votingInstance.getVotersPage(2, 10);
+        expect(empty.addresses).to.be.empty;
+        expect(empty.page).to.be.empty;
+
+        expect((await this.votingInstance.getProposalsPage(0, 10)).ids).to.be.empty;
+        expect((await this.votingInstance.getVotersPage(0, 0)).addresses).to.be.empty;
+    })
+
+    it ("keeps unregistered voters in their place", async function () {
+        await this.votingInstance.registerVoters([voter1Address, voter2Address], { from: ownerAddress });
+        await this.votingInstance.unregisterVoter(voter1Address, { from: ownerAddress });
+
+        expect(await this.votingInstance.getVotersCount.call())
+            .to.be.bignumber
+            .equal(new BN(2));
+
+        const { addresses, page } = await this.votingInstance.getVotersPage(0, 10);
+        expect(addresses).to.deep.equal([voter1Address, voter2Address]);
+        expect(page.map(voter => voter.isRegistered)).to.deep.equal([false, true]);
+    })
+
+    it ("sums up the results in one call", async function () {
+        const before = await this.votingInstance.getResults();
+        expect(before.outcome).to.equal(TallyOutcome.NotTallied.toString());
+        expect(before.winningProposalIds).to.be.empty;
+
+        await this.votingInstance.registerVoters([voter1Address, voter2Address], { from: ownerAddress });
+        await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+        await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+        await this.votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+        await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+        await this.votingInstance.startVotingSession({ from: ownerAddress });
+        await this.votingInstance.vote(new BN(2), { from: voter1Address });
+        await this.votingInstance.vote(new BN(2), { from: voter2Address });
+        await this.votingInstance.endVotingSession({ from: ownerAddress });
+        await this.votingInstance.tallyVotes({ from: ownerAddress });
+
+        const results = await this.votingInstance.getResults();
+        expect(results.status).to.equal(WorkflowStatus.VotesTallied.toString());
+        expect(results.outcome).to.equal(TallyOutcome.SingleWinner.toString());
+        expect(results.winningProposalIds).to.deep.equal(["2"]);
+        expect(results.winningVoteCounts).to.deep.equal(["2"]);
+        expect(results.votesCastCount).to.equal("2");
+        expect(results.totalVotingWeight).to.equal("2");
+        expect(results.registeredVotersCount).to.equal("2");
+        expect(results.proposalsCount).to.equal("2");
+        expect(results.quorumReached).to.be.true;
+    })
+})
@@ -0,0 +1,250 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test pausing and cancelling a Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN, time } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const { replayBallotEvents, checkBallotState } = require('../lib/ballotIndexer');
+const { WorkflowStatus, noSchedule, ballotId, deployBallot } = require('./helpers');
+
+const Voting = artifacts.require('Voting');
+
+const ZERO_HASH = "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+// The functions which are not frozen by a pause nor by a cancellation (`initialize` runs once, before either)
+const unfrozenFunctions = ["initialize", "grantRole", "revokeRole", "renounceRole", "pause", "unpause", "cancel"];
+
+contract('Voting (pause and cancel)', function(accounts) {
+
+    const ownerAddress  = accounts[0];
+    const voter1Address = accounts[1];
+    const voter2Address = accounts[2];
+    const voter3Address = accounts[3];
+
+    // A call to each function changing the ballot, each from the account it expects
+    const frozenCalls = {
+        registerVoter:               votingInstance => votingInstance.registerVoter(voter3Address, { from: ownerAddress }),
+        registerVoters:              votingInstance => votingInstance.registerVoters([voter3Address], { from: ownerAddress }),
+        unregisterVoter:             votingInstance => votingInstance.unregisterVoter(voter2Address, { from: ownerAddress }),
+        setVotersMerkleRoot:         votingInstance => votingInstance.setVotersMerkleRoot(ZERO_HASH, { from: ownerAddress }),
+        setTiePolicy:                votingInstance => votingInstance.setTiePolicy(new BN(1), { from: ownerAddress }),
+        setWinnersCount:             votingInstance => votingInstance.setWinnersCount(new BN(1), { from: ownerAddress }),
+        setMaxProposalsPerVoter:     votingInstance => votingInstance.setMaxProposalsPerVoter(new BN(1), { from: ownerAddress }),
+        setSecretBallot:             votingInstance => votingInstance.setSecretBallot(true, { from: ownerAddress }),
+        setVoteChangesAllowed:       votingInstance => votingInstance.setVoteChangesAllowed(false, { from: ownerAddress }),
+        startProposalRegistration:   votingInstance => votingInstance.startProposalRegistration({ from: ownerAddress }),
+        endProposalRegistration:     votingInstance => votingInstance.endProposalRegistration({ from: ownerAddress }),
+        registerProposal:            votingInstance => votingInstance.registerProposal("Proposal 3", { from: voter1Address }),
+        registerProposalWithContent: votingInstance => votingInstance.registerProposalWithContent("Proposal 3", ZERO_HASH, { from: voter1Address }),
+        registerProposalWithProof:   votingInstance => votingInstance.registerProposalWithProof("Proposal 3", [], { from: voter3Address }),
+        registerProposalBySig:       votingInstance => votingInstance.registerProposalBySig(voter1Address, "Proposal 3", ZERO_HASH, 0, "0x", { from: ownerAddress }),
+        editProposal:                votingInstance => votingInstance.editProposal(new BN(1), "Proposal 1 bis", { from: voter1Address }),
+        editProposalWithContent:     votingInstance => votingInstance.editProposalWithContent(new BN(1), "Proposal 1 bis", ZERO_HASH, { from: voter1Address }),
+        withdrawProposal:            votingInstance => votingInstance.withdrawProposal(new BN(1), { from: voter1Address }),
+        snapshotVotingWeights:       votingInstance => votingInstance.snapshotVotingWeights(new BN(1), { from: ownerAddress }),
+        startVotingSession:          votingInstance => votingInstance.startVotingSession({ from: ownerAddress }),
+        vote:                        votingInstance => votingInstance.vote(new BN(1), { from: voter1Address }),
+        voteBySig:                   votingInstance => votingInstance.voteBySig(voter1Address, new BN(1), 0, "0x", { from: ownerAddress }),
+        voteRanked:                  votingInstance => votingInstance.voteRanked([new BN(1), new BN(2)], { from: voter1Address }),
+        approve:                     votingInstance => votingInstance.approve([new BN(1)], { from: voter1Address }),
+        commitVote:                  votingInstance => votingInstance.commitVote(ZERO_HASH, { from: voter1Address }),
+        delegate:                    votingInstance => votingInstance.delegate(voter2Address, { from: voter1Address }),
+        voteWithProof:               votingInstance => votingInstance.voteWithProof(new BN(1), [], { from: voter3Address }),
+        changeVote:                  votingInstance => votingInstance.changeVote(new BN(2), { from: voter1Address }),
+        revokeVote:                  votingInstance => votingInstance.revokeVote({ from: voter1Address }),
+        endVotingSession:            votingInstance => votingInstance.endVotingSession({ from: ownerAddress }),
+        startVotesReveal:            votingInstance => votingInstance.startVotesReveal({ from: ownerAddress }),
+        revealVote:                  votingInstance => votingInstance.revealVote(new BN(1), ZERO_HASH, { from: voter1Address }),
+        tallyVotes:                  votingInstance => votingInstance.tallyVotes({ from: ownerAddress }),
+        breakTie:                    votingInstance => votingInstance.breakTie(new BN(1), { from: ownerAddress }),
+        startNewRound:               votingInstance => votingInstance.startNewRound(true, noSchedule, { from: ownerAddress })
+    };
+
+    // Move a fresh ballot on to a phase, with two voters and a proposal from each
+    // ~~~~~~~~~~~~
+    async function moveTo(votingInstance, phase) {
+        const steps = [
+            async () => {
+                await votingInstance.registerVoters([voter1Address, voter2Address], { from: ownerAddress });
+                await votingInstance.startProposalRegistration({ from: ownerAddress });
+                await votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+                await votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+            },
+            () => votingInstance.endProposalRegistration({ from: ownerAddress }),
+            async () => {
+                await votingInstance.startVotingSession({ from: ownerAddress });
+                await votingInstance.vote(new BN(1), { from: voter1Address });
+            },
+            () => votingInstance.endVotingSession({ from: ownerAddress }),
+            () => votingInstance.tallyVotes({ from: ownerAddress })
+        ];
+        for (const step of steps.slice(0, phase.toNumber())) {
+            await step();
+        }
+    }
+
+    beforeEach(async function () {
+        this.votingInstance = await deployBallot({ from: ownerAddress });
+    })
+
+    it ("lists a call to every function changing the ballot", function () {
+        const functionNames = Voting.abi
+            .filter(item => item.type === "function" && ! ["view", "pure"].includes(item.stateMutability))
+            .map(item => item.name)
+            .filter(name => ! unfrozenFunctions.includes(name));
+
+        expect(Object.keys(frozenCalls)).to.have.members(functionNames);
+    })
+
+    it ("starts neither paused nor cancelled", async function () {
+        expect(await this.votingInstance.paused()).to.be.false;
+        expect(await this.votingInstance.cancellationReason()).to.equal("");
+    })
+
+    it ("lets the chair pause then unpause the ballot", async function () {
+        expectEvent(
+            await this.votingInstance.pause({ from: ownerAddress }),
+            "BallotPaused",
+            { _ballotId: ballotId, _round: new BN(1), _account: ownerAddress }
+        );
+        expect(await this.votingInstance.paused()).to.be.true;
+
+        expectEvent(
+            await this.votingInstance.unpause({ from: ownerAddress }),
+            "BallotUnpaused",
+            { _ballotId: ballotId, _round: new BN(1), _account: ownerAddress }
+        );
+        expect(await this.votingInstance.paused()).to.be.false;
+    })
+
+    it ("cannot pause a paused ballot, nor unpause a running one", async function () {
+        await expectRevert(this.votingInstance.unpause({ from: ownerAddress }), VotingErrors.BallotNotPaused);
+
+        await this.votingInstance.pause({ from: ownerAddress });
+        await expectRevert(this.votingInstance.pause({ from: ownerAddress }), VotingErrors.BallotPaused);
+    })
+
+    it ("rejects every function changing the ballot while paused", async function () {
+        await moveTo(this.votingInstance, WorkflowStatus.VotingSessionStarted);
+        await this.votingInstance.pause({ from: ownerAddress });
+
+        for (const call of Object.values(frozenCalls)) {
+            await expectRevert(call(this.votingInstance), VotingErrors.BallotPaused);
+        }
+    })
+
+    it ("resumes the ballot where it stopped once unpaused", async function () {
+        await moveTo(this.votingInstance, WorkflowStatus.VotingSessionStarted);
+        await this.votingInstance.pause({ from: ownerAddress });
+        await this.votingInstance.unpause({ from: ownerAddress });
+
+        expect(await this.votingInstance.getWorkflowStatus()).to.be.bignumber.equal(WorkflowStatus.VotingSessionStarted);
+        await this.votingInstance.vote(new BN(2), { from: voter2Address });
+        await this.votingInstance.endVotingSession({ from: ownerAddress });
+        expect((await this.votingInstance.getProposal(new BN(2)))[1]).to.be.bignumber.equal(new BN(1));
+    })
+
+    it ("pushes the deadlines still ahead back by the time paused", async function () {
+        const now            = await time.latest();
+        const deadlines      = [1, 2, 3, 4, 5, 6].map(days => now.add(time.duration.days(days)));
+        const votingInstance = await deployBallot({ from: ownerAddress, phaseDeadlines: deadlines });
+
+        await votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+        await time.increaseTo(deadlines[0]);
+
+        // The pause runs past the ProposalsRegistrationStarted and ProposalsRegistrationEnded deadlines
+        const pause = await votingInstance.pause({ from: ownerAddress });
+        await time.increase(time.duration.days(2));
+        const unpause = await votingInstance.unpause({ from: ownerAddress });
+
+        const pausedAt   = new BN((await web3.eth.getBlock(pause.receipt.blockNumber)).timestamp);
+        const unpausedAt = new BN((await web3.eth.getBlock(unpause.receipt.blockNumber)).timestamp);
+        expect(await votingInstance.phaseDeadlines(0)).to.be.bignumber.equal(deadlines[0]);
+        for (let i = 1; i < deadlines.length; i++) {
+            expect(await votingInstance.phaseDeadlines(i))
+                .to.be.bignumber
+                .equal(deadlines[i].add(unpausedAt.sub(pausedAt)));
+        }
+
+        await votingInstance.startProposalRegistration({ from: ownerAddress });
+        await votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+    })
+
+    it ("lets the chair cancel the ballot in any phase", async function () {
+        for (const phase of Object.values(WorkflowStatus).filter(phase => phase.lt(WorkflowStatus.RevealingVotes))) {
+            const votingInstance = await deployBallot({ from: ownerAddress });
+            await moveTo(votingInstance, phase);
+
+            const result = await votingInstance.cancel("Irregular voters list", { from: ownerAddress });
+
+            expectEvent(result, "WorkflowStatusChange", {
+                _ballotId:      ballotId,
+                _previousState: phase,
+                _newState:      WorkflowStatus.Cancelled
+            });
+            expectEvent(result, "BallotCancelled", { _ballotId: ballotId, _round: new BN(1), _reason: "Irregular voters list" });
+            expect(await votingInstance.getWorkflowStatus()).to.be.bignumber.equal(WorkflowStatus.Cancelled);
+            expect(await votingInstance.cancellationReason()).to.equal("Irregular voters list");
+        }
+    })
+
+    it ("lets the chair cancel a secret ballot while the votes are revealed", async function () {
+        await this.votingInstance.setSecretBallot(true, { from: ownerAddress });
+        await moveTo(this.votingInstance, WorkflowStatus.ProposalsRegistrationEnded);
+        await this.votingInstance.startVotingSession({ from: ownerAddress });
+        await this.votingInstance.endVotingSession({ from: ownerAddress });
+        await this.votingInstance.startVotesReveal({ from: ownerAddress });
+
+        expectEvent(
+            await this.votingInstance.cancel("Leaked salts", { from: ownerAddress }),
+            "WorkflowStatusChange",
+            { _previousState: WorkflowStatus.RevealingVotes, _newState: WorkflowStatus.Cancelled }
+        );
+    })
+
+    it ("lets the chair cancel a paused ballot", async function () {
+        await moveTo(this.votingInstance, WorkflowStatus.VotingSessionStarted);
+        await this.votingInstance.pause({ from: ownerAddress });
+
+        await this.votingInstance.cancel("Flawed proposals", { from: ownerAddress });
+
+        expect(await this.votingInstance.getWorkflowStatus()).to.be.bignumber.equal(WorkflowStatus.Cancelled);
+    })
+
+    it ("cannot cancel the ballot without a reason", async function () {
+        await expectRevert(
+            this.votingInstance.cancel("", { from: ownerAddress }),
+            VotingErrors.MissingCancellationReason
+        );
+    })
+
+    it ("rejects every function changing the ballot once cancelled", async function () {
+        await moveTo(this.votingInstance, WorkflowStatus.VotingSessionStarted);
+        await this.votingInstance.cancel("Irregular voters list", { from: ownerAddress });
+
+        for (const call of Object.values(frozenCalls)) {
+            await expectRevert.unspecified(call(this.votingInstance));
+        }
+        await expectRevert(this.votingInstance.pause({ from: ownerAddress }), VotingErrors.CannotPause);
+        await expectRevert(
+            this.votingInstance.cancel("Irregular voters list", { from: ownerAddress }),
+            VotingErrors.CannotCancel
+        );
+    })
+
+    it ("rebuilds the pause and the cancellation from the events", async function () {
+        await moveTo(this.votingInstance, WorkflowStatus.VotingSessionStarted);
+        await this.votingInstance.pause({ from: ownerAddress });
+
+        let state = await replayBallotEvents(this.votingInstance);
+        expect(state.paused).to.be.true;
+        expect(await checkBallotState(this.votingInstance, state)).to.deep.equal([]);
+
+        await this.votingInstance.cancel("Irregular voters list", { from: ownerAddress });
+
+        state = await replayBallotEvents(this.votingInstance);
+        expect(state.status).to.equal(WorkflowStatus.Cancelled.toString());
+        expect(state.cancellationReason).to.equal("Irregular voters list");
+        expect(await checkBallotState(this.votingInstance, state)).to.deep.equal([]);
+    })
+});
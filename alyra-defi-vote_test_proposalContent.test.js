@@ -0,0 +1,150 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the off-chain content of proposals
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN, constants } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const {
+    canonicalJson,
+    buildProposalDocument,
+    hashProposalDocument,
+    createMemoryContentStore,
+    publishProposalDocument,
+    verifyProposalDocument,
+    fetchProposalDocument
+} = require('../lib/proposalContent');
+const { deployBallot } = require('./helpers');
+
+contract('proposalContent', function(accounts) {
+
+    const ownerAddress  = accounts[0];
+    const voter1Address = accounts[1];
+
+    describe("Documents", function() {
+
+        it ("serializes JSON with sorted keys and no white space", function () {
+            expect(canonicalJson({ b: [1, { d: true, c: null }], a: "x" }))
+                .to.equal('{"a":"x","b":[1,{"c":null,"d":true}]}');
+        })
+
+        it ("rejects values that are not plain JSON", function () {
+            expect(() => canonicalJson({ a: undefined })).to.throw();
+            expect(() => canonicalJson({ a: NaN })).to.throw();
+            expect(() => canonicalJson({ a: new Date() })).to.throw();
+        })
+
+        it ("hashes a document the same whatever the order of its fields", function () {
+            const document1 = buildProposalDocument({ title: "Title", body: "Body", links: ["https://example.org"] });
+            const document2 = buildProposalDocument({ links: ["https://example.org"], body: "Body", title: "Title" });
+
+            expect(document1).to.equal(document2);
+            expect(hashProposalDocument(document1))
+                .to.match(/^0x[0-9a-f]{64}$/)
+                .and.equal(hashProposalDocument(document2));
+        })
+
+        it ("requires a short title", function () {
+            expect(() => buildProposalDocument({ body: "Body" })).to.throw("Missing proposal title");
+            expect(() => buildProposalDocument({ title: "a".repeat(281) })).to.throw();
+        })
+
+        it ("keeps documents in memory by hash", async function () {
+            const store       = createMemoryContentStore();
+            const document    = buildProposalDocument({ title: "Title", body: "Body" });
+            const contentHash = await store.put(document);
+
+            expect(contentHash).to.equal(hashProposalDocument(document));
+            expect(await store.get(contentHash.toUpperCase().replace("0X", "0x"))).to.equal(document);
+            expect(await store.get(hashProposalDocument("{}"))).to.be.undefined;
+        })
+
+        it ("rejects a document which does not match the proposal", function () {
+            const document = buildProposalDocument({ title: "Title", body: "Body" });
+            const proposal = { description: "Title", contentHash: hashProposalDocument(document) };
+
+            expect(verifyProposalDocument(proposal, document).body).to.equal("Body");
+            expect(() => verifyProposalDocument(proposal, document.replace("Body", "Other")))
+                .to.throw("does not match its hash");
+            expect(() => verifyProposalDocument({ ...proposal, description: "Other" }, document))
+                .to.throw("title does not match");
+            expect(() => verifyProposalDocument(proposal, undefined))
+                .to.throw("Missing proposal document");
+        })
+    })
+
+    describe("Proposals with content", function() {
+
+        beforeEach(async function () {
+            this.votingInstance = await deployBallot({ from: ownerAddress });
+            this.store          = createMemoryContentStore();
+
+            await this.votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+        })
+
+        it ("can registerProposalWithContent then fetch and check its document", async function () {
+            const { title, contentHash } = await publishProposalDocument(this.store, { title: "Title", body: "A long text" });
+
+            expectEvent(
+                await this.votingInstance.registerProposalWithContent(title, contentHash, { from: voter1Address }),
+                "ProposalRegistered",
+                { _proposalId: new BN(1) }
+            );
+
+            const proposal = await this.votingInstance.getProposal(new BN(1));
+            expect(proposal[0]).to.equal("Title");
+            expect(proposal[4]).to.equal(contentHash);
+
+            expect((await fetchProposalDocument(this.votingInstance, new BN(1), this.store)).body)
+                .to.equal("A long text");
+        })
+
+        it ("cannot registerProposalWithContent without a content hash", async function () {
+            await expectRevert(
+                this.votingInstance.registerProposalWithContent("Title", constants.ZERO_BYTES32, { from: voter1Address }),
+                VotingErrors.MissingProposalContentHash
+            );
+        })
+
+        it ("detects a document tampered with in the store", async function () {
+            const { title, contentHash } = await publishProposalDocument(this.store, { title: "Title", body: "Body" });
+            await this.votingInstance.registerProposalWithContent(title, contentHash, { from: voter1Address });
+
+            const tamperedStore = { get: async () => buildProposalDocument({ title: "Title", body: "Other" }) };
+
+            let error;
+            try {
+                await fetchProposalDocument(this.votingInstance, new BN(1), tamperedStore);
+            } catch (e) {
+                error = e;
+            }
+            expect(error && error.message).to.include("does not match its hash");
+        })
+
+        it ("has no document for a plain proposal", async function () {
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+
+            expect(await fetchProposalDocument(this.votingInstance, new BN(1), this.store))
+                .to.be.undefined;
+        })
+
+        it ("can editProposalWithContent then editProposal back to a plain description", async function () {
+            const first  = await publishProposalDocument(this.store, { title: "Title", body: "Body" });
+            const second = await publishProposalDocument(this.store, { title: "Title 2", body: "Body 2" });
+            await this.votingInstance.registerProposalWithContent(first.title, first.contentHash, { from: voter1Address });
+
+            await this.votingInstance.editProposalWithContent(new BN(1), second.title, second.contentHash, { from: voter1Address });
+            expect((await fetchProposalDocument(this.votingInstance, new BN(1), this.store)).body)
+                .to.equal("Body 2");
+
+            await expectRevert(
+                this.votingInstance.editProposalWithContent(new BN(1), "Title 3", constants.ZERO_BYTES32, { from: voter1Address }),
+                VotingErrors.MissingProposalContentHash
+            );
+
+            await this.votingInstance.editProposal(new BN(1), "Proposal 1", { from: voter1Address });
+            expect((await this.votingInstance.getProposal(new BN(1)))[4])
+                .to.equal(constants.ZERO_BYTES32);
+        })
+    })
+})
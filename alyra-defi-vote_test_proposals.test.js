@@ -0,0 +1,239 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the proposal lifecycle of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN, constants } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const { ProposalStatus, deployBallot } = require('./helpers');
+
+contract('Voting (proposals)', function(accounts) {
+
+    const ownerAddress     = accounts[0];
+    const voter1Address    = accounts[1];
+    const voter2Address    = accounts[2];
+    const notVoter3Address = accounts[3];
+
+    beforeEach(async function () {
+        this.votingInstance = await deployBallot({ from: ownerAddress });
+
+        await this.votingInstance.registerVoters([voter1Address, voter2Address], { from: ownerAddress });
+    })
+
+    describe("When registering voters", function() {
+
+        it ("can setMaxProposalsPerVoter if chair", async function () {
+            expectEvent(
+                await this.votingInstance.setMaxProposalsPerVoter(new BN(2), { from: ownerAddress }),
+                "MaxProposalsPerVoterChanged",
+                { _maxProposalsPerVoter: new BN(2) }
+            );
+            expect(await this.votingInstance.maxProposalsPerVoter.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+
+        it ("cannot setMaxProposalsPerVoter once proposals registration started", async function () {
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.setMaxProposalsPerVoter(new BN(2), { from: ownerAddress }),
+                VotingErrors.CannotChangeMaxProposalsPerVoter
+            );
+        })
+
+        it ("cannot editProposal nor withdrawProposal", async function () {
+            await expectRevert(
+                this.votingInstance.editProposal(new BN(1), "Proposal 1", { from: voter1Address }),
+                VotingErrors.CannotEditProposal
+            );
+            await expectRevert(
+                this.votingInstance.withdrawProposal(new BN(1), { from: voter1Address }),
+                VotingErrors.CannotWithdrawProposal
+            );
+        })
+    })
+
+    describe("When registering proposals", function() {
+
+        beforeEach(async function () {
+            await this.votingInstance.setMaxProposalsPerVoter(new BN(2), { from: ownerAddress });
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+        })
+
+        it ("records the author and status of a proposal", async function () {
+            const proposal = await this.votingInstance.getProposal(new BN(1));
+
+            expect(proposal[2]).to.equal(voter1Address);
+            expect(proposal[3]).to.be.bignumber.equal(ProposalStatus.Active);
+            expect(await this.votingInstance.proposalsCountOf.call(voter1Address))
+                .to.be.bignumber
+                .equal(new BN(1));
+        })
+
+        it ("has no author nor status for an unknown proposal", async function () {
+            const proposal = await this.votingInstance.getProposal(new BN(2));
+
+            expect(proposal[2]).to.equal(constants.ZERO_ADDRESS);
+            expect(proposal[3]).to.be.bignumber.equal(ProposalStatus.None);
+        })
+
+        it ("cannot register a duplicate description", async function () {
+            await expectRevert(
+                this.votingInstance.registerProposal("Proposal 1", { from: voter2Address }),
+                VotingErrors.DuplicateProposalDescription
+            );
+        })
+
+        it ("cannot register a description longer than MAX_DESCRIPTION_LENGTH", async function () {
+            const maxLength = (await this.votingInstance.MAX_DESCRIPTION_LENGTH.call()).toNumber();
+
+            await this.votingInstance.registerProposal("a".repeat(maxLength), { from: voter2Address });
+            await expectRevert(
+                this.votingInstance.registerProposal("b".repeat(maxLength + 1), { from: voter2Address }),
+                VotingErrors.ProposalDescriptionTooLong
+            );
+        })
+
+        it ("cannot register more than maxProposalsPerVoter proposals", async function () {
+            await this.votingInstance.registerProposal("Proposal 2", { from: voter1Address });
+
+            await expectRevert(
+                this.votingInstance.registerProposal("Proposal 3", { from: voter1Address }),
+                VotingErrors.TooManyProposals
+            );
+            await this.votingInstance.registerProposal("Proposal 3", { from: voter2Address });
+        })
+
+        it ("can editProposal if author", async function () {
+            expectEvent(
+                await this.votingInstance.editProposal(new BN(1), "Proposal 1bis", { from: voter1Address }),
+                "ProposalEdited",
+                { _proposalId: new BN(1) }
+            );
+            expect((await this.votingInstance.getProposal(new BN(1)))[0])
+                .to.equal("Proposal 1bis");
+
+            // The former description is available again
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter2Address });
+        })
+
+        it ("cannot editProposal if not author", async function () {
+            await expectRevert(
+                this.votingInstance.editProposal(new BN(1), "Proposal 1bis", { from: voter2Address }),
+                VotingErrors.NotProposalAuthor
+            );
+        })
+
+        it ("cannot editProposal an unknown proposal", async function () {
+            await expectRevert(
+                this.votingInstance.editProposal(new BN(2), "Proposal 2", { from: voter1Address }),
+                VotingErrors.UnknownProposal
+            );
+        })
+
+        it ("cannot editProposal with an invalid description", async function () {
+            await this.votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+
+            await expectRevert(
+                this.votingInstance.editProposal(new BN(1), "", { from: voter1Address }),
+                VotingErrors.MissingProposalDescription
+            );
+            await expectRevert(
+                this.votingInstance.editProposal(new BN(1), "a".repeat(281), { from: voter1Address }),
+                VotingErrors.ProposalDescriptionTooLong
+            );
+            await expectRevert(
+                this.votingInstance.editProposal(new BN(1), "Proposal 2", { from: voter1Address }),
+                VotingErrors.DuplicateProposalDescription
+            );
+        })
+
+        it ("can withdrawProposal if author", async function () {
+            expectEvent(
+                await this.votingInstance.withdrawProposal(new BN(1), { from: voter1Address }),
+                "ProposalWithdrawn",
+                { _proposalId: new BN(1) }
+            );
+            expect((await this.votingInstance.getProposal(new BN(1)))[3])
+                .to.be.bignumber
+                .equal(ProposalStatus.Withdrawn);
+            expect(await this.votingInstance.proposalsCountOf.call(voter1Address))
+                .to.be.bignumber
+                .equal(new BN(1));
+
+            // The description is available again
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter2Address });
+        })
+
+        it ("cannot withdrawProposal if not author", async function () {
+            await expectRevert(
+                this.votingInstance.withdrawProposal(new BN(1), { from: notVoter3Address }),
+                VotingErrors.NotProposalAuthor
+            );
+        })
+
+        it ("cannot withdrawProposal an unknown proposal", async function () {
+            await expectRevert(
+                this.votingInstance.withdrawProposal(new BN(2), { from: voter1Address }),
+                VotingErrors.UnknownProposal
+            );
+        })
+
+        it ("cannot edit nor withdraw a withdrawn proposal", async function () {
+            await this.votingInstance.withdrawProposal(new BN(1), { from: voter1Address });
+
+            await expectRevert(
+                this.votingInstance.withdrawProposal(new BN(1), { from: voter1Address }),
+                VotingErrors.WithdrawnProposal
+            );
+            await expectRevert(
+                this.votingInstance.editProposal(new BN(1), "Proposal 1bis", { from: voter1Address }),
+                VotingErrors.WithdrawnProposal
+            );
+        })
+
+        it ("counts withdrawn proposals in maxProposalsPerVoter", async function () {
+            await this.votingInstance.withdrawProposal(new BN(1), { from: voter1Address });
+            await this.votingInstance.registerProposal("Proposal 2", { from: voter1Address });
+            await this.votingInstance.withdrawProposal(new BN(2), { from: voter1Address });
+
+            await expectRevert(
+                this.votingInstance.registerProposal("Proposal 3", { from: voter1Address }),
+                VotingErrors.TooManyProposals
+            );
+        })
+    })
+
+    describe("When proposals registration ended", function() {
+
+        beforeEach(async function () {
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+            await this.votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+            await this.votingInstance.withdrawProposal(new BN(2), { from: voter2Address });
+            await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+        })
+
+        it ("cannot editProposal nor withdrawProposal", async function () {
+            await expectRevert(
+                this.votingInstance.editProposal(new BN(1), "Proposal 1bis", { from: voter1Address }),
+                VotingErrors.CannotEditProposal
+            );
+            await expectRevert(
+                this.votingInstance.withdrawProposal(new BN(1), { from: voter1Address }),
+                VotingErrors.CannotWithdrawProposal
+            );
+        })
+
+        it ("cannot vote for a withdrawn proposal", async function () {
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.vote(new BN(2), { from: voter1Address }),
+                VotingErrors.WithdrawnProposal
+            );
+            await this.votingInstance.vote(new BN(1), { from: voter1Address });
+        })
+    })
+})
@@ -0,0 +1,346 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the ranked-choice ballot of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN } = require('@openzeppelin/test-helpers');
+const { expect }                = require('chai');
+const { VotingErrors }          = require('../lib/votingErrors');
+const { tallyInstantRunoff }    = require('../lib/instantRunoff');
+const { DEFAULT_BATCH_SIZE }    = require('../lib/voterBatches');
+const { BallotMode, noSchedule, deployBallot, startVotingSession } = require('./helpers');
+
+/**
+ * @return a pseudo-random number generator in [0, 1), so that failures can be replayed
+ */
+function seededRandom(seed) {
+    // mulberry32
+    return function () {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+contract('Voting (ranked-choice)', function(accounts) {
+
+    const ownerAddress   = accounts[0];
+    const voterAddresses = accounts.slice(1, 9);
+
+    // Deploy a ranked-choice ballot with `proposalsCount` proposals
+    // and all of `voterAddresses` registered, then start its voting session
+    // ~~~~~~~~~~~~
+    async function startRankedVotingSession(proposalsCount) {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.RankedChoice });
+
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses, proposalsCount });
+
+        return votingInstance;
+    }
+
+    // Create `count` unlocked accounts, funded for a few transactions of up to 1M gas,
+    // for more voters than the node has accounts
+    // ~~~~~~~~~~~~
+    async function createVoterAccounts(count) {
+        const addresses = [];
+
+        for (let i = 0; i < count; i++) {
+            const account = web3.eth.accounts.create();
+
+            await web3.eth.personal.importRawKey(account.privateKey, "");
+            await web3.eth.personal.unlockAccount(account.address, "", 0);
+            await web3.eth.sendTransaction({ from: ownerAddress, to: account.address, value: web3.utils.toWei("0.1", "ether") });
+            addresses.push(account.address);
+        }
+
+        return addresses;
+    }
+
+    // Read every instant-runoff round of the tally of a ballot round (the current one by default)
+    // as arrays of numbers
+    // ~~~~~~~~~~~~
+    async function getRounds(votingInstance, round) {
+        round = round || await votingInstance.round();
+
+        const roundsCount = (await votingInstance.getInstantRunoffRoundsCount(round)).toNumber();
+        const rounds      = [];
+
+        for (let i = 0; i < roundsCount; i++) {
+            const counts = await votingInstance.getInstantRunoffRound(round, new BN(i));
+            rounds.push(counts.map(count => count.toNumber()));
+        }
+
+        return rounds;
+    }
+
+    describe("When VotingSessionStarted", function() {
+
+        beforeEach(async function () {
+            this.votingInstance = await startRankedVotingSession(3);
+        })
+
+        it ("can voteRanked if registered voter", async function () {
+            const result = await this.votingInstance.voteRanked(
+                [new BN(2), new BN(3)],
+                { from: voterAddresses[0] }
+            );
+
+            expectEvent(result, "Voted", { _voterAddress: voterAddresses[0], _proposalId: new BN(2) });
+
+            const rankedChoices = await this.votingInstance.getRankedChoices(voterAddresses[0]);
+            expect(rankedChoices.map(id => id.toNumber())).to.deep.equal([2, 3]);
+            expect((await this.votingInstance.getProposal(new BN(2)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(1), "Proposal 2 should count the first choice");
+        })
+
+        it ("cannot vote for a single proposal", async function () {
+            await expectRevert(
+                this.votingInstance.vote(new BN(1), { from: voterAddresses[0] }),
+                VotingErrors.NotPluralityBallot
+            );
+        })
+
+        it ("cannot voteRanked without any proposal", async function () {
+            await expectRevert(
+                this.votingInstance.voteRanked([], { from: voterAddresses[0] }),
+                VotingErrors.MissingRankedProposals
+            );
+        })
+
+        it ("cannot voteRanked the same proposal twice", async function () {
+            await expectRevert(
+                this.votingInstance.voteRanked([new BN(1), new BN(2), new BN(1)], { from: voterAddresses[0] }),
+                VotingErrors.ProposalRankedTwice
+            );
+        })
+
+        it ("cannot voteRanked an unknown proposal", async function () {
+            await expectRevert(
+                this.votingInstance.voteRanked([new BN(1), new BN(4)], { from: voterAddresses[0] }),
+                VotingErrors.UnknownProposal
+            );
+        })
+
+        it ("cannot voteRanked more than once", async function () {
+            await this.votingInstance.voteRanked([new BN(1)], { from: voterAddresses[0] });
+
+            await expectRevert(
+                this.votingInstance.voteRanked([new BN(2)], { from: voterAddresses[0] }),
+                VotingErrors.AlreadyVoted
+            );
+        })
+
+        it ("cannot voteRanked if not a registered voter", async function () {
+            await expectRevert(
+                this.votingInstance.voteRanked([new BN(1)], { from: accounts[9] }),
+                VotingErrors.NotRegisteredVoter
+            );
+        })
+    })
+
+    describe("When tallying", function() {
+
+        it ("drops the weakest proposal round after round", async function () {
+            const votingInstance = await startRankedVotingSession(3);
+            const rankings = [[1, 3], [1, 3], [2, 3], [3, 2], [3, 2]];
+
+            for (let i = 0; i < rankings.length; i++) {
+                await votingInstance.voteRanked(rankings[i], { from: voterAddresses[i] });
+            }
+            await votingInstance.endVotingSession({ from: ownerAddress });
+            await votingInstance.tallyVotes({ from: ownerAddress });
+
+            // Proposals 1 and 3 tie on first choices, proposal 2 is dropped
+            // and its ballot goes to proposal 3
+            expect(await getRounds(votingInstance)).to.deep.equal([
+                [2, 1, 2],
+                [2, 0, 3]
+            ]);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(3));
+        })
+
+        it ("counts the weight delegated to a voter who already voted", async function () {
+            const votingInstance = await startRankedVotingSession(2);
+
+            await votingInstance.voteRanked([1], { from: voterAddresses[0] });
+            await votingInstance.voteRanked([2], { from: voterAddresses[1] });
+            await votingInstance.delegate(voterAddresses[0], { from: voterAddresses[2] });
+            await votingInstance.endVotingSession({ from: ownerAddress });
+            await votingInstance.tallyVotes({ from: ownerAddress });
+
+            expect(await getRounds(votingInstance)).to.deep.equal([[2, 1]]);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(1));
+        })
+
+        it ("counts a later round by its own proposals only", async function () {
+            const votingInstance = await startRankedVotingSession(3);
+            await votingInstance.voteRanked([1], { from: voterAddresses[0] });
+            await votingInstance.endVotingSession({ from: ownerAddress });
+            await votingInstance.tallyVotes({ from: ownerAddress });
+
+            await votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+            await votingInstance.startProposalRegistration({ from: ownerAddress });
+            await votingInstance.registerProposal("Proposal 4", { from: voterAddresses[0] });
+            await votingInstance.registerProposal("Proposal 5", { from: voterAddresses[0] });
+            await votingInstance.endProposalRegistration({ from: ownerAddress });
+            await votingInstance.startVotingSession({ from: ownerAddress });
+            await votingInstance.voteRanked([5, 4], { from: voterAddresses[0] });
+            await votingInstance.voteRanked([4], { from: voterAddresses[1] });
+            await votingInstance.voteRanked([5], { from: voterAddresses[2] });
+            await votingInstance.endVotingSession({ from: ownerAddress });
+            await votingInstance.tallyVotes({ from: ownerAddress });
+
+            expect(await getRounds(votingInstance)).to.deep.equal([[1, 2]]);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(5));
+        })
+
+        it ("tallies full rankings at the caps within a block", async function () {
+            const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.RankedChoice });
+            const maxProposals   = (await votingInstance.MAX_RANKED_CHOICE_PROPOSALS()).toNumber();
+            const maxVoters      = (await votingInstance.MAX_RANKED_CHOICE_VOTERS()).toNumber();
+            const addresses      = await createVoterAccounts(maxVoters);
+
+            for (let i = 0; i < addresses.length; i += DEFAULT_BATCH_SIZE) {
+                await votingInstance.registerVoters(addresses.slice(i, i + DEFAULT_BATCH_SIZE), { from: ownerAddress });
+            }
+            await votingInstance.startProposalRegistration({ from: ownerAddress });
+            for (let i = 1; i <= maxProposals; i++) {
+                await votingInstance.registerProposal(`Proposal ${i}`, { from: addresses[0] });
+            }
+            await votingInstance.endProposalRegistration({ from: ownerAddress });
+            await votingInstance.startVotingSession({ from: ownerAddress });
+
+            // Each voter ranks every proposal, down from a first choice of their own:
+            // no majority shows up until most proposals are dropped
+            const ballots = addresses.map((_, i) => ({
+                ranking: Array.from({ length: maxProposals }, (_, k) => (i - k + 2 * maxProposals) % maxProposals + 1),
+                weight:  1
+            }));
+            for (let i = 0; i < addresses.length; i++) {
+                await votingInstance.voteRanked(ballots[i].ranking, { from: addresses[i], gas: 1000000 });
+            }
+            await votingInstance.endVotingSession({ from: ownerAddress });
+
+            const { receipt } = await votingInstance.tallyVotes({ from: ownerAddress });
+            const { gasLimit } = await web3.eth.getBlock(receipt.blockNumber);
+            expect(receipt.gasUsed).to.be.below(gasLimit);
+
+            const expected = tallyInstantRunoff((await votingInstance.getProposalIds()).map(id => id.toNumber()), ballots);
+            expect(expected.rounds).to.have.lengthOf(maxProposals - 1);
+            expect(await getRounds(votingInstance))
+                .to.deep.equal(expected.rounds.map(counts => counts.map(count => count.toNumber())));
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(expected.winningProposalId));
+        })
+
+        it ("keeps big weights exact in the reference implementation", function () {
+            const ballots = [
+                { ranking: [1], weight: "1000000000000000000000000" },
+                { ranking: [2], weight: "1000000000000000000000001" }
+            ];
+
+            const { winningProposalId, rounds } = tallyInstantRunoff([1, 2], ballots);
+
+            expect(winningProposalId).to.equal(2);
+            expect(rounds[0][1].toString()).to.equal("1000000000000000000000001");
+        })
+
+        for (const seed of [7, 42, 2021]) {
+            it (`matches the reference implementation on random ballots (seed ${seed})`, async function () {
+                const random         = seededRandom(seed);
+                const proposalsCount = 4;
+                const votingInstance = await startRankedVotingSession(proposalsCount);
+                const ballots        = [];
+
+                for (const voterAddress of voterAddresses) {
+                    // Some voters abstain
+                    if (random() < 0.1) {
+                        continue;
+                    }
+
+                    // A random permutation of the proposals, cut at a random length
+                    const ranking = [];
+                    for (let id = 1; id <= proposalsCount; id++) {
+                        ranking.splice(Math.floor(random() * (ranking.length + 1)), 0, id);
+                    }
+                    ranking.length = 1 + Math.floor(random() * proposalsCount);
+
+                    await votingInstance.voteRanked(ranking, { from: voterAddress });
+                    ballots.push({ ranking, weight: 1 });
+                }
+                await votingInstance.endVotingSession({ from: ownerAddress });
+                await votingInstance.tallyVotes({ from: ownerAddress });
+
+                const proposalIds = (await votingInstance.getProposalIds()).map(id => id.toNumber());
+                const expected    = tallyInstantRunoff(proposalIds, ballots);
+
+                expect(await getRounds(votingInstance))
+                    .to.deep.equal(expected.rounds.map(counts => counts.map(count => count.toNumber())));
+                expect(await votingInstance.winningProposalId.call())
+                    .to.be.bignumber
+                    .equal(new BN(expected.winningProposalId));
+            })
+        }
+    })
+
+    describe("When RegisteringVoters", function() {
+
+        it ("cannot setSecretBallot", async function () {
+            const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.RankedChoice });
+
+            await expectRevert(
+                votingInstance.setSecretBallot(true, { from: ownerAddress }),
+                VotingErrors.SecretBallotMustBePlurality
+            );
+        })
+
+        it ("caps the voter list", async function () {
+            const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.RankedChoice });
+            const maxVoters      = (await votingInstance.MAX_RANKED_CHOICE_VOTERS()).toNumber();
+
+            const addresses = [voterAddresses[0]];
+            while (addresses.length < maxVoters) {
+                addresses.push(web3.utils.toChecksumAddress(web3.utils.randomHex(20)));
+            }
+            for (let i = 0; i < addresses.length; i += DEFAULT_BATCH_SIZE) {
+                await votingInstance.registerVoters(addresses.slice(i, i + DEFAULT_BATCH_SIZE), { from: ownerAddress });
+            }
+
+            // An unregistered voter keeps their place in the list
+            await votingInstance.unregisterVoter(voterAddresses[0], { from: ownerAddress });
+            await expectRevert(
+                votingInstance.registerVoter(voterAddresses[1], { from: ownerAddress }),
+                VotingErrors.TooManyRankedChoiceVoters
+            );
+            await votingInstance.registerVoter(voterAddresses[0], { from: ownerAddress });
+        })
+    })
+
+    describe("When ProposalsRegistrationStarted", function() {
+
+        it ("caps the proposals of a round", async function () {
+            const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.RankedChoice });
+            const maxProposals   = (await votingInstance.MAX_RANKED_CHOICE_PROPOSALS()).toNumber();
+
+            await votingInstance.registerVoter(voterAddresses[0], { from: ownerAddress });
+            await votingInstance.startProposalRegistration({ from: ownerAddress });
+            for (let i = 1; i <= maxProposals; i++) {
+                await votingInstance.registerProposal(`Proposal ${i}`, { from: voterAddresses[0] });
+            }
+
+            // A withdrawn proposal is still counted by the tally
+            await votingInstance.withdrawProposal(new BN(1), { from: voterAddresses[0] });
+            await expectRevert(
+                votingInstance.registerProposal("Proposal 1", { from: voterAddresses[0] }),
+                VotingErrors.TooManyRankedChoiceProposals
+            );
+        })
+    })
+})
@@ -0,0 +1,317 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the results export and the off-chain recount
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { BN, constants } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const {
+    buildResultsReport,
+    auditResults,
+    formatResultsCsv,
+    saveResultsReport
+} = require('../lib/resultsAudit');
+const { BallotMode, TiePolicy, noSchedule, ballotId, deployBallot, deploymentBlock, startVotingSession } = require('./helpers');
+
+const ERC20Mock = artifacts.require('ERC20Mock');
+
+contract('resultsAudit', function(accounts) {
+
+    const ownerAddress   = accounts[0];
+    const voterAddresses = accounts.slice(1, 6);
+
+    async function tallyVotes(votingInstance) {
+        await votingInstance.endVotingSession({ from: ownerAddress });
+        return votingInstance.tallyVotes({ from: ownerAddress });
+    }
+
+    async function audit(votingInstance, fromBlock) {
+        const report = await buildResultsReport(votingInstance, web3, { fromBlock });
+
+        return { report, ...auditResults(report) };
+    }
+
+    it ("refuses a ballot whose votes are not tallied", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+
+        try {
+            await buildResultsReport(votingInstance, web3, { fromBlock });
+        } catch (error) {
+            expect(error.message).to.equal("The votes of the ballot are not tallied (phase 3)");
+            return;
+        }
+        expect.fail("The report should have been refused");
+    })
+
+    it ("reports each proposal, each voter's participation and the blocks", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+
+        // Proposal 1 gets a vote, a delegation after it, and a changed vote; proposal 2 keeps one vote of two
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[1] });
+        await votingInstance.delegate(voterAddresses[0], { from: voterAddresses[2] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[3] });
+        await votingInstance.changeVote(new BN(1), { from: voterAddresses[3] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[4] });
+        await votingInstance.revokeVote({ from: voterAddresses[4] });
+        const tally = await tallyVotes(votingInstance);
+
+        const { report, recount, mismatches } = await audit(votingInstance, fromBlock);
+
+        expect(mismatches).to.be.empty;
+        expect(recount.voteCounts).to.deep.equal({ "1": "3", "2": "1" });
+        expect(recount.winningProposalId).to.equal("1");
+
+        expect(report.ballotId).to.equal(ballotId.toString());
+        expect(report.round).to.equal("1");
+        expect(report.winningProposalId).to.equal("1");
+        expect(report.votesCastCount).to.equal("4");
+        expect(report.proposals.map(({ id, description, voteCount }) => [id, description, voteCount])).to.deep.equal([
+            ["1", "Proposal 1", "3"],
+            ["2", "Proposal 2", "1"],
+            ["3", "Proposal 3", "0"]
+        ]);
+        expect(report.talliedBlock).to.equal(tally.receipt.blockNumber);
+        expect(report.reportBlock).to.be.at.least(report.talliedBlock);
+
+        const voters = Object.fromEntries(report.voters.map(voter => [voter.address, voter]));
+        expect(voters[voterAddresses[0]]).to.include({ hasVoted: true, votedProposalId: "1", weight: "2" });
+        expect(voters[voterAddresses[2]]).to.include({ hasVoted: true, delegate: voterAddresses[0] });
+        expect(voters[voterAddresses[4]]).to.include({ hasVoted: false, votedProposalId: "0" });
+        expect(voters[voterAddresses[4]].voteBlock).to.be.below(report.talliedBlock);
+    })
+
+    it ("recounts the last runoff only", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await votingInstance.setTiePolicy(TiePolicy.Runoff, { from: ownerAddress });
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[1] });
+        await tallyVotes(votingInstance);
+
+        await votingInstance.vote(new BN(2), { from: voterAddresses[0] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[1] });
+        await tallyVotes(votingInstance);
+
+        const { recount, mismatches } = await audit(votingInstance, fromBlock);
+
+        expect(mismatches).to.be.empty;
+        expect(recount.voteCounts).to.deep.equal({ "2": "2" });
+        expect(recount.winningProposalId).to.equal("2");
+    })
+
+    it ("recounts an approval ballot electing several proposals", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.Approval });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await votingInstance.setWinnersCount(new BN(2), { from: ownerAddress });
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+
+        await votingInstance.approve([new BN(1), new BN(3)], { from: voterAddresses[0] });
+        await votingInstance.approve([new BN(3)], { from: voterAddresses[1] });
+        await votingInstance.approve([new BN(2), new BN(3)], { from: voterAddresses[2] });
+        await votingInstance.delegate(voterAddresses[2], { from: voterAddresses[3] });
+        await tallyVotes(votingInstance);
+
+        const { report, recount, mismatches } = await audit(votingInstance, fromBlock);
+
+        expect(mismatches).to.be.empty;
+        expect(recount.voteCounts).to.deep.equal({ "1": "1", "2": "2", "3": "4" });
+        expect(recount.winningProposalIds).to.deep.equal(["3", "2"]);
+        expect(report.voters[0].choices).to.deep.equal(["1", "3"]);
+    })
+
+    it ("recounts a ranked-choice ballot by instant runoff", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.RankedChoice });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+
+        // 1 and 2 lead on first choices, 3 drops out and its ballot goes to 2
+        const rankings = [[1, 2], [1, 3], [2, 3], [3, 2], [2, 1]];
+        for (let i = 0; i < rankings.length; i++) {
+            await votingInstance.voteRanked(rankings[i].map(id => new BN(id)), { from: voterAddresses[i] });
+        }
+        await tallyVotes(votingInstance);
+
+        const { recount, mismatches } = await audit(votingInstance, fromBlock);
+
+        expect(mismatches).to.be.empty;
+        expect(recount.voteCounts).to.deep.equal({ "1": "2", "2": "2", "3": "1" });
+        expect(recount.winningProposalId).to.equal("2");
+    })
+
+    it ("recounts a ranked-choice ballot of a later round by the proposals of that round", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.RankedChoice });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+        await votingInstance.voteRanked([new BN(1)], { from: voterAddresses[0] });
+        await tallyVotes(votingInstance);
+
+        // Round 2 runs proposals 4 to 6: 6 drops out and its ballot goes to 5
+        await votingInstance.startNewRound(false, noSchedule, { from: ownerAddress });
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+        const rankings = [[4, 5], [4, 6], [5, 6], [6, 5], [5, 4]];
+        for (let i = 0; i < rankings.length; i++) {
+            await votingInstance.voteRanked(rankings[i].map(id => new BN(id)), { from: voterAddresses[i] });
+        }
+        await tallyVotes(votingInstance);
+
+        const { report, recount, mismatches } = await audit(votingInstance, fromBlock);
+
+        expect(report.proposals.map(({ id }) => id)).to.deep.equal(["4", "5", "6"]);
+        expect(mismatches).to.be.empty;
+        expect(recount.voteCounts).to.deep.equal({ "4": "2", "5": "2", "6": "1" });
+        expect(recount.winningProposalId).to.equal("5");
+    })
+
+    it ("recounts a tie, then the proposal the chair picked", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await votingInstance.setTiePolicy(TiePolicy.ChairDecides, { from: ownerAddress });
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[1] });
+        await tallyVotes(votingInstance);
+
+        let { recount, mismatches } = await audit(votingInstance, fromBlock);
+        expect(mismatches).to.be.empty;
+        expect(recount.winningProposalId).to.equal("0");
+        expect(recount.winningProposalIds).to.deep.equal(["1", "2"]);
+
+        await votingInstance.breakTie(new BN(2), { from: ownerAddress });
+
+        ({ recount, mismatches } = await audit(votingInstance, fromBlock));
+        expect(mismatches).to.be.empty;
+        expect(recount.winningProposalId).to.equal("2");
+    })
+
+    it ("recounts a ballot which failed its quorum", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress, quorumPercentage: 60 });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+        await votingInstance.vote(new BN(1), { from: voterAddresses[1] });
+        await tallyVotes(votingInstance);
+
+        const { report, recount, mismatches } = await audit(votingInstance, fromBlock);
+
+        expect(mismatches).to.be.empty;
+        expect(report.quorumReached).to.be.false;
+        expect(recount.winningProposalIds).to.be.empty;
+    })
+
+    it ("recounts a token ballot from the balances at the snapshot, not from the contract's weights", async function () {
+        const tokenInstance  = await ERC20Mock.new({ from: ownerAddress });
+        const votingInstance = await deployBallot({ from: ownerAddress, governanceToken: tokenInstance.address });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await tokenInstance.mint(voterAddresses[0], new BN(100));
+        await tokenInstance.mint(voterAddresses[1], new BN(30));
+        await tokenInstance.mint(voterAddresses[2], new BN(50));
+        await tokenInstance.mint(voterAddresses[3], new BN(20));
+        for (const holderAddress of voterAddresses.slice(0, 4)) {
+            await tokenInstance.delegate(holderAddress, { from: holderAddress });
+        }
+
+        await votingInstance.registerVoters(voterAddresses, { from: ownerAddress });
+        await votingInstance.startProposalRegistration({ from: ownerAddress });
+        await votingInstance.registerProposal("Proposal 1", { from: voterAddresses[0] });
+        await votingInstance.registerProposal("Proposal 2", { from: voterAddresses[0] });
+        await votingInstance.delegate(voterAddresses[0], { from: voterAddresses[2] });
+        await votingInstance.endProposalRegistration({ from: ownerAddress });
+
+        // Every voter is snapshotted at the block before the first batch: the tokens moved since are not counted
+        await votingInstance.snapshotVotingWeights(new BN(2), { from: ownerAddress });
+        await tokenInstance.transfer(voterAddresses[1], new BN(10), { from: voterAddresses[3] });
+        await votingInstance.startVotingSession({ from: ownerAddress });
+        await tokenInstance.transfer(voterAddresses[4], new BN(100), { from: voterAddresses[0] });
+
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[1] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[3] });
+        await tallyVotes(votingInstance);
+
+        const { report, recount, mismatches } = await audit(votingInstance, fromBlock);
+
+        expect(mismatches).to.be.empty;
+        expect(report.voters.map(({ ownWeight }) => ownWeight)).to.deep.equal(["100", "30", "50", "20", "0"]);
+        expect(recount.voteCounts).to.deep.equal({ "1": "150", "2": "50" });
+        expect(recount.totalVotingWeight).to.equal("200");
+
+        // The weights in the events are not trusted, the voters' weights are checked
+        for (const event of report.events.filter(({ event }) => event === "Voted")) {
+            event.args._weight = "1000";
+        }
+        report.voters[1].weight = "40";
+
+        expect(auditResults(report).mismatches).to.deep.equal([
+            { path: `voters.${voterAddresses[1]}.weight`, onChain: "40", recounted: "30" }
+        ]);
+    })
+
+    it ("flags the results the recount disagrees with", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+        await votingInstance.vote(new BN(1), { from: voterAddresses[1] });
+        await votingInstance.vote(new BN(2), { from: voterAddresses[2] });
+        await tallyVotes(votingInstance);
+
+        const report = await buildResultsReport(votingInstance, web3, { fromBlock });
+        report.proposals[1].voteCount = "3";
+        report.winningProposalId      = "2";
+
+        expect(auditResults(report).mismatches).to.deep.equal([
+            { path: "proposals.2.voteCount", onChain: "3", recounted: "1" },
+            { path: "winningProposalId", onChain: "2", recounted: "1" }
+        ]);
+    })
+
+    it ("exports the proposals and the voters as CSV", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses, descriptions: ["Fund the \"green\" roof, then the garden", "Proposal 2"] });
+        await votingInstance.vote(new BN(1), { from: voterAddresses[0] });
+        await tallyVotes(votingInstance);
+
+        const csv = formatResultsCsv(await buildResultsReport(votingInstance, web3, { fromBlock }));
+
+        expect(csv.proposals.split("\n").slice(0, 2)).to.deep.equal([
+            "id,description,voteCount,author,status,contentHash,winner",
+            `1,"Fund the ""green"" roof, then the garden",1,${voterAddresses[0]},1,${constants.ZERO_BYTES32},true`
+        ]);
+        expect(csv.voters.trim().split("\n")).to.have.lengthOf(voterAddresses.length + 1);
+        expect(csv.voters.split("\n")[2]).to.equal(`${voterAddresses[1]},false,0,,1,${constants.ZERO_ADDRESS},`);
+    })
+
+    it ("saves the report with its audit, and the CSV files", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+        const fromBlock      = await deploymentBlock(votingInstance);
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+        await votingInstance.vote(new BN(3), { from: voterAddresses[0] });
+        await tallyVotes(votingInstance);
+
+        const report = await buildResultsReport(votingInstance, web3, { fromBlock });
+        const files  = saveResultsReport(report, auditResults(report), path.join(os.tmpdir(), `results-${votingInstance.address}`));
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(files[0], "utf8"));
+
+            expect(saved.winningProposalId).to.equal("3");
+            expect(saved.audit.mismatches).to.be.empty;
+            expect(saved.audit.recount.voteCounts).to.deep.equal({ "3": "1" });
+            expect(fs.readFileSync(files[1], "utf8")).to.equal(formatResultsCsv(report).proposals);
+            expect(fs.readFileSync(files[2], "utf8")).to.equal(formatResultsCsv(report).voters);
+        } finally {
+            files.forEach(file => fs.rmSync(file, { force: true }));
+        }
+    })
+});
@@ -0,0 +1,267 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the roles of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const { TiePolicy, noSchedule, deployBallot } = require('./helpers');
+
+contract('Voting (roles)', function(accounts) {
+
+    const adminAddress     = accounts[0];
+    const registrarAddress = accounts[1];
+    const chairAddress     = accounts[2];
+    const voter1Address    = accounts[3];
+    const voter2Address    = accounts[4];
+
+    // Move a fresh ballot on with the admin, who also holds the registrar and chair roles
+    async function registerVoters(votingInstance) {
+        await votingInstance.registerVoters([voter1Address, voter2Address], { from: adminAddress });
+    }
+    async function endProposalsRegistration(votingInstance) {
+        await registerVoters(votingInstance);
+        await votingInstance.startProposalRegistration({ from: adminAddress });
+        await votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+        await votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+        await votingInstance.endProposalRegistration({ from: adminAddress });
+    }
+    async function endVotingSession(votingInstance) {
+        await endProposalsRegistration(votingInstance);
+        await votingInstance.startVotingSession({ from: adminAddress });
+        await votingInstance.endVotingSession({ from: adminAddress });
+    }
+
+    // Which role may call which function: `prepare` moves a fresh ballot to the stage the function expects
+    const permissions = [
+        {
+            name:    "registerVoter",
+            role:    "registrar",
+            call:    (votingInstance, from) => votingInstance.registerVoter(voter1Address, { from })
+        },
+        {
+            name:    "registerVoters",
+            role:    "registrar",
+            call:    (votingInstance, from) => votingInstance.registerVoters([voter1Address], { from })
+        },
+        {
+            name:    "unregisterVoter",
+            role:    "registrar",
+            prepare: registerVoters,
+            call:    (votingInstance, from) => votingInstance.unregisterVoter(voter1Address, { from })
+        },
+        {
+            name:    "setVotersMerkleRoot",
+            role:    "registrar",
+            call:    (votingInstance, from) => votingInstance.setVotersMerkleRoot(web3.utils.keccak256("root"), { from })
+        },
+        {
+            name:    "setTiePolicy",
+            role:    "chair",
+            call:    (votingInstance, from) => votingInstance.setTiePolicy(TiePolicy.Runoff, { from })
+        },
+        {
+            name:    "setWinnersCount",
+            role:    "chair",
+            call:    (votingInstance, from) => votingInstance.setWinnersCount(new BN(2), { from })
+        },
+        {
+            name:    "setMaxProposalsPerVoter",
+            role:    "chair",
+            call:    (votingInstance, from) => votingInstance.setMaxProposalsPerVoter(new BN(2), { from })
+        },
+        {
+            name:    "setSecretBallot",
+            role:    "chair",
+            call:    (votingInstance, from) => votingInstance.setSecretBallot(true, { from })
+        },
+        {
+            name:    "setVoteChangesAllowed",
+            role:    "chair",
+            call:    (votingInstance, from) => votingInstance.setVoteChangesAllowed(false, { from })
+        },
+        {
+            name:    "startProposalRegistration",
+            role:    "chair",
+            call:    (votingInstance, from) => votingInstance.startProposalRegistration({ from })
+        },
+        {
+            name:    "endProposalRegistration",
+            role:    "chair",
+            prepare: votingInstance => votingInstance.startProposalRegistration({ from: adminAddress }),
+            call:    (votingInstance, from) => votingInstance.endProposalRegistration({ from })
+        },
+        {
+            name:    "startVotingSession",
+            role:    "chair",
+            prepare: endProposalsRegistration,
+            call:    (votingInstance, from) => votingInstance.startVotingSession({ from })
+        },
+        {
+            name:    "endVotingSession",
+            role:    "chair",
+            prepare: async votingInstance => {
+                await endProposalsRegistration(votingInstance);
+                await votingInstance.startVotingSession({ from: adminAddress });
+            },
+            call:    (votingInstance, from) => votingInstance.endVotingSession({ from })
+        },
+        {
+            name:    "startVotesReveal",
+            role:    "chair",
+            prepare: async votingInstance => {
+                await votingInstance.setSecretBallot(true, { from: adminAddress });
+                await endVotingSession(votingInstance);
+            },
+            call:    (votingInstance, from) => votingInstance.startVotesReveal({ from })
+        },
+        {
+            name:    "tallyVotes",
+            role:    "chair",
+            prepare: endVotingSession,
+            call:    (votingInstance, from) => votingInstance.tallyVotes({ from })
+        },
+        {
+            name:    "breakTie",
+            role:    "chair",
+            prepare: async votingInstance => {
+                await votingInstance.setTiePolicy(TiePolicy.ChairDecides, { from: adminAddress });
+                await endProposalsRegistration(votingInstance);
+                await votingInstance.startVotingSession({ from: adminAddress });
+                await votingInstance.vote(new BN(1), { from: voter1Address });
+                await votingInstance.vote(new BN(2), { from: voter2Address });
+                await votingInstance.endVotingSession({ from: adminAddress });
+                await votingInstance.tallyVotes({ from: adminAddress });
+            },
+            call:    (votingInstance, from) => votingInstance.breakTie(new BN(2), { from })
+        },
+        {
+            name:    "startNewRound",
+            role:    "chair",
+            prepare: async votingInstance => {
+                await endVotingSession(votingInstance);
+                await votingInstance.tallyVotes({ from: adminAddress });
+            },
+            call:    (votingInstance, from) => votingInstance.startNewRound(true, noSchedule, { from })
+        },
+        {
+            name:    "pause",
+            role:    "chair",
+            call:    (votingInstance, from) => votingInstance.pause({ from })
+        },
+        {
+            name:    "unpause",
+            role:    "chair",
+            prepare: votingInstance => votingInstance.pause({ from: adminAddress }),
+            call:    (votingInstance, from) => votingInstance.unpause({ from })
+        },
+        {
+            name:    "cancel",
+            role:    "chair",
+            call:    (votingInstance, from) => votingInstance.cancel("Duplicate ballot", { from })
+        }
+    ];
+
+    const callers = [
+        { name: "registrar", address: registrarAddress },
+        { name: "chair",     address: chairAddress },
+        { name: "voter",     address: voter1Address }
+    ];
+
+    // Deploy a ballot then grant each role to its own account
+    beforeEach(async function () {
+        this.votingInstance = await deployBallot({ from: adminAddress });
+
+        this.roles = {
+            admin:     await this.votingInstance.DEFAULT_ADMIN_ROLE.call(),
+            registrar: await this.votingInstance.REGISTRAR_ROLE.call(),
+            chair:     await this.votingInstance.CHAIR_ROLE.call()
+        };
+
+        await this.votingInstance.grantRole(this.roles.registrar, registrarAddress, { from: adminAddress });
+        await this.votingInstance.grantRole(this.roles.chair,     chairAddress,     { from: adminAddress });
+    })
+
+    describe("On deployment", function() {
+
+        it ("grants the admin, registrar and chair roles to the deployer", async function () {
+            const votingInstance = await deployBallot({ from: adminAddress });
+
+            expect(await votingInstance.hasRole.call(this.roles.admin, adminAddress)).to.be.true;
+            expect(await votingInstance.hasRole.call(this.roles.registrar, adminAddress)).to.be.true;
+            expect(await votingInstance.hasRole.call(this.roles.chair, adminAddress)).to.be.true;
+        })
+    })
+
+    describe("Granting and revoking roles", function() {
+
+        it ("can grantRole if admin", async function () {
+            const result = await this.votingInstance.grantRole(this.roles.chair, voter1Address, { from: adminAddress });
+
+            expectEvent(result, "RoleGranted", {
+                role:    this.roles.chair,
+                account: voter1Address,
+                sender:  adminAddress
+            });
+            expect(await this.votingInstance.hasRole.call(this.roles.chair, voter1Address))
+                .to.be.true;
+        })
+
+        it ("can revokeRole if admin", async function () {
+            const result = await this.votingInstance.revokeRole(this.roles.chair, chairAddress, { from: adminAddress });
+
+            expectEvent(result, "RoleRevoked", {
+                role:    this.roles.chair,
+                account: chairAddress,
+                sender:  adminAddress
+            });
+            await expectRevert(
+                this.votingInstance.startProposalRegistration({ from: chairAddress }),
+                VotingErrors.NotChair
+            );
+        })
+
+        it ("cannot grantRole if not admin", async function () {
+            for (const caller of callers) {
+                await expectRevert(
+                    this.votingInstance.grantRole(this.roles.chair, voter2Address, { from: caller.address }),
+                    VotingErrors.NotAdminToGrant
+                );
+            }
+        })
+
+        it ("cannot revokeRole if not admin", async function () {
+            for (const caller of callers) {
+                await expectRevert(
+                    this.votingInstance.revokeRole(this.roles.registrar, registrarAddress, { from: caller.address }),
+                    VotingErrors.NotAdminToRevoke
+                );
+            }
+        })
+    })
+
+    describe("Permissions", function() {
+
+        for (const permission of permissions) {
+            for (const caller of callers) {
+
+                if (caller.name === permission.role) {
+                    it (`can ${permission.name} if ${caller.name}`, async function () {
+                        if (permission.prepare) {
+                            await permission.prepare(this.votingInstance);
+                        }
+
+                        await permission.call(this.votingInstance, caller.address);
+                    })
+                }
+                else {
+                    it (`cannot ${permission.name} if ${caller.name}`, async function () {
+                        await expectRevert(
+                            permission.call(this.votingInstance, caller.address),
+                            permission.role === "registrar" ? VotingErrors.NotRegistrar : VotingErrors.NotChair
+                        );
+                    })
+                }
+            }
+        }
+    })
+})
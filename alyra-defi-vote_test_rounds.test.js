@@ -0,0 +1,417 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the successive rounds of a Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN, constants, time } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const { replayBallotEvents, checkBallotState } = require('../lib/ballotIndexer');
+const { DEFAULT_BATCH_SIZE } = require('../lib/voterBatches');
+const { buildVotersMerkleTree, getVoterProof } = require('../lib/votersMerkleTree');
+const { WorkflowStatus, BallotMode, TiePolicy, TallyOutcome, noSchedule, ballotId, deployBallot } = require('./helpers');
+
+contract('Voting (rounds)', function(accounts) {
+
+    const ownerAddress  = accounts[0];
+    const voter1Address = accounts[1];
+    const voter2Address = accounts[2];
+    const voter3Address = accounts[3];
+    const voter4Address = accounts[4];
+
+    // Run a whole round: register `voterAddresses` (if any), the proposals, then the votes,
+    // each voter voting for the proposal at the same index in `votes` (by position in the round)
+    // ~~~~~~~~~~~~
+    async function runRound(votingInstance, { voterAddresses = [], descriptions, votes }) {
+        if (voterAddresses.length > 0) {
+            await votingInstance.registerVoters(voterAddresses, { from: ownerAddress });
+        }
+        await votingInstance.startProposalRegistration({ from: ownerAddress });
+        for (const description of descriptions) {
+            await votingInstance.registerProposal(description, { from: voter1Address });
+        }
+        await votingInstance.endProposalRegistration({ from: ownerAddress });
+        await votingInstance.startVotingSession({ from: ownerAddress });
+
+        const proposalIds = await votingInstance.getProposalIds();
+        for (const [voterAddress, position] of votes) {
+            await votingInstance.vote(proposalIds[position], { from: voterAddress });
+        }
+        await votingInstance.endVotingSession({ from: ownerAddress });
+        await votingInstance.tallyVotes({ from: ownerAddress });
+    }
+
+    beforeEach(async function () {
+        this.votingInstance = await deployBallot({ from: ownerAddress });
+    })
+
+    it ("starts with round 1", async function () {
+        expect(await this.votingInstance.round()).to.be.bignumber.equal(new BN(1));
+        expect((await this.votingInstance.getRoundResults(1)).status).to.equal(WorkflowStatus.RegisteringVoters.toString());
+
+        await expectRevert(this.votingInstance.getRoundResults(0), VotingErrors.UnknownRound);
+        await expectRevert(this.votingInstance.getRoundProposalIds(2), VotingErrors.UnknownRound);
+    })
+
+    it ("can only start a new round once the votes are tallied", async function () {
+        await expectRevert(
+            this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress }),
+            VotingErrors.CannotStartNewRound
+        );
+
+        await this.votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+        await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+        await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+        await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+        await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+        await expectRevert(
+            this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress }),
+            VotingErrors.CannotStartNewRound
+        );
+    })
+
+    it ("runs several rounds one after another, keeping the history of each", async function () {
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address, voter2Address, voter3Address],
+            descriptions:   ["Proposal A", "Proposal B"],
+            votes:          [[voter1Address, 0], [voter2Address, 0], [voter3Address, 1]]
+        });
+
+        const result = await this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+        expectEvent(result, "WorkflowStatusChange", {
+            _ballotId:      ballotId,
+            _round:         new BN(2),
+            _previousState: WorkflowStatus.VotesTallied,
+            _newState:      WorkflowStatus.RegisteringVoters
+        });
+        expectEvent(result, "RoundStarted", { _ballotId: ballotId, _round: new BN(2), _votersKept: true });
+
+        // The voters carry over with a fresh ballot, the description "Proposal A" is free again
+        const voter1 = await this.votingInstance.voters(voter1Address);
+        expect(voter1.isRegistered).to.be.true;
+        expect(voter1.hasVoted).to.be.false;
+        expect(await this.votingInstance.registeredVotersCount()).to.be.bignumber.equal(new BN(3));
+        expect(await this.votingInstance.getProposalsCount()).to.be.bignumber.equal(new BN(0));
+
+        await runRound(this.votingInstance, {
+            descriptions: ["Proposal A", "Proposal C", "Proposal D"],
+            votes:        [[voter1Address, 2], [voter2Address, 1], [voter3Address, 2]]
+        });
+
+        await this.votingInstance.startNewRound(false, noSchedule, { from: ownerAddress });
+        expect((await this.votingInstance.voters(voter1Address)).isRegistered).to.be.false;
+        expect(await this.votingInstance.registeredVotersCount()).to.be.bignumber.equal(new BN(0));
+
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address, voter4Address],
+            descriptions:   ["Proposal E"],
+            votes:          [[voter4Address, 0]]
+        });
+
+        expect(await this.votingInstance.round()).to.be.bignumber.equal(new BN(3));
+
+        // Proposal ids keep increasing across rounds
+        const history = [
+            { proposalIds: ["1", "2"],      winner: "1", votesCast: "3", voters: [voter1Address, voter2Address, voter3Address] },
+            { proposalIds: ["3", "4", "5"], winner: "5", votesCast: "3", voters: [voter1Address, voter2Address, voter3Address] },
+            { proposalIds: ["6"],           winner: "6", votesCast: "1", voters: [voter1Address, voter4Address] }
+        ];
+        for (let i = 0; i < history.length; i++) {
+            const round   = i + 1;
+            const results = await this.votingInstance.getRoundResults(round);
+
+            expect(results.status).to.equal(WorkflowStatus.VotesTallied.toString());
+            expect(results.outcome).to.equal(TallyOutcome.SingleWinner.toString());
+            expect(results.winningProposalIds).to.deep.equal([history[i].winner]);
+            expect(results.votesCastCount).to.equal(history[i].votesCast);
+            expect(results.proposalsCount).to.equal(String(history[i].proposalIds.length));
+            expect((await this.votingInstance.getRoundProposalIds(round)).map(String)).to.deep.equal(history[i].proposalIds);
+
+            const { addresses } = await this.votingInstance.getRoundVoters(round);
+            expect(addresses).to.have.members(history[i].voters);
+        }
+
+        // Past proposals and votes are kept as they were
+        expect((await this.votingInstance.getProposal(1))[1]).to.be.bignumber.equal(new BN(2));
+        expect((await this.votingInstance.getProposal(3))[0]).to.equal("Proposal A");
+        expect((await this.votingInstance.getProposal(5))[1]).to.be.bignumber.equal(new BN(2));
+
+        const { addresses, roundVoters } = await this.votingInstance.getRoundVoters(2);
+        expect(roundVoters[addresses.indexOf(voter2Address)].votedProposalId).to.equal("4");
+        expect(roundVoters[addresses.indexOf(voter2Address)].hasVoted).to.be.true;
+    })
+
+    it ("keeps the voters of a past round when the voters carried over change", async function () {
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address, voter2Address],
+            descriptions:   ["Proposal A"],
+            votes:          [[voter2Address, 0]]
+        });
+        await this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+        await this.votingInstance.unregisterVoter(voter2Address, { from: ownerAddress });
+        await this.votingInstance.registerVoter(voter3Address, { from: ownerAddress });
+
+        const past = await this.votingInstance.getRoundVoters(1);
+        expect(past.addresses).to.deep.equal([voter1Address, voter2Address]);
+        expect(past.roundVoters[1].hasVoted).to.be.true;
+
+        const current = await this.votingInstance.getRoundVoters(2);
+        expect(current.addresses).to.deep.equal([voter1Address, voter3Address]);
+        expect(current.roundVoters[0].hasVoted).to.be.false;
+        expect((await this.votingInstance.voters(voter2Address)).isRegistered).to.be.false;
+    })
+
+    it ("starts a new round without going through the voters", async function () {
+        // The same round on a ballot with a single voter then on one with hundreds of them
+        const addresses = [voter1Address];
+        while (addresses.length < 400) {
+            addresses.push(web3.utils.toChecksumAddress(web3.utils.randomHex(20)));
+        }
+        const largeInstance = await deployBallot({ from: ownerAddress });
+        for (let i = 0; i < addresses.length; i += DEFAULT_BATCH_SIZE) {
+            await largeInstance.registerVoters(addresses.slice(i, i + DEFAULT_BATCH_SIZE), { from: ownerAddress });
+        }
+
+        await this.votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+        for (const votingInstance of [this.votingInstance, largeInstance]) {
+            await runRound(votingInstance, { descriptions: ["Proposal A"], votes: [[voter1Address, 0]] });
+        }
+
+        const small = await this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+        const large = await largeInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+
+        expect(large.receipt.gasUsed).to.equal(small.receipt.gasUsed);
+        expect(await largeInstance.registeredVotersCount()).to.be.bignumber.equal(new BN(400));
+        expect((await largeInstance.voters(addresses[399])).isRegistered).to.be.true;
+    })
+
+    it ("emits the round of every event", async function () {
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address],
+            descriptions:   ["Proposal A"],
+            votes:          [[voter1Address, 0]]
+        });
+        await this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+
+        await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+        expectEvent(
+            await this.votingInstance.registerProposal("Proposal B", { from: voter1Address }),
+            "ProposalRegistered",
+            { _ballotId: ballotId, _round: new BN(2), _proposalId: new BN(2) }
+        );
+        await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+        await this.votingInstance.startVotingSession({ from: ownerAddress });
+        expectEvent(
+            await this.votingInstance.vote(2, { from: voter1Address }),
+            "Voted",
+            { _ballotId: ballotId, _round: new BN(2), _proposalId: new BN(2) }
+        );
+    })
+
+    it ("cannot vote for nor edit a proposal of a past round", async function () {
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address, voter2Address],
+            descriptions:   ["Proposal A"],
+            votes:          [[voter1Address, 0]]
+        });
+        await this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+        await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+
+        await expectRevert(
+            this.votingInstance.editProposal(1, "Proposal B", { from: voter1Address }),
+            VotingErrors.UnknownProposal
+        );
+        await expectRevert(
+            this.votingInstance.withdrawProposal(1, { from: voter1Address }),
+            VotingErrors.UnknownProposal
+        );
+
+        await this.votingInstance.registerProposal("Proposal B", { from: voter1Address });
+        await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+        await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+        await expectRevert(this.votingInstance.vote(1, { from: voter2Address }), VotingErrors.UnknownProposal);
+    })
+
+    it ("requires voters to be registered again when they do not carry over", async function () {
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address],
+            descriptions:   ["Proposal A"],
+            votes:          [[voter1Address, 0]]
+        });
+        await this.votingInstance.startNewRound(false, noSchedule, { from: ownerAddress });
+        await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+
+        await expectRevert(
+            this.votingInstance.registerProposal("Proposal B", { from: voter1Address }),
+            VotingErrors.NotRegisteredAsVoter
+        );
+    })
+
+    it ("forgets the voters Merkle root when the voters do not carry over", async function () {
+        const tree = buildVotersMerkleTree([voter1Address, voter2Address]);
+
+        await this.votingInstance.setVotersMerkleRoot(tree.root, { from: ownerAddress });
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address],
+            descriptions:   ["Proposal A"],
+            votes:          [[voter1Address, 0]]
+        });
+        await this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+        expect(await this.votingInstance.votersMerkleRoot()).to.equal(tree.root);
+
+        await runRound(this.votingInstance, { descriptions: ["Proposal B"], votes: [[voter1Address, 0]] });
+        const result = await this.votingInstance.startNewRound(false, noSchedule, { from: ownerAddress });
+
+        expectEvent(result, "VotersMerkleRootChanged", { _round: new BN(3), _votersMerkleRoot: constants.ZERO_BYTES32 });
+        expect(await this.votingInstance.votersMerkleRoot()).to.equal(constants.ZERO_BYTES32);
+        await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+        await expectRevert(
+            this.votingInstance.registerProposalWithProof("Proposal C", getVoterProof(tree, voter2Address), { from: voter2Address }),
+            VotingErrors.InvalidMerkleProof
+        );
+    })
+
+    it ("counts the proposals per voter afresh in each round", async function () {
+        await this.votingInstance.setMaxProposalsPerVoter(1, { from: ownerAddress });
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address],
+            descriptions:   ["Proposal A"],
+            votes:          [[voter1Address, 0]]
+        });
+        await this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+        await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+
+        await this.votingInstance.registerProposal("Proposal B", { from: voter1Address });
+        await expectRevert(
+            this.votingInstance.registerProposal("Proposal C", { from: voter1Address }),
+            VotingErrors.TooManyProposals
+        );
+    })
+
+    it ("gives the new round its own deadlines", async function () {
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address],
+            descriptions:   ["Proposal A"],
+            votes:          [[voter1Address, 0]]
+        });
+        const now = await time.latest();
+
+        await expectRevert(
+            this.votingInstance.startNewRound(true, [now.subn(1), 0, 0, 0, 0, 0], { from: ownerAddress }),
+            VotingErrors.InvalidPhaseDeadlines
+        );
+
+        const deadlines = [now.addn(1000), now.addn(2000), 0, now.addn(3000), 0, 0];
+        await this.votingInstance.startNewRound(true, deadlines, { from: ownerAddress });
+
+        expect(await this.votingInstance.phaseDeadlines(0)).to.be.bignumber.equal(deadlines[0]);
+        expect(await this.votingInstance.phaseDeadlines(2)).to.be.bignumber.equal(new BN(0));
+        expect(await this.votingInstance.phaseDeadlines(3)).to.be.bignumber.equal(deadlines[3]);
+    })
+
+    it ("keeps the approvals of each round", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.Approval });
+
+        async function approveInRound(approvals) {
+            await votingInstance.startProposalRegistration({ from: ownerAddress });
+            await votingInstance.registerProposal("Proposal A", { from: voter1Address });
+            await votingInstance.registerProposal("Proposal B", { from: voter1Address });
+            await votingInstance.endProposalRegistration({ from: ownerAddress });
+            await votingInstance.startVotingSession({ from: ownerAddress });
+            await votingInstance.approve(approvals, { from: voter1Address });
+            await votingInstance.endVotingSession({ from: ownerAddress });
+            await votingInstance.tallyVotes({ from: ownerAddress });
+        }
+
+        await votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+        await approveInRound([1, 2]);
+        await votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+        await approveInRound([3]);
+
+        expect((await votingInstance.getRoundChoices(1, voter1Address)).map(String)).to.deep.equal(["1", "2"]);
+        expect((await votingInstance.getRoundChoices(2, voter1Address)).map(String)).to.deep.equal(["3"]);
+        expect((await votingInstance.getApprovedProposalIds(voter1Address)).map(String)).to.deep.equal(["3"]);
+    })
+
+    it ("clears the approvals of the round for a runoff", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.Approval });
+
+        await votingInstance.setTiePolicy(TiePolicy.Runoff, { from: ownerAddress });
+        await votingInstance.registerVoters([voter1Address, voter2Address], { from: ownerAddress });
+        await votingInstance.startProposalRegistration({ from: ownerAddress });
+        await votingInstance.registerProposal("Proposal A", { from: voter1Address });
+        await votingInstance.registerProposal("Proposal B", { from: voter1Address });
+        await votingInstance.endProposalRegistration({ from: ownerAddress });
+        await votingInstance.startVotingSession({ from: ownerAddress });
+        await votingInstance.approve([1], { from: voter1Address });
+        await votingInstance.approve([2], { from: voter2Address });
+        await votingInstance.endVotingSession({ from: ownerAddress });
+        await votingInstance.tallyVotes({ from: ownerAddress });
+
+        // Only the ballots cast in the runoff are left
+        expect(await votingInstance.runoffRound()).to.be.bignumber.equal(new BN(1));
+        await votingInstance.approve([2], { from: voter1Address });
+
+        expect((await votingInstance.getRoundChoices(1, voter1Address)).map(String)).to.deep.equal(["2"]);
+        expect(await votingInstance.getRoundChoices(1, voter2Address)).to.be.empty;
+        expect(await votingInstance.getApprovedProposalIds(voter2Address)).to.be.empty;
+    })
+
+    it ("keeps the instant-runoff counts of each round", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode: BallotMode.RankedChoice });
+
+        async function rankInRound(rankings) {
+            await votingInstance.startProposalRegistration({ from: ownerAddress });
+            await votingInstance.registerProposal("Proposal A", { from: voter1Address });
+            await votingInstance.registerProposal("Proposal B", { from: voter1Address });
+            await votingInstance.registerProposal("Proposal C", { from: voter1Address });
+            await votingInstance.endProposalRegistration({ from: ownerAddress });
+            await votingInstance.startVotingSession({ from: ownerAddress });
+            for (const [voterAddress, ranking] of rankings) {
+                await votingInstance.voteRanked(ranking, { from: voterAddress });
+            }
+            await votingInstance.endVotingSession({ from: ownerAddress });
+            await votingInstance.tallyVotes({ from: ownerAddress });
+        }
+
+        async function getCounts(round) {
+            const counts = [];
+            for (let i = 0; i < await votingInstance.getInstantRunoffRoundsCount(round); i++) {
+                counts.push((await votingInstance.getInstantRunoffRound(round, i)).map(String));
+            }
+            return counts;
+        }
+
+        await votingInstance.registerVoters([voter1Address, voter2Address, voter3Address], { from: ownerAddress });
+        await rankInRound([[voter1Address, [1, 2]], [voter2Address, [2, 1]], [voter3Address, [3, 1]]]);
+        await votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+        await rankInRound([[voter1Address, [6]], [voter2Address, [6]]]);
+
+        expect(await getCounts(1)).to.deep.equal([["1", "1", "1"], ["2", "1", "0"]]);
+        expect(await getCounts(2)).to.deep.equal([["0", "0", "2"]]);
+        expect((await votingInstance.getRoundResults(1)).winningProposalIds).to.deep.equal(["1"]);
+        await expectRevert(votingInstance.getInstantRunoffRoundsCount(3), VotingErrors.UnknownRound);
+    })
+
+    it ("rebuilds the state of the current round from the events", async function () {
+        await runRound(this.votingInstance, {
+            voterAddresses: [voter1Address, voter2Address],
+            descriptions:   ["Proposal A", "Proposal B"],
+            votes:          [[voter1Address, 0], [voter2Address, 1]]
+        });
+        await this.votingInstance.startNewRound(true, noSchedule, { from: ownerAddress });
+        await this.votingInstance.registerVoter(voter3Address, { from: ownerAddress });
+        await runRound(this.votingInstance, {
+            descriptions: ["Proposal C"],
+            votes:        [[voter3Address, 0]]
+        });
+
+        const state = await replayBallotEvents(this.votingInstance);
+
+        expect(await checkBallotState(this.votingInstance, state)).to.deep.equal([]);
+        expect(state.round).to.equal("2");
+        expect(Object.keys(state.pastRounds)).to.deep.equal(["1"]);
+        expect(state.pastRounds["1"].winningProposalIds).to.deep.equal(["1", "2"]);
+        expect(Object.keys(state.proposals)).to.deep.equal(["3"]);
+    })
+})
@@ -0,0 +1,292 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the phase deadlines of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN, time } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const { WorkflowStatus, TiePolicy, deployBallot } = require('./helpers');
+const { prepareSecretVote } = require('../lib/voteCommitments');
+
+contract('Voting (schedule)', function(accounts) {
+
+    const ownerAddress  = accounts[0];
+    const voter1Address = accounts[1];
+    const voter2Address = accounts[2];
+    const anyoneAddress = accounts[5];
+
+    // Instantiate a Voting contract whose phases each last 1 day
+    beforeEach(async function () {
+        const now = await time.latest();
+
+        this.deadlines = [1, 2, 3, 4, 5, 6].map(days => now.add(time.duration.days(days)));
+        this.votingInstance = await deployBallot({ from: ownerAddress, phaseDeadlines: this.deadlines });
+
+        await this.votingInstance.registerVoters([voter1Address, voter2Address], { from: ownerAddress });
+    })
+
+    describe("On deployment", function() {
+
+        it ("has the given deadlines", async function () {
+            for (let i = 0; i < 6; i++) {
+                expect(await this.votingInstance.phaseDeadlines.call(i))
+                    .to.be.bignumber
+                    .equal(this.deadlines[i]);
+            }
+        })
+
+        it ("can skip the deadline of a phase", async function () {
+            const now = await time.latest();
+
+            await deployBallot({
+                from:           ownerAddress,
+                phaseDeadlines: [0, now.add(time.duration.days(1)), 0, now.add(time.duration.days(2)), 0, 0]
+            });
+        })
+
+        it ("cannot have deadlines out of order", async function () {
+            const now = await time.latest();
+
+            await expectRevert(
+                deployBallot({
+                    from:           ownerAddress,
+                    phaseDeadlines: [now.add(time.duration.days(2)), now.add(time.duration.days(1)), 0, 0, 0, 0]
+                }),
+                VotingErrors.InvalidPhaseDeadlines
+            );
+        })
+
+        it ("cannot have a deadline in the past", async function () {
+            const now = await time.latest();
+
+            await expectRevert(
+                deployBallot({
+                    from:           ownerAddress,
+                    phaseDeadlines: [now.sub(time.duration.days(1)), 0, 0, 0, 0, 0]
+                }),
+                VotingErrors.InvalidPhaseDeadlines
+            );
+        })
+    })
+
+    describe("Before a deadline", function() {
+
+        it ("cannot tally the votes if not chair", async function () {
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+            await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+            await this.votingInstance.endVotingSession({ from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.tallyVotes({ from: anyoneAddress }),
+                VotingErrors.NotChair
+            );
+        })
+
+        it ("cannot advance the workflow if not chair", async function () {
+            await expectRevert(
+                this.votingInstance.startProposalRegistration({ from: anyoneAddress }),
+                VotingErrors.NotChair
+            );
+        })
+
+        it ("can still advance the workflow if chair", async function () {
+            const result = await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+
+            expectEvent(result, "WorkflowStatusChange", {
+                _previousState: WorkflowStatus.RegisteringVoters,
+                _newState:      WorkflowStatus.ProposalsRegistrationStarted
+            });
+        })
+    })
+
+    describe("After a deadline", function() {
+
+        it ("lets anyone advance the workflow phase after phase", async function () {
+            const transitions = [
+                ["startProposalRegistration", WorkflowStatus.ProposalsRegistrationStarted],
+                ["endProposalRegistration",   WorkflowStatus.ProposalsRegistrationEnded],
+                ["startVotingSession",        WorkflowStatus.VotingSessionStarted],
+                ["endVotingSession",          WorkflowStatus.VotingSessionEnded],
+                ["tallyVotes",                WorkflowStatus.VotesTallied]
+            ];
+
+            for (let i = 0; i < transitions.length; i++) {
+                const [transition, newState] = transitions[i];
+
+                await time.increaseTo(this.deadlines[i]);
+                await this.votingInstance[transition]({ from: anyoneAddress });
+
+                expect(await this.votingInstance.getWorkflowStatus())
+                    .to.be.bignumber
+                    .equal(newState);
+            }
+        })
+
+        it ("cannot register a voter once RegisteringVoters is over", async function () {
+            await time.increaseTo(this.deadlines[0]);
+
+            await expectRevert(
+                this.votingInstance.registerVoter(accounts[3], { from: ownerAddress }),
+                VotingErrors.PhaseDeadlinePassed
+            );
+        })
+
+        it ("cannot setVotersMerkleRoot once RegisteringVoters is over", async function () {
+            await time.increaseTo(this.deadlines[0]);
+
+            await expectRevert(
+                this.votingInstance.setVotersMerkleRoot(web3.utils.keccak256("root"), { from: ownerAddress }),
+                VotingErrors.PhaseDeadlinePassed
+            );
+        })
+
+        it ("cannot registerProposal once ProposalsRegistrationStarted is over", async function () {
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+
+            await time.increaseTo(this.deadlines[1]);
+
+            await expectRevert(
+                this.votingInstance.registerProposal("Proposal 2", { from: voter2Address }),
+                VotingErrors.PhaseDeadlinePassed
+            );
+        })
+
+        it ("cannot vote once VotingSessionStarted is over, even if still in that state", async function () {
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+            await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+            await this.votingInstance.vote(new BN(1), { from: voter1Address });
+
+            await time.increaseTo(this.deadlines[3]);
+
+            expect(await this.votingInstance.getWorkflowStatus())
+                .to.be.bignumber
+                .equal(WorkflowStatus.VotingSessionStarted);
+            await expectRevert(
+                this.votingInstance.vote(new BN(1), { from: voter2Address }),
+                VotingErrors.PhaseDeadlinePassed
+            );
+            await expectRevert(
+                this.votingInstance.delegate(voter1Address, { from: voter2Address }),
+                VotingErrors.PhaseDeadlinePassed
+            );
+
+            await this.votingInstance.endVotingSession({ from: anyoneAddress });
+            await this.votingInstance.tallyVotes({ from: ownerAddress });
+
+            expect(await this.votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(1));
+        })
+
+        it ("cannot revealVote once RevealingVotes is over", async function () {
+            await this.votingInstance.setSecretBallot(true, { from: ownerAddress });
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+            await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            const secretVote = prepareSecretVote(new BN(1), voter1Address);
+            await this.votingInstance.commitVote(secretVote.commitment, { from: voter1Address });
+            await this.votingInstance.endVotingSession({ from: ownerAddress });
+            await this.votingInstance.startVotesReveal({ from: ownerAddress });
+
+            await time.increaseTo(this.deadlines[5]);
+
+            await expectRevert(
+                this.votingInstance.revealVote(new BN(1), secretVote.salt, { from: voter1Address }),
+                VotingErrors.PhaseDeadlinePassed
+            );
+        })
+    })
+
+    describe("Without any chair", function() {
+
+        it ("gets a secret ballot tallied once the deadlines have passed", async function () {
+            // The chair only sets the ballot up, then disappears
+            await this.votingInstance.setSecretBallot(true, { from: ownerAddress });
+
+            await time.increaseTo(this.deadlines[0]);
+            await this.votingInstance.startProposalRegistration({ from: anyoneAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+            await this.votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+
+            await time.increaseTo(this.deadlines[1]);
+            await this.votingInstance.endProposalRegistration({ from: anyoneAddress });
+
+            await time.increaseTo(this.deadlines[2]);
+            await this.votingInstance.startVotingSession({ from: anyoneAddress });
+            const secretVote1 = prepareSecretVote(new BN(2), voter1Address);
+            const secretVote2 = prepareSecretVote(new BN(2), voter2Address);
+            await this.votingInstance.commitVote(secretVote1.commitment, { from: voter1Address });
+            await this.votingInstance.commitVote(secretVote2.commitment, { from: voter2Address });
+
+            await time.increaseTo(this.deadlines[3]);
+            await this.votingInstance.endVotingSession({ from: anyoneAddress });
+            await expectRevert(
+                this.votingInstance.startVotesReveal({ from: anyoneAddress }),
+                VotingErrors.NotChair
+            );
+
+            await time.increaseTo(this.deadlines[4]);
+            await this.votingInstance.startVotesReveal({ from: anyoneAddress });
+            await this.votingInstance.revealVote(new BN(2), secretVote1.salt, { from: voter1Address });
+            await this.votingInstance.revealVote(new BN(2), secretVote2.salt, { from: voter2Address });
+            await expectRevert(
+                this.votingInstance.tallyVotes({ from: anyoneAddress }),
+                VotingErrors.NotChair
+            );
+
+            await time.increaseTo(this.deadlines[5]);
+            const result = await this.votingInstance.tallyVotes({ from: anyoneAddress });
+
+            expectEvent(result, "WorkflowStatusChange", {
+                _previousState: WorkflowStatus.RevealingVotes,
+                _newState:      WorkflowStatus.VotesTallied
+            });
+            expect(await this.votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+    })
+
+    describe("With a runoff", function() {
+
+        it ("gives the runoff a voting session as long as the first one", async function () {
+            await this.votingInstance.setTiePolicy(TiePolicy.Runoff, { from: ownerAddress });
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+            await this.votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+            await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+            const session      = await this.votingInstance.startVotingSession({ from: ownerAddress });
+            const sessionStart = new BN((await web3.eth.getBlock(session.receipt.blockNumber)).timestamp);
+            await this.votingInstance.vote(new BN(1), { from: voter1Address });
+            await this.votingInstance.vote(new BN(2), { from: voter2Address });
+
+            await time.increaseTo(this.deadlines[3]);
+            await this.votingInstance.endVotingSession({ from: anyoneAddress });
+            const result      = await this.votingInstance.tallyVotes({ from: ownerAddress });
+            const runoffStart = new BN((await web3.eth.getBlock(result.receipt.blockNumber)).timestamp);
+
+            expectEvent(result, "RunoffStarted", { _runoffRound: new BN(1) });
+
+            // The deadlines of the voting session and the following phases are pushed back
+            const delay = runoffStart.sub(sessionStart);
+            for (let i = 3; i < 6; i++) {
+                expect(await this.votingInstance.phaseDeadlines.call(i))
+                    .to.be.bignumber
+                    .equal(this.deadlines[i].add(delay));
+            }
+
+            // Voters may vote again, and only the chair may end the runoff before its deadline
+            await this.votingInstance.vote(new BN(1), { from: voter2Address });
+            await expectRevert(
+                this.votingInstance.endVotingSession({ from: anyoneAddress }),
+                VotingErrors.NotChair
+            );
+        })
+    })
+})
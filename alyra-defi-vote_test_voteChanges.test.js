@@ -0,0 +1,234 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the vote changes and revocations of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const { replayBallotEvents, checkBallotState } = require('../lib/ballotIndexer');
+const { BallotMode, ballotId, deployBallot, startVotingSession } = require('./helpers');
+
+contract('Voting (vote changes)', function(accounts) {
+
+    const ownerAddress   = accounts[0];
+    const voterAddresses = accounts.slice(1, 6);
+    const voter1Address  = voterAddresses[0];
+    const voter2Address  = voterAddresses[1];
+    const voter3Address  = voterAddresses[2];
+
+    // Deploy a ballot with 3 proposals and all of `voterAddresses` registered,
+    // `configure` being called while voters are registered, then start its voting session
+    // ~~~~~~~~~~~~
+    async function startBallot(ballotMode, configure = async () => {}) {
+        const votingInstance = await deployBallot({ from: ownerAddress, ballotMode });
+
+        await configure(votingInstance);
+        await startVotingSession(votingInstance, { from: ownerAddress, voterAddresses });
+
+        return votingInstance;
+    }
+
+    // Read the vote counts of the 3 proposals as numbers
+    // ~~~~~~~~~~~~
+    async function getVoteCounts(votingInstance) {
+        const voteCounts = [];
+
+        for (let id = 1; id <= 3; id++) {
+            voteCounts.push((await votingInstance.getProposal(id))[1].toNumber());
+        }
+        return voteCounts;
+    }
+
+    it ("allows vote changes by default", async function () {
+        const votingInstance = await deployBallot({ from: ownerAddress });
+
+        expect(await votingInstance.voteChangesAllowed()).to.be.true;
+    })
+
+    it ("can only turn vote changes off while registering voters", async function () {
+        const votingInstance = await startBallot(BallotMode.Plurality);
+
+        await expectRevert(
+            votingInstance.setVoteChangesAllowed(false, { from: ownerAddress }),
+            VotingErrors.CannotChangeVoteChangesSetting
+        );
+    })
+
+    describe("In a plurality ballot", function() {
+
+        beforeEach(async function () {
+            this.votingInstance = await startBallot(BallotMode.Plurality);
+            await this.votingInstance.vote(1, { from: voter1Address });
+        })
+
+        it ("moves a vote to another proposal", async function () {
+            const result = await this.votingInstance.changeVote(2, { from: voter1Address });
+
+            expectEvent(result, "VoteChanged", {
+                _ballotId:           ballotId,
+                _voterAddress:       voter1Address,
+                _proposalId:         new BN(2),
+                _previousProposalId: new BN(1),
+                _weight:             new BN(1)
+            });
+            expect(await getVoteCounts(this.votingInstance)).to.deep.equal([0, 1, 0]);
+            expect((await this.votingInstance.voters(voter1Address)).votedProposalId).to.be.bignumber.equal(new BN(2));
+            expect(await this.votingInstance.votesCastCount()).to.be.bignumber.equal(new BN(1));
+        })
+
+        it ("revokes a vote, which may then be cast again", async function () {
+            const result = await this.votingInstance.revokeVote({ from: voter1Address });
+
+            expectEvent(result, "VoteRevoked", { _ballotId: ballotId, _voterAddress: voter1Address, _weight: new BN(1) });
+            expect(result.logs[0].args._proposalIds.map(String)).to.deep.equal(["1"]);
+            expect(await getVoteCounts(this.votingInstance)).to.deep.equal([0, 0, 0]);
+            expect(await this.votingInstance.votesCastCount()).to.be.bignumber.equal(new BN(0));
+
+            const voter = await this.votingInstance.voters(voter1Address);
+            expect(voter.hasVoted).to.be.false;
+            expect(voter.votedProposalId).to.be.bignumber.equal(new BN(0));
+
+            await this.votingInstance.vote(3, { from: voter1Address });
+            expect(await getVoteCounts(this.votingInstance)).to.deep.equal([0, 0, 1]);
+        })
+
+        it ("keeps the counts consistent through repeated changes", async function () {
+            // Each step: [voter index, "vote" | "change" | "revoke", proposal id]
+            const steps = [
+                [1, "vote", 1], [2, "vote", 2], [0, "change", 3], [1, "change", 3],
+                [2, "revoke"], [0, "change", 1], [2, "vote", 3], [1, "revoke"], [1, "vote", 1],
+                [3, "vote", 2], [3, "change", 3], [0, "revoke"], [0, "vote", 2], [2, "change", 2]
+            ];
+            const votes = { [voter1Address]: 1 };
+
+            for (const [index, action, proposalId] of steps) {
+                const from = voterAddresses[index];
+
+                if (action === "revoke") {
+                    await this.votingInstance.revokeVote({ from });
+                    delete votes[from];
+                } else {
+                    await this.votingInstance[action === "vote" ? "vote" : "changeVote"](proposalId, { from });
+                    votes[from] = proposalId;
+                }
+
+                const expected = [0, 0, 0];
+                Object.values(votes).forEach(id => expected[id - 1]++);
+                expect(await getVoteCounts(this.votingInstance)).to.deep.equal(expected);
+                expect(await this.votingInstance.votesCastCount())
+                    .to.be.bignumber.equal(new BN(Object.keys(votes).length));
+            }
+
+            const state = await replayBallotEvents(this.votingInstance);
+            expect(await checkBallotState(this.votingInstance, state)).to.deep.equal([]);
+
+            await this.votingInstance.endVotingSession({ from: ownerAddress });
+            await this.votingInstance.tallyVotes({ from: ownerAddress });
+            expect(await this.votingInstance.winningProposalId()).to.be.bignumber.equal(new BN(2));
+        })
+
+        it ("moves the weight delegated to a voter along with their vote", async function () {
+            await this.votingInstance.delegate(voter1Address, { from: voter2Address });
+            expect(await getVoteCounts(this.votingInstance)).to.deep.equal([2, 0, 0]);
+
+            await this.votingInstance.changeVote(3, { from: voter1Address });
+            expect(await getVoteCounts(this.votingInstance)).to.deep.equal([0, 0, 2]);
+
+            await this.votingInstance.revokeVote({ from: voter1Address });
+            expect(await getVoteCounts(this.votingInstance)).to.deep.equal([0, 0, 0]);
+            expect(await this.votingInstance.votesCastCount()).to.be.bignumber.equal(new BN(0));
+
+            // A delegation to a voter who revoked their vote waits for their next vote
+            await this.votingInstance.delegate(voter1Address, { from: voter3Address });
+            expect(await getVoteCounts(this.votingInstance)).to.deep.equal([0, 0, 0]);
+
+            await this.votingInstance.vote(2, { from: voter1Address });
+            expect(await getVoteCounts(this.votingInstance)).to.deep.equal([0, 3, 0]);
+            expect(await this.votingInstance.votesCastCount()).to.be.bignumber.equal(new BN(3));
+        })
+
+        it ("cannot change a delegated vote", async function () {
+            await this.votingInstance.delegate(voter1Address, { from: voter2Address });
+
+            await expectRevert(this.votingInstance.changeVote(2, { from: voter2Address }), VotingErrors.NoVoteToChange);
+            await expectRevert(this.votingInstance.revokeVote({ from: voter2Address }), VotingErrors.NoVoteToChange);
+        })
+
+        it ("cannot change a vote not cast", async function () {
+            await expectRevert(this.votingInstance.changeVote(2, { from: voter2Address }), VotingErrors.NoVoteToChange);
+            await expectRevert(this.votingInstance.revokeVote({ from: voter2Address }), VotingErrors.NoVoteToChange);
+            await expectRevert(this.votingInstance.revokeVote({ from: accounts[9] }), VotingErrors.NoVoteToChange);
+        })
+
+        it ("cannot change a vote for the same or an unknown proposal", async function () {
+            await expectRevert(this.votingInstance.changeVote(1, { from: voter1Address }), VotingErrors.AlreadyVotedForProposal);
+            await expectRevert(this.votingInstance.changeVote(4, { from: voter1Address }), VotingErrors.UnknownProposal);
+        })
+
+        it ("cannot change a vote once the voting session has ended", async function () {
+            await this.votingInstance.endVotingSession({ from: ownerAddress });
+
+            await expectRevert(this.votingInstance.changeVote(2, { from: voter1Address }), VotingErrors.CannotChangeVote);
+            await expectRevert(this.votingInstance.revokeVote({ from: voter1Address }), VotingErrors.CannotChangeVote);
+        })
+    })
+
+    it ("cannot change a vote when vote changes are turned off", async function () {
+        const votingInstance = await startBallot(
+            BallotMode.Plurality,
+            votingInstance => votingInstance.setVoteChangesAllowed(false, { from: ownerAddress })
+        );
+        await votingInstance.vote(1, { from: voter1Address });
+
+        await expectRevert(votingInstance.changeVote(2, { from: voter1Address }), VotingErrors.VoteChangesNotAllowed);
+        await expectRevert(votingInstance.revokeVote({ from: voter1Address }), VotingErrors.VoteChangesNotAllowed);
+        await expectRevert(votingInstance.vote(2, { from: voter1Address }), VotingErrors.AlreadyVoted);
+    })
+
+    it ("cannot change a secret vote", async function () {
+        const votingInstance = await startBallot(
+            BallotMode.Plurality,
+            votingInstance => votingInstance.setSecretBallot(true, { from: ownerAddress })
+        );
+        await votingInstance.commitVote(web3.utils.keccak256("commitment"), { from: voter1Address });
+
+        await expectRevert(votingInstance.revokeVote({ from: voter1Address }), VotingErrors.SecretVoteChange);
+    })
+
+    it ("revokes an approval from every approved proposal", async function () {
+        const votingInstance = await startBallot(BallotMode.Approval);
+        await votingInstance.approve([1, 3], { from: voter1Address });
+        await votingInstance.delegate(voter1Address, { from: voter2Address });
+        expect(await getVoteCounts(votingInstance)).to.deep.equal([2, 0, 2]);
+
+        await expectRevert(votingInstance.changeVote(2, { from: voter1Address }), VotingErrors.NotPluralityBallot);
+
+        const result = await votingInstance.revokeVote({ from: voter1Address });
+        expect(result.logs[0].args._proposalIds.map(String)).to.deep.equal(["1", "3"]);
+        expect(await getVoteCounts(votingInstance)).to.deep.equal([0, 0, 0]);
+        expect(await votingInstance.getApprovedProposalIds(voter1Address)).to.be.empty;
+
+        await votingInstance.approve([2], { from: voter1Address });
+        expect(await getVoteCounts(votingInstance)).to.deep.equal([0, 2, 0]);
+        expect(await votingInstance.votesCastCount()).to.be.bignumber.equal(new BN(2));
+
+        const state = await replayBallotEvents(votingInstance);
+        expect(await checkBallotState(votingInstance, state)).to.deep.equal([]);
+    })
+
+    it ("revokes a ranking, which no longer counts in the instant-runoff tally", async function () {
+        const votingInstance = await startBallot(BallotMode.RankedChoice);
+        await votingInstance.voteRanked([1, 2], { from: voter1Address });
+        await votingInstance.voteRanked([1, 3], { from: voter2Address });
+        await votingInstance.voteRanked([2, 3], { from: voter3Address });
+
+        await votingInstance.revokeVote({ from: voter2Address });
+        expect(await getVoteCounts(votingInstance)).to.deep.equal([1, 1, 0]);
+        expect(await votingInstance.getRankedChoices(voter2Address)).to.be.empty;
+
+        await votingInstance.voteRanked([2], { from: voter2Address });
+        await votingInstance.endVotingSession({ from: ownerAddress });
+        await votingInstance.tallyVotes({ from: ownerAddress });
+
+        expect(await votingInstance.winningProposalId()).to.be.bignumber.equal(new BN(2));
+    })
+})
@@ -0,0 +1,92 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the voter batches helper
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { BN } = require('@openzeppelin/test-helpers');
+const { expect }        = require('chai');
+const { DEFAULT_BATCH_SIZE, planVoterBatches, registerVoterBatches } = require('../lib/voterBatches');
+const { deployBallot } = require('./helpers');
+
+contract('voterBatches', function(accounts) {
+
+    const ownerAddress = accounts[0];
+
+    describe("planVoterBatches", function() {
+
+        it ("splits addresses into batches of the given size", function () {
+            const csv  = accounts.slice(1, 8).join(",");
+            const plan = planVoterBatches(csv, { batchSize: 3 });
+
+            expect(plan.batches).to.deep.equal([
+                accounts.slice(1, 4),
+                accounts.slice(4, 7),
+                accounts.slice(7, 8)
+            ]);
+        })
+
+        it ("skips duplicates, invalid and skipped addresses", function () {
+            const csv = [
+                "address",
+                accounts[1],
+                accounts[2].toLowerCase() + ";" + accounts[1].toLowerCase(),
+                "0x1234",
+                "",
+                accounts[3]
+            ].join("\n");
+
+            const plan = planVoterBatches(csv, { skip: [accounts[3]] });
+
+            expect(plan.batches).to.deep.equal([[accounts[1], accounts[2].toLowerCase()]]);
+            expect(plan.duplicates).to.deep.equal([accounts[1].toLowerCase()]);
+            expect(plan.skipped).to.deep.equal([accounts[3]]);
+            expect(plan.invalid).to.deep.equal(["address", "0x1234"]);
+        })
+
+        it ("rejects an invalid batch size", function () {
+            expect(() => planVoterBatches(accounts[1], { batchSize: 0 }))
+                .to.throw("Invalid batch size");
+        })
+    })
+
+    describe("registerVoterBatches", function() {
+
+        beforeEach(async function () {
+            this.votingInstance = await deployBallot({ from: ownerAddress });
+        })
+
+        it ("registers every new address and reports what it did", async function () {
+            await this.votingInstance.registerVoter(accounts[1], { from: ownerAddress });
+
+            const csv    = [accounts[1], accounts[2], accounts[3], accounts[2], "nope", accounts[4]].join(",");
+            const report = await registerVoterBatches(
+                this.votingInstance,
+                csv,
+                { from: ownerAddress, batchSize: 2 }
+            );
+
+            expect(report.registered).to.deep.equal([accounts[2], accounts[3], accounts[4]]);
+            expect(report.alreadyRegistered).to.deep.equal([accounts[1]]);
+            expect(report.duplicates).to.deep.equal([accounts[2]]);
+            expect(report.invalid).to.deep.equal(["nope"]);
+            expect(report.transactions).to.have.lengthOf(2);
+
+            for (const address of accounts.slice(1, 5)) {
+                expect((await this.votingInstance.voters.call(address)).isRegistered)
+                    .to.be.true;
+            }
+            expect(await this.votingInstance.registeredVotersCount.call())
+                .to.be.bignumber
+                .equal(new BN(4));
+        })
+
+        it ("keeps a full batch under 6M gas", async function () {
+            const addresses = [];
+            for (let i = 0; i < DEFAULT_BATCH_SIZE; i++) {
+                addresses.push(web3.utils.toChecksumAddress(web3.utils.randomHex(20)));
+            }
+
+            const result = await this.votingInstance.registerVoters(addresses, { from: ownerAddress });
+
+            expect(result.receipt.gasUsed).to.be.below(6000000);
+        })
+    })
+})
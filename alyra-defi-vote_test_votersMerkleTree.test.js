@@ -0,0 +1,52 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the voters Merkle tree builder
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expect } = require('chai');
+const {
+    voterLeaf,
+    buildVotersMerkleTree,
+    getVoterProof,
+    verifyVoterProof
+} = require('../lib/votersMerkleTree');
+
+contract('votersMerkleTree', function(accounts) {
+
+    it ("builds a valid proof for every address", function () {
+        // An odd number of addresses, so that a node has no sibling
+        const addresses = accounts.slice(1, 6);
+        const tree      = buildVotersMerkleTree(addresses);
+
+        for (const address of addresses) {
+            expect(verifyVoterProof(tree.root, address, getVoterProof(tree, address)))
+                .to.be.true;
+        }
+    })
+
+    it ("rejects the proof of another address", function () {
+        const tree = buildVotersMerkleTree(accounts.slice(1, 5));
+
+        expect(verifyVoterProof(tree.root, accounts[6], getVoterProof(tree, accounts[1])))
+            .to.be.false;
+        expect(getVoterProof(tree, accounts[6]))
+            .to.be.undefined;
+    })
+
+    it ("uses the leaf as root for a single address", function () {
+        const tree = buildVotersMerkleTree([accounts[1]]);
+
+        expect(tree.root).to.equal(voterLeaf(accounts[1]));
+        expect(getVoterProof(tree, accounts[1])).to.be.empty;
+    })
+
+    it ("ignores duplicate addresses", function () {
+        const tree = buildVotersMerkleTree([accounts[1], accounts[2], accounts[1].toLowerCase()]);
+
+        expect(Object.keys(tree.proofs)).to.have.lengthOf(2);
+        expect(tree.root).to.equal(buildVotersMerkleTree([accounts[1], accounts[2]]).root);
+    })
+
+    it ("cannot build a tree without any address", function () {
+        expect(() => buildVotersMerkleTree([]))
+            .to.throw("without any address");
+    })
+})
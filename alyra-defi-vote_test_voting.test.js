@@ -1,20 +1,16 @@
 //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
 // Test the ERC20Token smart-contract
 //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
-const { expectEvent, expectRevert, BN } = require('@openzeppelin/test-helpers');
+const { expectEvent, expectRevert, BN, constants } = require('@openzeppelin/test-helpers');
 const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const { buildVotersMerkleTree, getVoterProof } = require('../lib/votersMerkleTree');
+const { computeVoteCommitment, prepareSecretVote } = require('../lib/voteCommitments');
 
-const Voting = artifacts.require('Voting');
+const { WorkflowStatus, TiePolicy, TallyOutcome, ballotId, deployBallot, startVotingSession } = require('./helpers');
 
-// MUST be kept in sync with Voting.WorkflowStatus
-const WorkflowStatus = {
-    RegisteringVoters:            new BN(0),
-    ProposalsRegistrationStarted: new BN(1),
-    ProposalsRegistrationEnded:   new BN(2),
-    VotingSessionStarted:         new BN(3),
-    VotingSessionEnded:           new BN(4),
-    VotesTallied:                 new BN(5)
-};
+const Voting    = artifacts.require('Voting');
+const ERC20Mock = artifacts.require('ERC20Mock');
 
 contract('Voting', function(accounts) {
 
@@ -26,28 +22,54 @@ contract('Voting', function(accounts) {
 
     // Instantiate a new Voting contract before running each test in this suite
     beforeEach(async function () {
-        this.votingInstance = await Voting.new( {from: ownerAddress});
+        this.votingInstance = await deployBallot({ from: ownerAddress });
     })
     
 
-    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
-    // RegisteringVoters
-    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
-    describe("When RegisteringVoters", function() {
+    describe("On deployment", function() {
+
+        it ("has the given quorum", async function () {
+            const votingInstance = await deployBallot({ from: ownerAddress, quorumPercentage: 50 });
+
+            expect(await votingInstance.quorumPercentage.call())
+                .to.be.bignumber
+                .equal(new BN(50));
+        })
 
-        it ("cannot register a voter if not owner", async function() {
-            const notOwnerAddress = voter2Address;
+        it ("has the id its factory gave it", async function () {
+            expect(await this.votingInstance.ballotId.call())
+                .to.be.bignumber
+                .equal(ballotId);
+        })
 
+        it ("cannot have a quorum above 100%", async function () {
             await expectRevert(
-                this.votingInstance.registerVoter(
-                    voter1Address,
-                    { from: notOwnerAddress }
-                ),
-                "Ownable: caller is not the owner"
+                deployBallot({ from: ownerAddress, quorumPercentage: 101 }),
+                VotingErrors.InvalidQuorumPercentage
+            );
+        })
+
+        it ("cannot run without its ballot modes", async function () {
+            await expectRevert(
+                Voting.new(constants.ZERO_ADDRESS, { from: ownerAddress }),
+                VotingErrors.InvalidVotingModes
+            );
+        })
+
+        it ("cannot be initialized twice", async function () {
+            await expectRevert(
+                this.votingInstance.initialize(voter1Address, new BN(0), constants.ZERO_ADDRESS, new BN(0), [0, 0, 0, 0, 0, 0], new BN(0), { from: voter1Address }),
+                VotingErrors.AlreadyInitialized
             );
         })
+    })
+
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    // RegisteringVoters
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    describe("When RegisteringVoters", function() {
 
-        it ("can register a voter if owner ", async function() {
+        it ("can register a voter if registrar", async function() {
             expect((await this.votingInstance.voters.call(voter1Address)).isRegistered)
                 .to.be.false;
 
@@ -61,7 +83,68 @@ contract('Voting', function(accounts) {
             expectEvent(result, "VoterRegistered", { _voterAddress: voter1Address });
         })
 
-        it ("can startProposalRegistration if owner", async function() {
+        it ("can registerVoters if registrar", async function () {
+            const result = await this.votingInstance.registerVoters(
+                [voter1Address, voter2Address],
+                { from: ownerAddress }
+            );
+
+            expectEvent(result, "VoterRegistered", { _voterAddress: voter1Address });
+            expectEvent(result, "VoterRegistered", { _voterAddress: voter2Address });
+            expect((await this.votingInstance.voters.call(voter2Address)).isRegistered)
+                .to.be.true;
+            expect(await this.votingInstance.registeredVotersCount.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+
+        it ("can unregisterVoter if registrar", async function () {
+            await this.votingInstance.registerVoters(
+                [voter1Address, voter2Address, voter3Address],
+                { from: ownerAddress }
+            );
+
+            const result = await this.votingInstance.unregisterVoter(
+                voter1Address,
+                { from: ownerAddress }
+            );
+
+            expectEvent(result, "VoterUnregistered", { _voterAddress: voter1Address });
+            expect((await this.votingInstance.voters.call(voter1Address)).isRegistered)
+                .to.be.false;
+            expect(await this.votingInstance.registeredVotersCount.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+
+            // The remaining voters can still be unregistered then registered again
+            await this.votingInstance.unregisterVoter(voter3Address, { from: ownerAddress });
+            await this.votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+            expect(await this.votingInstance.registeredVotersCount.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+
+        it ("cannot unregisterVoter a not registered voter", async function () {
+            await expectRevert(
+                this.votingInstance.unregisterVoter(
+                    notVoter4Address,
+                    { from: ownerAddress }
+                ),
+                VotingErrors.NotRegisteredVoter
+            );
+        })
+
+        it ("counts each registered voter once", async function () {
+            await this.votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+            await this.votingInstance.registerVoter(voter2Address, { from: ownerAddress });
+            await this.votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+
+            expect(await this.votingInstance.registeredVotersCount.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+
+        it ("can startProposalRegistration if chair", async function() {
             await this.votingInstance.registerVoter(
                 voter1Address,
                 { from: ownerAddress }
@@ -83,18 +166,6 @@ contract('Voting', function(accounts) {
                     _newState:      WorkflowStatus.ProposalsRegistrationStarted
                 }
             );
-            expectEvent(result, "ProposalsRegistrationStarted");
-        })
-
-        it ("cannot startProposalRegistration if not owner", async function() {
-            const notOwnerAddress = voter2Address;
-
-            await expectRevert(
-                this.votingInstance.startProposalRegistration(
-                    { from: notOwnerAddress }
-                ),
-                "Ownable: caller is not the owner"
-            );
         })
 
         it ("cannot registerProposal", async function () {
@@ -103,7 +174,7 @@ contract('Voting', function(accounts) {
                     "Proposal description",
                     { from: voter1Address }
                 ),
-                "Cannot register a proposal at this stage"
+                VotingErrors.CannotRegisterProposal
             );
         })
 
@@ -112,7 +183,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.endProposalRegistration(
                     { from: ownerAddress }
                 ),
-                "Cannot end proposal registration at this stage"
+                VotingErrors.CannotEndProposalsRegistration
             );
         })
 
@@ -121,14 +192,14 @@ contract('Voting', function(accounts) {
                 this.votingInstance.startVotingSession(
                     { from: ownerAddress }
                 ),
-                "Cannot start the voting session at this stage"
+                VotingErrors.CannotStartVotingSession
             );
         })
 
         it ("cannot vote", async function () {
             await expectRevert(
                 this.votingInstance.vote( 1, { from: ownerAddress }),
-                "Cannot vote at this stage"
+                VotingErrors.CannotVote
             );
         })
 
@@ -137,15 +208,33 @@ contract('Voting', function(accounts) {
                 this.votingInstance.endVotingSession(
                     { from: ownerAddress }
                 ),
-                "Cannot end the voting session at this stage"
+                VotingErrors.CannotEndVotingSession
             );
         })
 
         it ("cannot tallyVotes", async function () {
             await expectRevert(
                 this.votingInstance.tallyVotes( { from: ownerAddress }),
-                "Cannot tally votes at this stage"
+                VotingErrors.CannotTallyVotes
+            );
+        })
+
+        it ("can setTiePolicy if chair", async function () {
+            const result = await this.votingInstance.setTiePolicy(
+                TiePolicy.Runoff,
+                { from: ownerAddress }
             );
+
+            expectEvent(result, "TiePolicyChanged", { _tiePolicy: TiePolicy.Runoff });
+            expect(await this.votingInstance.tiePolicy.call())
+                .to.be.bignumber
+                .equal(TiePolicy.Runoff);
+        })
+
+        it ("is the initial workflow status", async function () {
+            expect(await this.votingInstance.getWorkflowStatus())
+                .to.be.bignumber
+                .equal(WorkflowStatus.RegisteringVoters);
         })
 
         it ("has no winningProposal yet", async function () {
@@ -173,7 +262,53 @@ contract('Voting', function(accounts) {
                     voter1Address,
                     { from: ownerAddress }
                 ),
-                "Cannot register voters at this stage"
+                VotingErrors.CannotRegisterVoters
+            );
+        })
+
+        it ("cannot registerVoters", async function () {
+            await this.votingInstance.startProposalRegistration(
+                { from: ownerAddress }
+            );
+
+            await expectRevert(
+                this.votingInstance.registerVoters(
+                    [voter1Address],
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotRegisterVoters
+            );
+        })
+
+        it ("cannot unregisterVoter", async function () {
+            await this.votingInstance.registerVoter(
+                voter1Address,
+                { from: ownerAddress }
+            );
+            await this.votingInstance.startProposalRegistration(
+                { from: ownerAddress }
+            );
+
+            await expectRevert(
+                this.votingInstance.unregisterVoter(
+                    voter1Address,
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotUnregisterVoters
+            );
+        })
+
+        it ("cannot setTiePolicy", async function () {
+            await this.votingInstance.startProposalRegistration(
+                { from: ownerAddress }
+            );
+
+            await expectRevert(
+                this.votingInstance.setTiePolicy(
+                    TiePolicy.ChairDecides,
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotChangeTiePolicy
             );
         })
 
@@ -186,7 +321,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.startProposalRegistration(
                     { from: ownerAddress }
                 ),
-                "Cannot open proposals registration at this stage"
+                VotingErrors.CannotStartProposalsRegistration
             );
         })
 
@@ -252,7 +387,7 @@ contract('Voting', function(accounts) {
             ;
         })
 
-        it ("can endProposalRegistration if owner", async function () {
+        it ("can endProposalRegistration if chair", async function () {
             await this.votingInstance.registerVoter(
                 voter1Address,
                 { from: ownerAddress }
@@ -278,30 +413,6 @@ contract('Voting', function(accounts) {
                     _newState:      WorkflowStatus.ProposalsRegistrationEnded
                 }
             );
-            expectEvent(result, "ProposalsRegistrationEnded");
-        })
-
-        it ("cannot endProposalRegistration if not owner", async function () {
-            await this.votingInstance.registerVoter(
-                voter1Address,
-                { from: ownerAddress }
-            );
-            await this.votingInstance.registerVoter(
-                voter2Address,
-                { from: ownerAddress }
-            );
-
-            await this.votingInstance.startProposalRegistration(
-                { from: ownerAddress }
-            );
-
-            const notOwner = voter3Address;
-            await expectRevert(
-                this.votingInstance.endProposalRegistration(
-                    { from:  notOwner }
-                ),
-                "Ownable: caller is not the owner"
-            );
         })
 
         it ("cannot startVotingSession", async function () {
@@ -309,14 +420,14 @@ contract('Voting', function(accounts) {
                 this.votingInstance.startVotingSession(
                     { from: ownerAddress }
                 ),
-                "Cannot start the voting session at this stage"
+                VotingErrors.CannotStartVotingSession
             );
         })
 
         it ("cannot vote", async function () {
             await expectRevert(
                 this.votingInstance.vote( 1, { from: ownerAddress }),
-                "Cannot vote at this stage"
+                VotingErrors.CannotVote
             );
         })
 
@@ -325,14 +436,14 @@ contract('Voting', function(accounts) {
                 this.votingInstance.endVotingSession(
                     { from: ownerAddress }
                 ),
-                "Cannot end the voting session at this stage"
+                VotingErrors.CannotEndVotingSession
             );
         })
 
         it ("cannot tallyVotes", async function () {
             await expectRevert(
                 this.votingInstance.tallyVotes( { from: ownerAddress }),
-                "Cannot tally votes at this stage"
+                VotingErrors.CannotTallyVotes
             );
         })
 
@@ -381,7 +492,7 @@ contract('Voting', function(accounts) {
                     voter1Address,
                     { from: ownerAddress }
                 ),
-                "Cannot register voters at this stage"
+                VotingErrors.CannotRegisterVoters
             );
         })
 
@@ -390,7 +501,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.startProposalRegistration(
                     { from: ownerAddress }
                 ),
-                "Cannot open proposals registration at this stage"
+                VotingErrors.CannotStartProposalsRegistration
             );
         })
 
@@ -400,7 +511,7 @@ contract('Voting', function(accounts) {
                     "Proposal description",
                     { from: voter1Address }
                 ),
-                "Cannot register a proposal at this stage"
+                VotingErrors.CannotRegisterProposal
             );
         })
 
@@ -409,11 +520,11 @@ contract('Voting', function(accounts) {
                 this.votingInstance.endProposalRegistration(
                     { from: ownerAddress }
                 ),
-                "Cannot end proposal registration at this stage"
+                VotingErrors.CannotEndProposalsRegistration
             );
         })
 
-        it ("can startVotingSession if owner", async function () {
+        it ("can startVotingSession if chair", async function () {
             const result = await this.votingInstance.startVotingSession(
                 { from: ownerAddress }
             );
@@ -422,18 +533,6 @@ contract('Voting', function(accounts) {
                 _previousState: WorkflowStatus.ProposalsRegistrationEnded, 
                 _newState: WorkflowStatus.VotingSessionStarted 
             });
-            expectEvent(result, "VotingSessionStarted");
-        })
-
-        it ("cannot startVotingSession if not owner", async function () {
-            const notOwnerAddress = voter3Address;
-
-            await expectRevert(
-                this.votingInstance.startVotingSession(
-                    { from: notOwnerAddress }
-                ),
-                "Ownable: caller is not the owner"
-            );
         })
 
         it ("cannot endVotingSession", async function () {
@@ -441,7 +540,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.endVotingSession(
                     { from: ownerAddress }
                 ),
-                "Cannot end the voting session at this stage"
+                VotingErrors.CannotEndVotingSession
             );
         })
 
@@ -451,7 +550,7 @@ contract('Voting', function(accounts) {
                     new BN(0)
                     ,{ from: ownerAddress }
                 ),
-                "Cannot vote at this stage"
+                VotingErrors.CannotVote
             );
         })
 
@@ -460,7 +559,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.tallyVotes(
                     { from: ownerAddress }
                 ),
-                "Cannot tally votes at this stage"
+                VotingErrors.CannotTallyVotes
             );
         })
     })
@@ -511,7 +610,7 @@ contract('Voting', function(accounts) {
                     voter1Address,
                     { from: ownerAddress }
                 ),
-                "Cannot register voters at this stage"
+                VotingErrors.CannotRegisterVoters
             );
         })
 
@@ -520,7 +619,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.startProposalRegistration(
                     { from: ownerAddress }
                 ),
-                "Cannot open proposals registration at this stage"
+                VotingErrors.CannotStartProposalsRegistration
             );
         })
 
@@ -530,7 +629,7 @@ contract('Voting', function(accounts) {
                     "Proposal description",
                     { from: voter1Address }
                 ),
-                "Cannot register a proposal at this stage"
+                VotingErrors.CannotRegisterProposal
             );
         })
 
@@ -539,7 +638,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.endProposalRegistration(
                     { from: ownerAddress }
                 ),
-                "Cannot end proposal registration at this stage"
+                VotingErrors.CannotEndProposalsRegistration
             );
         })
 
@@ -548,7 +647,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.startVotingSession(
                     { from: ownerAddress }
                 ),
-                "Cannot start the voting session at this stage"
+                VotingErrors.CannotStartVotingSession
             );
         })
 
@@ -594,7 +693,27 @@ contract('Voting', function(accounts) {
                     new BN(2),
                     { from: notRegisteredVoter }
                 ),
-                "Not a registered voter"
+                VotingErrors.NotRegisteredVoter
+            );
+        })
+
+        it ("cannot vote for proposal 0", async function () {
+            await expectRevert(
+                this.votingInstance.vote(
+                    new BN(0),
+                    { from: voter1Address }
+                ),
+                VotingErrors.UnknownProposal
+            );
+        })
+
+        it ("cannot vote for an unregistered proposal", async function () {
+            await expectRevert(
+                this.votingInstance.vote(
+                    new BN(3),
+                    { from: voter1Address }
+                ),
+                VotingErrors.UnknownProposal
             );
         })
 
@@ -612,11 +731,11 @@ contract('Voting', function(accounts) {
                     proposal2,
                     { from: voter2Address }
                 ),
-                "Already voted"
+                VotingErrors.AlreadyVoted
             );
         })
 
-        it ("can endVotingSession if owner", async function () {
+        it ("can endVotingSession if chair", async function () {
             const result = await this.votingInstance.endVotingSession(
                 { from: ownerAddress }
             );
@@ -629,18 +748,6 @@ contract('Voting', function(accounts) {
                     _newState:      WorkflowStatus.VotingSessionEnded
                 }
             );
-            expectEvent(result, "VotingSessionEnded");
-        })
-
-        it ("cannot endVotingSession if not owner", async function () {
-            const notOwnerAddress = voter3Address;
-
-            await expectRevert(
-                this.votingInstance.endVotingSession(
-                    { from: notOwnerAddress }
-                ),
-                "Ownable: caller is not the owner"
-            );
         })
 
         it ("cannot tallyVotes", async function () {
@@ -648,7 +755,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.tallyVotes(
                     { from: ownerAddress }
                 ),
-                "Cannot tally votes at this stage"
+                VotingErrors.CannotTallyVotes
             );
         })
     })
@@ -658,6 +765,35 @@ contract('Voting', function(accounts) {
     // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
     describe("When VotingSessionEnded", function() {
 
+        // Deploy a fresh ballot with 3 proposals where voter1 votes for `vote1`
+        // and voter2 for `vote2` (0 means "does not vote"), then end its voting session.
+        // ~~~~~~~~~~~~
+        async function endVotingSessionWith(tiePolicy, vote1, vote2) {
+            const votingInstance = await deployBallot({ from: ownerAddress });
+
+            await votingInstance.setTiePolicy(tiePolicy, { from: ownerAddress });
+            await votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+            await votingInstance.registerVoter(voter2Address, { from: ownerAddress });
+            await votingInstance.registerVoter(voter3Address, { from: ownerAddress });
+
+            await votingInstance.startProposalRegistration({ from: ownerAddress });
+            await votingInstance.registerProposal("Proposition 1", { from: voter1Address });
+            await votingInstance.registerProposal("Proposition 2", { from: voter2Address });
+            await votingInstance.registerProposal("Proposition 3", { from: voter3Address });
+            await votingInstance.endProposalRegistration({ from: ownerAddress });
+
+            await votingInstance.startVotingSession({ from: ownerAddress });
+            if (vote1 !== 0) {
+                await votingInstance.vote(new BN(vote1), { from: voter1Address });
+            }
+            if (vote2 !== 0) {
+                await votingInstance.vote(new BN(vote2), { from: voter2Address });
+            }
+            await votingInstance.endVotingSession({ from: ownerAddress });
+
+            return votingInstance;
+        }
+
         // ~~~~~~~~~~~~~~~~~~~~~~~
         // run before each test method in the above describe block
         beforeEach( async function () { 
@@ -710,7 +846,7 @@ contract('Voting', function(accounts) {
                     voter1Address,
                     { from: ownerAddress }
                 ),
-                "Cannot register voters at this stage"
+                VotingErrors.CannotRegisterVoters
             );
         })
 
@@ -719,7 +855,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.startProposalRegistration(
                     { from: ownerAddress }
                 ),
-                "Cannot open proposals registration at this stage"
+                VotingErrors.CannotStartProposalsRegistration
             );
         })
 
@@ -729,7 +865,7 @@ contract('Voting', function(accounts) {
                     "Proposal description",
                     { from: voter1Address }
                 ),
-                "Cannot register a proposal at this stage"
+                VotingErrors.CannotRegisterProposal
             );
         })
 
@@ -738,7 +874,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.endProposalRegistration(
                     { from: ownerAddress }
                 ),
-                "Cannot end proposal registration at this stage"
+                VotingErrors.CannotEndProposalsRegistration
             );
         })
 
@@ -747,7 +883,7 @@ contract('Voting', function(accounts) {
                 this.votingInstance.startVotingSession(
                     { from: ownerAddress }
                 ),
-                "Cannot start the voting session at this stage"
+                VotingErrors.CannotStartVotingSession
             );
         })
 
@@ -757,7 +893,7 @@ contract('Voting', function(accounts) {
                     new BN(2),
                     { from: voter2Address }
                 ),
-                "Cannot vote at this stage"
+                VotingErrors.CannotVote
             );
         })
 
@@ -772,9 +908,1120 @@ contract('Voting', function(accounts) {
             expect(actualWinningProposalId)
                 .to.be.bignumber
                 .equal(new BN(2));
+
+            expect(await this.votingInstance.getWorkflowStatus())
+                .to.be.bignumber
+                .equal(WorkflowStatus.VotesTallied);
+            expect(await this.votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.SingleWinner);
+
+            const winningProposalIds = await this.votingInstance.getWinningProposalIds();
+            expect(winningProposalIds).to.have.lengthOf(1);
+            expect(winningProposalIds[0]).to.be.bignumber.equal(new BN(2));
+        })
+
+        it ("has no winner when nobody voted", async function () {
+            const votingInstance = await endVotingSessionWith(TiePolicy.ReportAll, 0, 0);
+
+            await votingInstance.tallyVotes({ from: ownerAddress });
+
+            expect(await votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.NoVotes);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(0));
+            expect(await votingInstance.getWinningProposalIds())
+                .to.be.an('array')
+                .that.is.empty;
+        })
+
+        it ("reports every tied proposal when tiePolicy is ReportAll", async function () {
+            const votingInstance = await endVotingSessionWith(TiePolicy.ReportAll, 1, 2);
+
+            const result = await votingInstance.tallyVotes({ from: ownerAddress });
+
+            expectEvent(result, "VotesTallied");
+            expect(await votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.Tie);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(0), "A tie should not have a single winner");
+
+            const winningProposalIds = await votingInstance.getWinningProposalIds();
+            expect(winningProposalIds).to.have.lengthOf(2);
+            expect(winningProposalIds[0]).to.be.bignumber.equal(new BN(1));
+            expect(winningProposalIds[1]).to.be.bignumber.equal(new BN(2));
+
+            await expectRevert(
+                votingInstance.breakTie(new BN(1), { from: ownerAddress }),
+                VotingErrors.CannotBreakTie
+            );
+        })
+
+        it ("runs a runoff between the tied proposals when tiePolicy is Runoff", async function () {
+            const votingInstance = await endVotingSessionWith(TiePolicy.Runoff, 1, 2);
+
+            const result = await votingInstance.tallyVotes({ from: ownerAddress });
+
+            expectEvent(result, "WorkflowStatusChange", {
+                _previousState: WorkflowStatus.VotingSessionEnded,
+                _newState:      WorkflowStatus.VotingSessionStarted
+            });
+            expectEvent(result, "RunoffStarted", { _runoffRound: new BN(1) });
+            expectEvent.notEmitted(result, "VotesTallied");
+            expect(await votingInstance.getWorkflowStatus())
+                .to.be.bignumber
+                .equal(WorkflowStatus.VotingSessionStarted);
+
+            // Every voter votes again, from scratch
+            expect((await votingInstance.voters.call(voter1Address)).hasVoted)
+                .to.be.false;
+            expect((await votingInstance.getProposal(new BN(1)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(0));
+
+            // Only the tied proposals are candidates
+            await expectRevert(
+                votingInstance.vote(new BN(3), { from: voter3Address }),
+                VotingErrors.NotRunoffCandidate
+            );
+
+            await votingInstance.vote(new BN(2), { from: voter1Address });
+            await votingInstance.vote(new BN(2), { from: voter2Address });
+            await votingInstance.vote(new BN(1), { from: voter3Address });
+            await votingInstance.endVotingSession({ from: ownerAddress });
+            await votingInstance.tallyVotes({ from: ownerAddress });
+
+            expect(await votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.SingleWinner);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+
+        it ("lets the chair break the tie when tiePolicy is ChairDecides", async function () {
+            const votingInstance = await endVotingSessionWith(TiePolicy.ChairDecides, 1, 2);
+
+            await votingInstance.tallyVotes({ from: ownerAddress });
+
+            expect(await votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.Tie);
+            await expectRevert(
+                votingInstance.breakTie(new BN(1), { from: voter1Address }),
+                VotingErrors.NotChair
+            );
+            await expectRevert(
+                votingInstance.breakTie(new BN(3), { from: ownerAddress }),
+                VotingErrors.NotTiedProposal
+            );
+
+            const result = await votingInstance.breakTie(new BN(1), { from: ownerAddress });
+
+            expectEvent(result, "TieBroken", { _proposalId: new BN(1) });
+            expect(await votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.SingleWinner);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(1));
+
+            await expectRevert(
+                votingInstance.breakTie(new BN(2), { from: ownerAddress }),
+                VotingErrors.CannotBreakTie
+            );
         })
 
     })
 
-})
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    // VotesTallied
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    describe("When VotesTallied", function() {
+
+        // ~~~~~~~~~~~~~~~~~~~~~~~
+        // run before each test method in the above describe block
+        beforeEach( async function () { 
+            await this.votingInstance.registerVoter(
+                voter1Address,
+                { from: ownerAddress }
+            );
+            await this.votingInstance.registerVoter(
+                voter2Address,
+                { from: ownerAddress }
+            );
+            await this.votingInstance.registerVoter(
+                voter3Address,
+                { from: ownerAddress }
+            );
+
+            await this.votingInstance.startProposalRegistration(
+                { from: ownerAddress }
+            );
 
+            await this.votingInstance.registerProposal(
+                "Proposition 1",
+                { from: voter1Address }
+            );
+            await this.votingInstance.registerProposal(
+                "Proposition 2",
+                { from: voter2Address }
+            );
+
+            await this.votingInstance.endProposalRegistration(
+                { from: ownerAddress }
+            );
+
+            await this.votingInstance.startVotingSession(
+                { from: ownerAddress }
+            );
+
+            await this.votingInstance.vote(new BN(1), { from: voter1Address});
+            await this.votingInstance.vote(new BN(2), { from: voter2Address});
+            await this.votingInstance.vote(new BN(2), { from: voter3Address});
+
+            await this.votingInstance.endVotingSession(
+                { from: ownerAddress }
+            );
+
+            await this.votingInstance.tallyVotes(
+                { from: ownerAddress }
+            );
+        })
+
+        it ("is the workflow status", async function () {
+            expect(await this.votingInstance.getWorkflowStatus())
+                .to.be.bignumber
+                .equal(WorkflowStatus.VotesTallied);
+        })
+
+        it ("cannot registerVoter", async function () {
+            await expectRevert(
+                this.votingInstance.registerVoter(
+                    notVoter4Address,
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotRegisterVoters
+            );
+        })
+
+        it ("cannot startProposalRegistration", async function () {
+            await expectRevert(
+                this.votingInstance.startProposalRegistration(
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotStartProposalsRegistration
+            );
+        })
+
+        it ("cannot registerProposal", async function () {
+            await expectRevert(
+                this.votingInstance.registerProposal(
+                    "Proposal description",
+                    { from: voter1Address }
+                ),
+                VotingErrors.CannotRegisterProposal
+            );
+        })
+
+        it ("cannot endProposalRegistration", async function () {
+            await expectRevert(
+                this.votingInstance.endProposalRegistration(
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotEndProposalsRegistration
+            );
+        })
+
+        it ("cannot startVotingSession", async function () {
+            await expectRevert(
+                this.votingInstance.startVotingSession(
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotStartVotingSession
+            );
+        })
+
+        it ("cannot vote", async function () {
+            await expectRevert(
+                this.votingInstance.vote(
+                    new BN(1),
+                    { from: voter1Address }
+                ),
+                VotingErrors.CannotVote
+            );
+        })
+
+        it ("cannot endVotingSession", async function () {
+            await expectRevert(
+                this.votingInstance.endVotingSession(
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotEndVotingSession
+            );
+        })
+
+        it ("cannot tallyVotes again", async function () {
+            await expectRevert(
+                this.votingInstance.tallyVotes(
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotTallyVotes
+            );
+        })
+
+        it ("keeps the winningProposal", async function () {
+            expect(await this.votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+    })
+
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    // Quorum
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    describe("When tallying with a 50% quorum", function() {
+
+        const quorum = new BN(50);
+
+        // Given 4 registered voters and 1 proposal,
+        // tally the votes after the first `votesCount` voters voted.
+        // ~~~~~~~~~~~~
+        async function tallyAfterVotes(votesCount) {
+            const votingInstance = await deployBallot({ from: ownerAddress, quorumPercentage: quorum });
+            const voterAddresses = [voter1Address, voter2Address, voter3Address, notVoter4Address];
+
+            for (const voterAddress of voterAddresses) {
+                await votingInstance.registerVoter(voterAddress, { from: ownerAddress });
+            }
+            await votingInstance.startProposalRegistration({ from: ownerAddress });
+            await votingInstance.registerProposal("Proposition 1", { from: voter1Address });
+            await votingInstance.endProposalRegistration({ from: ownerAddress });
+
+            await votingInstance.startVotingSession({ from: ownerAddress });
+            for (const voterAddress of voterAddresses.slice(0, votesCount)) {
+                await votingInstance.vote(new BN(1), { from: voterAddress });
+            }
+            await votingInstance.endVotingSession({ from: ownerAddress });
+
+            expect(await votingInstance.votesCastCount.call())
+                .to.be.bignumber
+                .equal(new BN(votesCount));
+
+            await votingInstance.tallyVotes({ from: ownerAddress });
+
+            return votingInstance;
+        }
+
+        it ("fails the quorum below the threshold", async function () {
+            const votingInstance = await tallyAfterVotes(1);
+
+            expect(await votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.FailedQuorum);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(0));
+            expect(await votingInstance.getWinningProposalIds())
+                .to.be.an('array')
+                .that.is.empty;
+            expect(await votingInstance.getWorkflowStatus())
+                .to.be.bignumber
+                .equal(WorkflowStatus.VotesTallied);
+        })
+
+        it ("elects a winner at the threshold", async function () {
+            const votingInstance = await tallyAfterVotes(2);
+
+            expect(await votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.SingleWinner);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(1));
+        })
+
+        it ("elects a winner above the threshold", async function () {
+            const votingInstance = await tallyAfterVotes(3);
+
+            expect(await votingInstance.tallyOutcome.call())
+                .to.be.bignumber
+                .equal(TallyOutcome.SingleWinner);
+            expect(await votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(1));
+        })
+    })
+
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    // Voters Merkle root
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    describe("With a voters Merkle root", function() {
+
+        // voter1, voter2 and voter3 are eligible, notVoter4 is not
+        const tree = buildVotersMerkleTree([voter1Address, voter2Address, voter3Address]);
+
+        it ("can setVotersMerkleRoot if registrar", async function () {
+            const result = await this.votingInstance.setVotersMerkleRoot(
+                tree.root,
+                { from: ownerAddress }
+            );
+
+            expectEvent(result, "VotersMerkleRootChanged", { _votersMerkleRoot: tree.root });
+            expect(await this.votingInstance.votersMerkleRoot.call())
+                .to.equal(tree.root);
+        })
+
+        it ("cannot setVotersMerkleRoot once the proposals registration started", async function () {
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.setVotersMerkleRoot(
+                    tree.root,
+                    { from: ownerAddress }
+                ),
+                VotingErrors.CannotRegisterVoters
+            );
+        })
+
+        describe("When ProposalsRegistrationStarted", function() {
+
+            beforeEach( async function () {
+                await this.votingInstance.setVotersMerkleRoot(tree.root, { from: ownerAddress });
+                await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            })
+
+            it ("can registerProposalWithProof with a valid proof", async function () {
+                const result = await this.votingInstance.registerProposalWithProof(
+                    "Proposal 1",
+                    getVoterProof(tree, voter1Address),
+                    { from: voter1Address }
+                );
+
+                expectEvent(result, "VoterRegistered", { _voterAddress: voter1Address });
+                expectEvent(result, "ProposalRegistered", { _proposalId: new BN(1) });
+                expect((await this.votingInstance.voters.call(voter1Address)).isRegistered)
+                    .to.be.true;
+                expect(await this.votingInstance.registeredVotersCount.call())
+                    .to.be.bignumber
+                    .equal(new BN(1));
+            })
+
+            it ("cannot registerProposalWithProof with a forged proof", async function () {
+                const forgedProof = getVoterProof(tree, voter1Address).slice();
+                forgedProof[0] = web3.utils.randomHex(32);
+
+                await expectRevert(
+                    this.votingInstance.registerProposalWithProof(
+                        "Proposal 1",
+                        forgedProof,
+                        { from: voter1Address }
+                    ),
+                    VotingErrors.InvalidMerkleProof
+                );
+            })
+
+            it ("cannot registerProposalWithProof with the proof of another voter", async function () {
+                await expectRevert(
+                    this.votingInstance.registerProposalWithProof(
+                        "Proposal 1",
+                        getVoterProof(tree, voter1Address),
+                        { from: notVoter4Address }
+                    ),
+                    VotingErrors.InvalidMerkleProof
+                );
+            })
+
+            it ("still requires registration for registerProposal", async function () {
+                await expectRevert(
+                    this.votingInstance.registerProposal(
+                        "Proposal 1",
+                        { from: voter1Address }
+                    ),
+                    VotingErrors.NotRegisteredAsVoter
+                );
+            })
+        })
+
+        describe("When VotingSessionStarted", function() {
+
+            beforeEach( async function () {
+                await this.votingInstance.setVotersMerkleRoot(tree.root, { from: ownerAddress });
+                await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+                await this.votingInstance.registerProposalWithProof(
+                    "Proposal 1",
+                    getVoterProof(tree, voter1Address),
+                    { from: voter1Address }
+                );
+                await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+                await this.votingInstance.startVotingSession({ from: ownerAddress });
+            })
+
+            it ("can voteWithProof with a valid proof", async function () {
+                const result = await this.votingInstance.voteWithProof(
+                    new BN(1),
+                    getVoterProof(tree, voter2Address),
+                    { from: voter2Address }
+                );
+
+                expectEvent(result, "VoterRegistered", { _voterAddress: voter2Address });
+                expectEvent(result, "Voted", { _voterAddress: voter2Address, _proposalId: new BN(1) });
+            })
+
+            it ("can voteWithProof without proof once registered", async function () {
+                const result = await this.votingInstance.voteWithProof(
+                    new BN(1),
+                    [],
+                    { from: voter1Address }
+                );
+
+                expectEvent.notEmitted(result, "VoterRegistered");
+                expectEvent(result, "Voted", { _voterAddress: voter1Address, _proposalId: new BN(1) });
+            })
+
+            it ("cannot voteWithProof when not eligible", async function () {
+                await expectRevert(
+                    this.votingInstance.voteWithProof(
+                        new BN(1),
+                        getVoterProof(tree, voter3Address),
+                        { from: notVoter4Address }
+                    ),
+                    VotingErrors.InvalidMerkleProof
+                );
+            })
+
+            it ("cannot use a proof again to vote twice", async function () {
+                const proof = getVoterProof(tree, voter3Address);
+                await this.votingInstance.voteWithProof(new BN(1), proof, { from: voter3Address });
+
+                await expectRevert(
+                    this.votingInstance.voteWithProof(new BN(1), proof, { from: voter3Address }),
+                    VotingErrors.AlreadyVoted
+                );
+            })
+        })
+    })
+
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    // Delegation
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    describe("When delegating", function() {
+
+        const voter5Address = accounts[5];
+
+        // ~~~~~~~~~~~~~~~~~~~~~~~
+        // run before each test method in the above describe block
+        beforeEach( async function () {
+            await this.votingInstance.registerVoters(
+                [voter1Address, voter2Address, voter3Address, voter5Address],
+                { from: ownerAddress }
+            );
+
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+            await this.votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+            await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+        })
+
+        it ("gives the delegator's weight to the delegate", async function () {
+            const result = await this.votingInstance.delegate(voter2Address, { from: voter1Address });
+
+            expectEvent(result, "Delegated", {
+                _voterAddress:    voter1Address,
+                _delegateAddress: voter2Address
+            });
+
+            const voter1 = await this.votingInstance.voters.call(voter1Address);
+            expect(voter1.hasVoted).to.be.true;
+            expect(voter1.delegateAddress).to.equal(voter2Address);
+            expect((await this.votingInstance.voters.call(voter2Address)).weight)
+                .to.be.bignumber
+                .equal(new BN(2));
+
+            await this.votingInstance.vote(new BN(2), { from: voter2Address });
+
+            expect((await this.votingInstance.getProposal(new BN(2)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(2), "Proposal 2 should have the votes of voter1 and voter2");
+            expect(await this.votingInstance.votesCastCount.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+
+        it ("passes weights along a delegation chain", async function () {
+            // voter1 -> voter2, then voter2 -> voter3: voter3 holds both weights
+            await this.votingInstance.delegate(voter2Address, { from: voter1Address });
+            await this.votingInstance.delegate(voter3Address, { from: voter2Address });
+            // voter5 -> voter1 follows the chain up to voter3
+            const result = await this.votingInstance.delegate(voter1Address, { from: voter5Address });
+
+            expectEvent(result, "Delegated", {
+                _voterAddress:    voter5Address,
+                _delegateAddress: voter3Address
+            });
+            expect((await this.votingInstance.voters.call(voter3Address)).weight)
+                .to.be.bignumber
+                .equal(new BN(4));
+
+            await this.votingInstance.vote(new BN(1), { from: voter3Address });
+
+            expect((await this.votingInstance.getProposal(new BN(1)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(4));
+        })
+
+        it ("cannot delegate along a loop", async function () {
+            await this.votingInstance.delegate(voter2Address, { from: voter1Address });
+            await this.votingInstance.delegate(voter3Address, { from: voter2Address });
+
+            await expectRevert(
+                this.votingInstance.delegate(voter1Address, { from: voter3Address }),
+                VotingErrors.DelegationLoop
+            );
+        })
+
+        it ("cannot delegate to oneself", async function () {
+            await expectRevert(
+                this.votingInstance.delegate(voter1Address, { from: voter1Address }),
+                VotingErrors.SelfDelegation
+            );
+        })
+
+        it ("adds the weight to the proposal of a delegate who has already voted", async function () {
+            await this.votingInstance.vote(new BN(1), { from: voter2Address });
+
+            await this.votingInstance.delegate(voter2Address, { from: voter1Address });
+
+            expect((await this.votingInstance.getProposal(new BN(1)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(2));
+            expect(await this.votingInstance.votesCastCount.call())
+                .to.be.bignumber
+                .equal(new BN(2));
+        })
+
+        it ("cannot delegate to an unregistered address", async function () {
+            await expectRevert(
+                this.votingInstance.delegate(notVoter4Address, { from: voter1Address }),
+                VotingErrors.DelegateNotRegistered
+            );
+        })
+
+        it ("cannot delegate if not a registered voter", async function () {
+            await expectRevert(
+                this.votingInstance.delegate(voter1Address, { from: notVoter4Address }),
+                VotingErrors.NotRegisteredVoter
+            );
+        })
+
+        it ("cannot delegate after voting", async function () {
+            await this.votingInstance.vote(new BN(1), { from: voter1Address });
+
+            await expectRevert(
+                this.votingInstance.delegate(voter2Address, { from: voter1Address }),
+                VotingErrors.AlreadyVoted
+            );
+        })
+
+        it ("cannot vote after delegating", async function () {
+            await this.votingInstance.delegate(voter2Address, { from: voter1Address });
+
+            await expectRevert(
+                this.votingInstance.vote(new BN(1), { from: voter1Address }),
+                VotingErrors.AlreadyVoted
+            );
+        })
+
+        it ("cannot delegate once the voting session ended", async function () {
+            await this.votingInstance.endVotingSession({ from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.delegate(voter2Address, { from: voter1Address }),
+                VotingErrors.CannotDelegate
+            );
+        })
+    })
+
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    // Secret ballot
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    describe("With a secret ballot", function() {
+
+        it ("can setSecretBallot if chair", async function () {
+            const result = await this.votingInstance.setSecretBallot(true, { from: ownerAddress });
+
+            expectEvent(result, "SecretBallotChanged", { _secretBallot: true });
+            expect(await this.votingInstance.secretBallot.call()).to.be.true;
+        })
+
+        it ("cannot setSecretBallot once the proposals registration started", async function () {
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.setSecretBallot(true, { from: ownerAddress }),
+                VotingErrors.CannotChangeBallotMode
+            );
+        })
+
+        it ("cannot commitVote in an open ballot", async function () {
+            await this.votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+            await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.commitVote(
+                    prepareSecretVote(1, voter1Address).commitment,
+                    { from: voter1Address }
+                ),
+                VotingErrors.NotSecretBallot
+            );
+        })
+
+        describe("When VotingSessionStarted", function() {
+
+            // ~~~~~~~~~~~~~~~~~~~~~~~
+            // run before each test method in the above describe block
+            beforeEach( async function () {
+                await this.votingInstance.setSecretBallot(true, { from: ownerAddress });
+                await this.votingInstance.registerVoters(
+                    [voter1Address, voter2Address, voter3Address],
+                    { from: ownerAddress }
+                );
+
+                await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+                await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+                await this.votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+                await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+
+                await this.votingInstance.startVotingSession({ from: ownerAddress });
+            })
+
+            it ("can commitVote without revealing it", async function () {
+                const secretVote = prepareSecretVote(2, voter1Address);
+
+                const result = await this.votingInstance.commitVote(
+                    secretVote.commitment,
+                    { from: voter1Address }
+                );
+
+                expectEvent(result, "VoteCommitted", {
+                    _voterAddress: voter1Address,
+                    _commitment:   secretVote.commitment
+                });
+                expectEvent.notEmitted(result, "Voted");
+
+                const voter1 = await this.votingInstance.voters.call(voter1Address);
+                expect(voter1.hasVoted).to.be.true;
+                expect(voter1.votedProposalId).to.be.bignumber.equal(new BN(0));
+                expect((await this.votingInstance.getProposal(new BN(2)))[1])
+                    .to.be.a.bignumber
+                    .equal(new BN(0));
+            })
+
+            it ("cannot vote openly", async function () {
+                await expectRevert(
+                    this.votingInstance.vote(new BN(1), { from: voter1Address }),
+                    VotingErrors.VotesMustBeCommitted
+                );
+            })
+
+            it ("cannot commitVote twice", async function () {
+                await this.votingInstance.commitVote(
+                    prepareSecretVote(1, voter1Address).commitment,
+                    { from: voter1Address }
+                );
+
+                await expectRevert(
+                    this.votingInstance.commitVote(
+                        prepareSecretVote(2, voter1Address).commitment,
+                        { from: voter1Address }
+                    ),
+                    VotingErrors.AlreadyVoted
+                );
+            })
+
+            it ("cannot commitVote an empty commitment", async function () {
+                await expectRevert(
+                    this.votingInstance.commitVote(
+                        "0x" + "00".repeat(32),
+                        { from: voter1Address }
+                    ),
+                    VotingErrors.MissingVoteCommitment
+                );
+            })
+
+            it ("cannot revealVote yet", async function () {
+                const secretVote = prepareSecretVote(1, voter1Address);
+                await this.votingInstance.commitVote(secretVote.commitment, { from: voter1Address });
+
+                await expectRevert(
+                    this.votingInstance.revealVote(new BN(1), secretVote.salt, { from: voter1Address }),
+                    VotingErrors.CannotRevealVotes
+                );
+            })
+        })
+
+        describe("When RevealingVotes", function() {
+
+            // ~~~~~~~~~~~~~~~~~~~~~~~
+            // run before each test method in the above describe block
+            beforeEach( async function () {
+                await this.votingInstance.setSecretBallot(true, { from: ownerAddress });
+                await this.votingInstance.registerVoters(
+                    [voter1Address, voter2Address, voter3Address, notVoter4Address],
+                    { from: ownerAddress }
+                );
+
+                await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+                await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+                await this.votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+                await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+
+                await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+                this.secretVotes = {
+                    [voter1Address]: prepareSecretVote(1, voter1Address),
+                    [voter2Address]: prepareSecretVote(2, voter2Address),
+                    [voter3Address]: prepareSecretVote(2, voter3Address),
+                };
+                for (const voterAddress of Object.keys(this.secretVotes)) {
+                    await this.votingInstance.commitVote(
+                        this.secretVotes[voterAddress].commitment,
+                        { from: voterAddress }
+                    );
+                }
+                // notVoter4 delegates to voter3, whose vote is only known at reveal time
+                await this.votingInstance.delegate(voter3Address, { from: notVoter4Address });
+
+                await this.votingInstance.endVotingSession({ from: ownerAddress });
+            })
+
+            it ("cannot tallyVotes before the reveal", async function () {
+                await expectRevert(
+                    this.votingInstance.tallyVotes({ from: ownerAddress }),
+                    VotingErrors.CannotTallyVotes
+                );
+            })
+
+            it ("counts only the valid openings", async function () {
+                const result = await this.votingInstance.startVotesReveal({ from: ownerAddress });
+
+                expectEvent(result, "WorkflowStatusChange", {
+                    _previousState: WorkflowStatus.VotingSessionEnded,
+                    _newState:      WorkflowStatus.RevealingVotes
+                });
+
+                // voter1 reveals a vote they did not commit to
+                await expectRevert(
+                    this.votingInstance.revealVote(
+                        new BN(2),
+                        this.secretVotes[voter1Address].salt,
+                        { from: voter1Address }
+                    ),
+                    VotingErrors.InvalidVoteOpening
+                );
+                // voter1 reveals with someone else's salt
+                await expectRevert(
+                    this.votingInstance.revealVote(
+                        new BN(1),
+                        this.secretVotes[voter2Address].salt,
+                        { from: voter1Address }
+                    ),
+                    VotingErrors.InvalidVoteOpening
+                );
+
+                expectEvent(
+                    await this.votingInstance.revealVote(
+                        new BN(1),
+                        this.secretVotes[voter1Address].salt,
+                        { from: voter1Address }
+                    ),
+                    "Voted",
+                    { _voterAddress: voter1Address, _proposalId: new BN(1) }
+                );
+                await this.votingInstance.revealVote(
+                    new BN(2),
+                    this.secretVotes[voter3Address].salt,
+                    { from: voter3Address }
+                );
+                // voter2 never reveals: their vote is not counted
+
+                await expectRevert(
+                    this.votingInstance.revealVote(
+                        new BN(1),
+                        this.secretVotes[voter1Address].salt,
+                        { from: voter1Address }
+                    ),
+                    VotingErrors.NoVoteToReveal
+                );
+
+                expect((await this.votingInstance.voters.call(voter1Address)).votedProposalId)
+                    .to.be.bignumber
+                    .equal(new BN(1));
+                expect((await this.votingInstance.getProposal(new BN(1)))[1])
+                    .to.be.a.bignumber
+                    .equal(new BN(1));
+                expect((await this.votingInstance.getProposal(new BN(2)))[1])
+                    .to.be.a.bignumber
+                    .equal(new BN(2), "Proposal 2 should have the votes of voter3 and notVoter4");
+
+                const tallyResult = await this.votingInstance.tallyVotes({ from: ownerAddress });
+
+                expectEvent(tallyResult, "WorkflowStatusChange", {
+                    _previousState: WorkflowStatus.RevealingVotes,
+                    _newState:      WorkflowStatus.VotesTallied
+                });
+                expect(await this.votingInstance.winningProposalId.call())
+                    .to.be.bignumber
+                    .equal(new BN(2));
+            })
+
+            it ("hashes commitments like computeVoteCommitment", async function () {
+                const secretVote = this.secretVotes[voter2Address];
+
+                expect(await this.votingInstance.voteCommitments.call(voter2Address))
+                    .to.equal(computeVoteCommitment(new BN(2), secretVote.salt, voter2Address));
+            })
+        })
+    })
+
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    // Governance token
+    // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+    describe("With a governance token", function() {
+
+        // ~~~~~~~~~~~~~~~~~~~~~~~
+        // run before each test method in the above describe block
+        beforeEach( async function () {
+            this.tokenInstance  = await ERC20Mock.new({ from: ownerAddress });
+            this.votingInstance = await deployBallot({ from: ownerAddress, governanceToken: this.tokenInstance.address });
+
+            await this.tokenInstance.mint(voter1Address, new BN(100));
+            await this.tokenInstance.mint(voter2Address, new BN(30));
+            await this.tokenInstance.mint(voter3Address, new BN(50));
+            for (const holderAddress of [voter1Address, voter2Address, voter3Address]) {
+                await this.tokenInstance.delegate(holderAddress, { from: holderAddress });
+            }
+
+            await this.votingInstance.registerVoters(
+                [voter1Address, voter2Address, voter3Address],
+                { from: ownerAddress }
+            );
+
+            await this.votingInstance.startProposalRegistration({ from: ownerAddress });
+            await this.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+            await this.votingInstance.registerProposal("Proposal 2", { from: voter2Address });
+            await this.votingInstance.endProposalRegistration({ from: ownerAddress });
+        })
+
+        it ("cannot setVotersMerkleRoot", async function () {
+            const votingInstance = await deployBallot({ from: ownerAddress, governanceToken: this.tokenInstance.address });
+            const tree           = buildVotersMerkleTree([voter1Address, voter2Address]);
+
+            await expectRevert(
+                votingInstance.setVotersMerkleRoot(tree.root, { from: ownerAddress }),
+                VotingErrors.SelfRegistrationInTokenBallot
+            );
+            await votingInstance.setVotersMerkleRoot(constants.ZERO_BYTES32, { from: ownerAddress });
+        })
+
+        it ("snapshots the balances when the voting session starts", async function () {
+            expect((await this.votingInstance.voters.call(voter1Address)).weight)
+                .to.be.bignumber
+                .equal(new BN(0), "The weight should not be known before the snapshot");
+
+            const result = await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            expectEvent(result, "VotingWeightsSnapshotted", {
+                _blockNumber:       new BN(result.receipt.blockNumber - 1),
+                _totalVotingWeight: new BN(180)
+            });
+            expect((await this.votingInstance.voters.call(voter1Address)).weight)
+                .to.be.bignumber
+                .equal(new BN(100));
+            expect(await this.votingInstance.totalVotingWeight.call())
+                .to.be.bignumber
+                .equal(new BN(180));
+        })
+
+        it ("weighs the voting power delegated on the token, none for holders who never delegated", async function () {
+            const tokenInstance  = await ERC20Mock.new({ from: ownerAddress });
+            const votingInstance = await deployBallot({ from: ownerAddress, governanceToken: tokenInstance.address });
+
+            // voter1 votes with their own tokens, voter2 with voter3's, voter3 with none
+            await tokenInstance.mint(voter1Address, new BN(100));
+            await tokenInstance.mint(voter2Address, new BN(30));
+            await tokenInstance.mint(voter3Address, new BN(50));
+            await tokenInstance.delegate(voter1Address, { from: voter1Address });
+            await tokenInstance.delegate(voter2Address, { from: voter3Address });
+
+            await startVotingSession(votingInstance, {
+                from:           ownerAddress,
+                voterAddresses: [voter1Address, voter2Address, voter3Address]
+            });
+
+            expect((await votingInstance.voters.call(voter1Address)).weight).to.be.bignumber.equal(new BN(100));
+            expect((await votingInstance.voters.call(voter2Address)).weight).to.be.bignumber.equal(new BN(50));
+            expect((await votingInstance.voters.call(voter3Address)).weight).to.be.bignumber.equal(new BN(0));
+            expect(await votingInstance.totalVotingWeight.call()).to.be.bignumber.equal(new BN(150));
+        })
+
+        it ("adds the snapshotted weight to the proposal", async function () {
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            await this.votingInstance.vote(new BN(2), { from: voter2Address });
+            await this.votingInstance.vote(new BN(2), { from: voter3Address });
+            await this.votingInstance.vote(new BN(1), { from: voter1Address });
+
+            expect((await this.votingInstance.getProposal(new BN(1)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(100));
+            expect((await this.votingInstance.getProposal(new BN(2)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(80));
+
+            await this.votingInstance.endVotingSession({ from: ownerAddress });
+            await this.votingInstance.tallyVotes({ from: ownerAddress });
+
+            expect(await this.votingInstance.winningProposalId.call())
+                .to.be.bignumber
+                .equal(new BN(1));
+        })
+
+        it ("ignores transfers made after the snapshot", async function () {
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            // voter1 hands all their tokens over to voter2 then both vote
+            await this.tokenInstance.transfer(voter2Address, new BN(100), { from: voter1Address });
+            await this.votingInstance.vote(new BN(1), { from: voter1Address });
+            await this.votingInstance.vote(new BN(2), { from: voter2Address });
+
+            expect((await this.votingInstance.getProposal(new BN(1)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(100));
+            expect((await this.votingInstance.getProposal(new BN(2)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(30));
+        })
+
+        it ("gives the balance of a delegator to their delegate", async function () {
+            // Delegated before the snapshot: the balance follows the delegation chain
+            await this.votingInstance.delegate(voter2Address, { from: voter1Address });
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+            // Delegated after the snapshot: the snapshotted weight is handed over
+            await this.votingInstance.delegate(voter2Address, { from: voter3Address });
+
+            expect((await this.votingInstance.voters.call(voter2Address)).weight)
+                .to.be.bignumber
+                .equal(new BN(180));
+        })
+
+        it ("can snapshotVotingWeights in batches before the voting session", async function () {
+            const result        = await this.votingInstance.snapshotVotingWeights(new BN(2), { from: ownerAddress });
+            const snapshotBlock = new BN(result.receipt.blockNumber - 1);
+
+            expectEvent(result, "VotingWeightsSnapshotted", {
+                _blockNumber:            snapshotBlock,
+                _snapshottedVotersCount: new BN(2),
+                _totalVotingWeight:      new BN(130)
+            });
+            expect(await this.votingInstance.snapshotBlockNumber.call())
+                .to.be.bignumber
+                .equal(snapshotBlock);
+
+            // The voting session snapshots the remaining voter3, at the same block
+            const sessionResult = await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            expectEvent(sessionResult, "VotingWeightsSnapshotted", {
+                _blockNumber:            snapshotBlock,
+                _snapshottedVotersCount: new BN(3),
+                _totalVotingWeight:      new BN(180)
+            });
+            expect(await this.votingInstance.snapshotBlockNumber.call())
+                .to.be.bignumber
+                .equal(snapshotBlock);
+            expect((await this.votingInstance.voters.call(voter3Address)).weight)
+                .to.be.bignumber
+                .equal(new BN(50));
+        })
+
+        it ("counts the tokens moved between two batches once", async function () {
+            await this.votingInstance.snapshotVotingWeights(new BN(2), { from: ownerAddress });
+
+            // voter1, already snapshotted, hands all their tokens over to voter3, who is not yet
+            await this.tokenInstance.transfer(voter3Address, new BN(100), { from: voter1Address });
+            await this.votingInstance.snapshotVotingWeights(new BN(1), { from: ownerAddress });
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            expect((await this.votingInstance.voters.call(voter1Address)).weight)
+                .to.be.bignumber
+                .equal(new BN(100));
+            expect((await this.votingInstance.voters.call(voter3Address)).weight)
+                .to.be.bignumber
+                .equal(new BN(50));
+            expect(await this.votingInstance.totalVotingWeight.call())
+                .to.be.bignumber
+                .equal(new BN(180));
+
+            await this.votingInstance.vote(new BN(1), { from: voter1Address });
+            await this.votingInstance.vote(new BN(1), { from: voter3Address });
+
+            expect((await this.votingInstance.getProposal(new BN(1)))[1])
+                .to.be.a.bignumber
+                .equal(new BN(150));
+        })
+
+        it ("cannot snapshotVotingWeights once every voter is snapshotted", async function () {
+            await this.votingInstance.snapshotVotingWeights(new BN(5), { from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.snapshotVotingWeights(new BN(1), { from: ownerAddress }),
+                VotingErrors.VotingWeightsAlreadySnapshotted
+            );
+
+            const result = await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            expectEvent.notEmitted(result, "VotingWeightsSnapshotted");
+            expect(await this.votingInstance.totalVotingWeight.call())
+                .to.be.bignumber
+                .equal(new BN(180));
+        })
+
+        it ("cannot snapshotVotingWeights if not chair", async function () {
+            await expectRevert(
+                this.votingInstance.snapshotVotingWeights(new BN(1), { from: voter1Address }),
+                VotingErrors.NotChair
+            );
+        })
+
+        it ("cannot snapshotVotingWeights once the voting session started", async function () {
+            await this.votingInstance.startVotingSession({ from: ownerAddress });
+
+            await expectRevert(
+                this.votingInstance.snapshotVotingWeights(new BN(1), { from: ownerAddress }),
+                VotingErrors.CannotSnapshotVotingWeights
+            );
+        })
+
+        it ("cannot snapshotVotingWeights without a governance token", async function () {
+            const votingInstance = await deployBallot({ from: ownerAddress });
+            await votingInstance.registerVoter(voter1Address, { from: ownerAddress });
+            await votingInstance.startProposalRegistration({ from: ownerAddress });
+            await votingInstance.endProposalRegistration({ from: ownerAddress });
+
+            await expectRevert(
+                votingInstance.snapshotVotingWeights(new BN(1), { from: ownerAddress }),
+                VotingErrors.NotTokenBallot
+            );
+        })
+    })
+
+})
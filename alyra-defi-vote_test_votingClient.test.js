@@ -0,0 +1,259 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the client of the Voting smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { constants }         = require('@openzeppelin/test-helpers');
+const { expect }            = require('chai');
+const { prepareSecretVote } = require('../lib/voteCommitments');
+const { createBallotRelayer } = require('../lib/ballotRelayer');
+const { buildVotersMerkleTree } = require('../lib/votersMerkleTree');
+const {
+    WorkflowStatus,
+    VotingClient,
+    VotingError,
+    WrongPhaseError,
+    NotAuthorizedError
+} = require('../lib/votingClient');
+
+const { TiePolicy, TallyOutcome, deployBallot } = require('./helpers');
+
+const ERC20Mock = artifacts.require('ERC20Mock');
+
+contract('VotingClient', function(accounts) {
+
+    const ownerAddress  = accounts[0];
+    const voter1Address = accounts[1];
+    const voter2Address = accounts[2];
+
+    // Expect a promise to be rejected with an error of a given class, and return that error
+    async function rejectionOf(promise, errorClass) {
+        try {
+            await promise;
+        } catch (error) {
+            expect(error).to.be.an.instanceof(errorClass);
+            return error;
+        }
+        expect.fail("The promise should have been rejected");
+    }
+
+    beforeEach(async function () {
+        this.votingInstance = await deployBallot({ from: ownerAddress });
+        this.client         = new VotingClient(this.votingInstance, { from: ownerAddress, pageSize: 2 });
+    })
+
+    it ("drives a whole ballot with native values", async function () {
+        await this.client.registerVoters([voter1Address, voter2Address]);
+        expect(await this.client.advanceTo(WorkflowStatus.ProposalsRegistrationStarted))
+            .to.equal(WorkflowStatus.ProposalsRegistrationStarted);
+
+        for (const description of ["Proposal 1", "Proposal 2", "Proposal 3"]) {
+            await this.client.registerProposal(description, { from: voter1Address });
+        }
+        await this.client.advanceTo(WorkflowStatus.VotingSessionStarted);
+        await this.client.vote(2, { from: voter1Address });
+        await this.client.vote(2n, { from: voter2Address });
+
+        expect(await this.client.advanceTo(WorkflowStatus.VotesTallied))
+            .to.equal(WorkflowStatus.VotesTallied);
+
+        expect(await this.client.getVoter(voter1Address)).to.deep.equal({
+            isRegistered:    true,
+            hasVoted:        true,
+            votedProposalId: 2,
+            weight:          1n,
+            delegate:        constants.ZERO_ADDRESS
+        });
+        expect((await this.client.getProposals()).map(proposal => [proposal.id, proposal.voteCount]))
+            .to.deep.equal([[1, 0n], [2, 2n], [3, 0n]]);
+        expect((await this.client.getVoters()).map(voter => voter.address))
+            .to.deep.equal([voter1Address, voter2Address]);
+
+        const results = await this.client.getResults();
+        expect(results).to.include({ status: WorkflowStatus.VotesTallied, outcome: TallyOutcome.SingleWinner.toNumber(), votesCastCount: 2n });
+        expect(results.winningProposalIds).to.deep.equal([2]);
+    })
+
+    it ("reads big token weights as bigints", async function () {
+        const tokenInstance  = await ERC20Mock.new({ from: ownerAddress });
+        const votingInstance = await deployBallot({ from: ownerAddress, governanceToken: tokenInstance.address });
+        const client         = new VotingClient(votingInstance, { from: ownerAddress });
+        const balance        = 10n ** 24n;
+
+        await tokenInstance.mint(voter1Address, balance.toString());
+        await tokenInstance.delegate(voter1Address, { from: voter1Address });
+        await client.registerVoter(voter1Address);
+        await client.advanceTo(WorkflowStatus.ProposalsRegistrationStarted);
+        await client.registerProposal("Proposal 1", { from: voter1Address });
+        await client.advanceTo(WorkflowStatus.VotingSessionStarted);
+
+        expect((await client.getVoter(voter1Address)).weight).to.equal(balance);
+    })
+
+    it ("checks the phase before sending a transaction", async function () {
+        const blockNumber = await web3.eth.getBlockNumber();
+
+        const error = await rejectionOf(this.client.vote(1, { from: voter1Address }), WrongPhaseError);
+        expect(error.phase).to.equal(WorkflowStatus.RegisteringVoters);
+        expect(error.expectedPhases).to.deep.equal([WorkflowStatus.VotingSessionStarted]);
+        expect(await web3.eth.getBlockNumber()).to.equal(blockNumber, "No transaction should be sent");
+    })
+
+    it ("turns reverts into typed errors", async function () {
+        const notAuthorized = await rejectionOf(
+            this.client.registerVoter(voter2Address, { from: voter1Address }),
+            NotAuthorizedError
+        );
+        expect(notAuthorized.code).to.equal("NotRegistrar");
+
+        await this.client.registerVoter(voter1Address);
+        await this.client.advanceTo(WorkflowStatus.ProposalsRegistrationStarted);
+
+        const invalid = await rejectionOf(this.client.registerProposal("", { from: voter1Address }), VotingError);
+        expect(invalid).to.not.be.an.instanceof(WrongPhaseError);
+        expect(invalid.code).to.equal("MissingProposalDescription");
+        expect(invalid.message).to.equal("Missing Proposal's description");
+
+        // Reads too, whatever the reason
+        const invalidAddress = await rejectionOf(this.client.getVoter("0x1234"), VotingError);
+        expect(invalidAddress.code).to.be.undefined;
+
+        // Even when the provider throws something else than an Error
+        for (const thrown of ["Connection lost", undefined, null]) {
+            const client = new VotingClient({ paused: () => Promise.reject(thrown) });
+
+            const unknown = await rejectionOf(client.isPaused(), VotingError);
+            expect(unknown.message).to.equal(String(thrown));
+            expect(unknown.cause).to.equal(thrown);
+        }
+    })
+
+    it ("cannot advance backwards nor to a reveal phase without secret ballot", async function () {
+        await this.client.advanceTo(WorkflowStatus.ProposalsRegistrationEnded);
+
+        await rejectionOf(this.client.advanceTo(WorkflowStatus.RegisteringVoters), WrongPhaseError);
+        await rejectionOf(this.client.advanceTo(WorkflowStatus.RevealingVotes), WrongPhaseError);
+    })
+
+    it ("delegates a vote before the voting session", async function () {
+        await this.client.registerVoters([voter1Address, voter2Address]);
+        await rejectionOf(this.client.delegate(voter2Address, { from: voter1Address }), WrongPhaseError);
+
+        await this.client.advanceTo(WorkflowStatus.ProposalsRegistrationStarted);
+        await this.client.delegate(voter2Address, { from: voter1Address });
+        await this.client.registerProposal("Proposal 1", { from: voter2Address });
+        await this.client.advanceTo(WorkflowStatus.VotingSessionStarted);
+        await this.client.vote(1, { from: voter2Address });
+
+        expect((await this.client.getVoter(voter1Address)).delegate).to.equal(voter2Address);
+        expect((await this.client.getProposals())[0].voteCount).to.equal(2n);
+    })
+
+    it ("submits a vote signed by a voter", async function () {
+        const relayer = createBallotRelayer(this.votingInstance, web3);
+
+        await this.client.registerVoter(voter1Address);
+        await this.client.advanceTo(WorkflowStatus.ProposalsRegistrationStarted);
+        const proposal = await relayer.signProposal(voter1Address, "Proposal 1");
+        await this.client.registerProposalBySig(voter1Address, proposal.description, proposal.contentHash, proposal.deadline, proposal.signature);
+        await this.client.advanceTo(WorkflowStatus.VotingSessionStarted);
+
+        const signed = await relayer.signVote(voter1Address, 1);
+        await this.client.voteBySig(voter1Address, 1, signed.deadline, signed.signature);
+
+        expect((await this.client.getVoter(voter1Address)).votedProposalId).to.equal(1);
+        const replayed = await rejectionOf(this.client.voteBySig(voter1Address, 1, signed.deadline, signed.signature), VotingError);
+        expect(replayed.code).to.equal("InvalidSignature");
+    })
+
+    it ("advances a secret ballot through the reveal phase", async function () {
+        await this.client.setSecretBallot(true);
+        await this.client.registerVoter(voter1Address);
+        await this.client.advanceTo(WorkflowStatus.ProposalsRegistrationStarted);
+        await this.client.registerProposal("Proposal 1", { from: voter1Address });
+        await this.client.advanceTo(WorkflowStatus.VotingSessionStarted);
+
+        const secretVote = prepareSecretVote(1, voter1Address);
+        await this.client.commitVote(secretVote.commitment, { from: voter1Address });
+        expect(await this.client.advanceTo(WorkflowStatus.RevealingVotes))
+            .to.equal(WorkflowStatus.RevealingVotes);
+        await this.client.revealVote(1, secretVote.salt, { from: voter1Address });
+
+        expect(await this.client.advanceTo(WorkflowStatus.VotesTallied))
+            .to.equal(WorkflowStatus.VotesTallied);
+        expect((await this.client.getResults()).winningProposalIds).to.deep.equal([1]);
+    })
+
+    it ("starts the votes reveal of a secret ballot", async function () {
+        await this.client.setSecretBallot(true);
+        await this.client.registerVoter(voter1Address);
+        await this.client.advanceTo(WorkflowStatus.VotingSessionStarted);
+        await rejectionOf(this.client.startVotesReveal(), WrongPhaseError);
+
+        await this.client.advanceTo(WorkflowStatus.VotingSessionEnded);
+        await this.client.startVotesReveal();
+
+        expect(await this.client.getPhase()).to.equal(WorkflowStatus.RevealingVotes);
+    })
+
+    it ("registers voters with their Merkle proof as they propose or vote", async function () {
+        const { root, proofs } = buildVotersMerkleTree([voter1Address, voter2Address]);
+        const contentHash      = web3.utils.keccak256("Proposal 1, revised");
+
+        await this.client.setVotersMerkleRoot(root);
+        await this.client.advanceTo(WorkflowStatus.ProposalsRegistrationStarted);
+        await this.client.registerProposalWithProof("Proposal 1", proofs[voter1Address.toLowerCase()], { from: voter1Address });
+        await this.client.editProposalWithContent(1, "Proposal 1bis", contentHash, { from: voter1Address });
+        await this.client.advanceTo(WorkflowStatus.VotingSessionStarted);
+        await this.client.voteWithProof(1, proofs[voter2Address.toLowerCase()], { from: voter2Address });
+
+        expect(await this.client.getProposal(1)).to.include({ description: "Proposal 1bis", contentHash, voteCount: 1n });
+        expect((await this.client.getVoters()).map(voter => voter.address))
+            .to.deep.equal([voter1Address, voter2Address]);
+    })
+
+    it ("starts a new round and reads the results of the past ones", async function () {
+        await this.client.registerVoter(voter1Address);
+        await this.client.advanceTo(WorkflowStatus.ProposalsRegistrationStarted);
+        await this.client.registerProposal("Proposal 1", { from: voter1Address });
+        await this.client.advanceTo(WorkflowStatus.VotingSessionStarted);
+        await this.client.vote(1, { from: voter1Address });
+        await this.client.advanceTo(WorkflowStatus.VotesTallied);
+
+        await this.client.startNewRound(true);
+
+        expect(await this.client.getRound()).to.equal(2);
+        expect(await this.client.getPhase()).to.equal(WorkflowStatus.RegisteringVoters);
+        expect((await this.client.getRoundResults(1)).winningProposalIds).to.deep.equal([1]);
+        expect((await rejectionOf(this.client.getRoundResults(3), VotingError)).code).to.equal("UnknownRound");
+    })
+
+    it ("pauses, unpauses then cancels a ballot", async function () {
+        await this.client.registerVoter(voter1Address);
+        await this.client.pause();
+
+        expect(await this.client.isPaused()).to.be.true;
+        expect((await rejectionOf(this.client.registerVoter(voter2Address), VotingError)).code).to.equal("BallotPaused");
+
+        await this.client.unpause();
+        await this.client.cancel("Wrong voters list");
+
+        expect(await this.client.isPaused()).to.be.false;
+        expect(await this.client.getPhase()).to.equal(WorkflowStatus.Cancelled);
+        await rejectionOf(this.client.advanceTo(WorkflowStatus.VotesTallied), WrongPhaseError);
+        await rejectionOf(this.client.registerVoter(voter2Address), WrongPhaseError);
+    })
+
+    it ("stops advancing when a tally starts a runoff", async function () {
+        await this.client.setTiePolicy(TiePolicy.Runoff);
+        await this.client.registerVoters([voter1Address, voter2Address]);
+        await this.client.advanceTo(WorkflowStatus.ProposalsRegistrationStarted);
+        await this.client.registerProposal("Proposal 1", { from: voter1Address });
+        await this.client.registerProposal("Proposal 2", { from: voter2Address });
+        await this.client.advanceTo(WorkflowStatus.VotingSessionStarted);
+        await this.client.vote(1, { from: voter1Address });
+        await this.client.vote(2, { from: voter2Address });
+
+        expect(await this.client.advanceTo(WorkflowStatus.VotesTallied))
+            .to.equal(WorkflowStatus.VotingSessionStarted);
+        expect((await this.client.getResults()).runoffRound).to.equal(1);
+    })
+})
@@ -0,0 +1,228 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Test the VotingFactory smart-contract
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+const { expectEvent, expectRevert, BN, constants } = require('@openzeppelin/test-helpers');
+const { expect }       = require('chai');
+const { VotingErrors } = require('../lib/votingErrors');
+const { WorkflowStatus, BallotMode, noSchedule } = require('./helpers');
+
+const Voting        = artifacts.require('Voting');
+const VotingFactory = artifacts.require('VotingFactory');
+const VotingModes   = artifacts.require('VotingModes');
+
+contract('VotingFactory', function(accounts) {
+
+    const factoryOwnerAddress = accounts[0];
+    const admin1Address       = accounts[1];
+    const admin2Address       = accounts[2];
+    const voter1Address       = accounts[3];
+    const voter2Address       = accounts[4];
+
+    // Create a plurality ballot without quorum nor schedule, and return its id and contract
+    async function createBallot(factoryInstance, adminAddress) {
+        const result   = await factoryInstance.createBallot(
+            new BN(0),
+            constants.ZERO_ADDRESS,
+            BallotMode.Plurality,
+            noSchedule,
+            { from: adminAddress }
+        );
+        const ballotId = result.logs[0].args._ballotId;
+
+        return {
+            ballotId,
+            votingInstance: await Voting.at(await factoryInstance.getBallot(ballotId))
+        };
+    }
+
+    beforeEach(async function () {
+        const votingModesInstance = await VotingModes.new({ from: factoryOwnerAddress });
+
+        this.implementationInstance = await Voting.new(votingModesInstance.address, { from: factoryOwnerAddress });
+        this.factoryInstance        = await VotingFactory.new(this.implementationInstance.address, { from: factoryOwnerAddress });
+    })
+
+    it ("cannot be deployed without a ballot implementation", async function () {
+        await expectRevert(
+            VotingFactory.new(constants.ZERO_ADDRESS, { from: factoryOwnerAddress }),
+            VotingErrors.InvalidBallotImplementation
+        );
+    })
+
+    it ("has no ballot on deployment", async function () {
+        expect(await this.factoryInstance.getBallotsCount.call())
+            .to.be.bignumber
+            .equal(new BN(0));
+    })
+
+    it ("can createBallot", async function () {
+        const result = await this.factoryInstance.createBallot(
+            new BN(0),
+            constants.ZERO_ADDRESS,
+            BallotMode.Plurality,
+            noSchedule,
+            { from: admin1Address }
+        );
+
+        expectEvent(result, "BallotCreated", {
+            _ballotId:      new BN(1),
+            _ballotAddress: await this.factoryInstance.getBallot(new BN(1)),
+            _admin:         admin1Address
+        });
+        expect(await this.factoryInstance.getBallotsCount.call())
+            .to.be.bignumber
+            .equal(new BN(1));
+    })
+
+    it ("hands the admin, registrar and chair roles of the ballot over to its creator", async function () {
+        const { ballotId, votingInstance } = await createBallot(this.factoryInstance, admin1Address);
+
+        expect(await votingInstance.ballotId.call())
+            .to.be.bignumber
+            .equal(ballotId);
+
+        for (const role of ["DEFAULT_ADMIN_ROLE", "REGISTRAR_ROLE", "CHAIR_ROLE"]) {
+            const roleId = await votingInstance[role].call();
+
+            expect(await votingInstance.hasRole.call(roleId, admin1Address))
+                .to.be.true;
+            expect(await votingInstance.hasRole.call(roleId, this.factoryInstance.address))
+                .to.be.false;
+        }
+
+        await expectRevert(
+            votingInstance.registerVoter(voter1Address, { from: factoryOwnerAddress }),
+            VotingErrors.NotRegistrar
+        );
+    })
+
+    it ("creates each ballot as a minimal proxy of the implementation", async function () {
+        const { votingInstance } = await createBallot(this.factoryInstance, admin1Address);
+        const code               = await web3.eth.getCode(votingInstance.address);
+
+        // EIP-1167: 45 bytes of runtime code, embedding the implementation address
+        expect(code.length)
+            .to.equal(2 + 45 * 2);
+        expect(code)
+            .to.include(this.implementationInstance.address.slice(2).toLowerCase());
+        expect(await this.implementationInstance.ballotId.call())
+            .to.be.bignumber
+            .equal(new BN(0));
+    })
+
+    it ("cannot initialize the ballot implementation", async function () {
+        await expectRevert(
+            this.implementationInstance.initialize(admin2Address, new BN(0), constants.ZERO_ADDRESS, BallotMode.Plurality, noSchedule, new BN(9), { from: admin2Address }),
+            VotingErrors.AlreadyInitialized
+        );
+    })
+
+    it ("cannot initialize a ballot twice", async function () {
+        const { votingInstance } = await createBallot(this.factoryInstance, admin1Address);
+
+        await expectRevert(
+            votingInstance.initialize(admin2Address, new BN(0), constants.ZERO_ADDRESS, BallotMode.Plurality, noSchedule, new BN(9), { from: admin2Address }),
+            VotingErrors.AlreadyInitialized
+        );
+    })
+
+    it ("signs the votes of each ballot for its own address", async function () {
+        const ballot1 = await createBallot(this.factoryInstance, admin1Address);
+        const ballot2 = await createBallot(this.factoryInstance, admin2Address);
+
+        for (const { votingInstance } of [ballot1, ballot2]) {
+            const domainSeparator = web3.utils.keccak256(web3.eth.abi.encodeParameters(
+                ["bytes32", "bytes32", "bytes32", "uint256", "address"],
+                [
+                    web3.utils.keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                    web3.utils.keccak256("Voting"),
+                    web3.utils.keccak256("1"),
+                    await web3.eth.getChainId(),
+                    votingInstance.address
+                ]
+            ));
+
+            expect(await votingInstance.DOMAIN_SEPARATOR.call())
+                .to.equal(domainSeparator);
+        }
+    })
+
+    it ("cannot getBallot for an unknown id", async function () {
+        await createBallot(this.factoryInstance, admin1Address);
+
+        await expectRevert(
+            this.factoryInstance.getBallot(new BN(0)),
+            VotingErrors.UnknownBallot
+        );
+        await expectRevert(
+            this.factoryInstance.getBallot(new BN(2)),
+            VotingErrors.UnknownBallot
+        );
+    })
+
+    it ("lists the ballots by creator", async function () {
+        const ballot1 = await createBallot(this.factoryInstance, admin1Address);
+        await createBallot(this.factoryInstance, admin2Address);
+        await createBallot(this.factoryInstance, admin1Address);
+
+        // Handing the admin role over does not change who created the ballot
+        const adminRole = await ballot1.votingInstance.DEFAULT_ADMIN_ROLE();
+        await ballot1.votingInstance.grantRole(adminRole, voter1Address, { from: admin1Address });
+        await ballot1.votingInstance.renounceRole(adminRole, admin1Address, { from: admin1Address });
+
+        expect((await this.factoryInstance.getBallotIdsByCreator.call(admin1Address)).map(String))
+            .to.deep.equal(["1", "3"]);
+        expect((await this.factoryInstance.getBallotIdsByCreator.call(admin2Address)).map(String))
+            .to.deep.equal(["2"]);
+        expect(await this.factoryInstance.getBallotIdsByCreator.call(voter1Address))
+            .to.be.empty;
+    })
+
+    it ("lists the ballots by state", async function () {
+        const ballot1 = await createBallot(this.factoryInstance, admin1Address);
+        await createBallot(this.factoryInstance, admin2Address);
+
+        await ballot1.votingInstance.startProposalRegistration({ from: admin1Address });
+
+        expect((await this.factoryInstance.getBallotIdsByState.call(WorkflowStatus.RegisteringVoters)).map(String))
+            .to.deep.equal(["2"]);
+        expect((await this.factoryInstance.getBallotIdsByState.call(WorkflowStatus.ProposalsRegistrationStarted)).map(String))
+            .to.deep.equal(["1"]);
+    })
+
+    it ("keeps the voters, proposals and state of each ballot apart", async function () {
+        const ballot1 = await createBallot(this.factoryInstance, admin1Address);
+        const ballot2 = await createBallot(this.factoryInstance, admin2Address);
+
+        await ballot1.votingInstance.registerVoter(voter1Address, { from: admin1Address });
+        await ballot2.votingInstance.registerVoter(voter2Address, { from: admin2Address });
+        await ballot1.votingInstance.startProposalRegistration({ from: admin1Address });
+
+        const result = await ballot1.votingInstance.registerProposal("Proposal 1", { from: voter1Address });
+
+        expectEvent(result, "ProposalRegistered", { _ballotId: ballot1.ballotId });
+        expect((await ballot2.votingInstance.voters.call(voter1Address)).isRegistered)
+            .to.be.false;
+        expect(await ballot2.votingInstance.getProposalIds.call())
+            .to.be.empty;
+        expect(await ballot2.votingInstance.getWorkflowStatus.call())
+            .to.be.bignumber
+            .equal(WorkflowStatus.RegisteringVoters);
+    })
+
+    it ("tags the events of each ballot with its id", async function () {
+        const ballot1 = await createBallot(this.factoryInstance, admin1Address);
+        const ballot2 = await createBallot(this.factoryInstance, admin2Address);
+
+        expectEvent(
+            await ballot1.votingInstance.registerVoter(voter1Address, { from: admin1Address }),
+            "VoterRegistered",
+            { _ballotId: new BN(1), _voterAddress: voter1Address }
+        );
+        expectEvent(
+            await ballot2.votingInstance.registerVoter(voter1Address, { from: admin2Address }),
+            "VoterRegistered",
+            { _ballotId: new BN(2), _voterAddress: voter1Address }
+        );
+    })
+})
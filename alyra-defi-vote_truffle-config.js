@@ -0,0 +1,26 @@
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Truffle configuration of the Voting smart-contracts
+//~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+module.exports = {
+
+    networks: {
+        development: {
+            host:       "127.0.0.1",
+            port:       8545,
+            network_id: "*"
+        }
+    },
+
+    compilers: {
+        solc: {
+            version: "0.6.11",
+            settings: {
+                // Voting and VotingModes only fit in the EIP-170 limit once optimized (Cf. test/contractSize.test.js)
+                optimizer: {
+                    enabled: true,
+                    runs:    200
+                }
+            }
+        }
+    }
+};